@@ -10,6 +10,8 @@ const DOWNLOADS_ROOT = path.resolve(process.cwd(), "downloads");
 // Domain-scoped roots
 const META_ROOT = path.join(BFS_ROOT, "_meta");
 const RUNS_ROOT = path.join(BFS_ROOT, "runs");
+// Streamed uploads are spooled here before being moved into downloads/<domain>/.
+const UPLOAD_TMP_DIR = path.join(BFS_ROOT, "_tmp", "uploads");
 
 // Artifact output format: put conflated meta row first
 // true => first row is {_meta:true, level, kind, ...real row...}, remaining rows minimal
@@ -36,15 +38,60 @@ const AUTO_FINALIZE_IDLE_MS = Number(process.env.AUTO_FINALIZE_IDLE_MS || 180000
 // How often to scan for idle runs.
 const AUTO_FINALIZE_INTERVAL_MS = Number(process.env.AUTO_FINALIZE_INTERVAL_MS || 60000); // 1 minute
 
+// ---------------------------------------------------------------------------
+// Work queue (POST /queue/lease)
+// ---------------------------------------------------------------------------
+// Leased rows that are not acked/nacked within this time return to the queue.
+const QUEUE_LEASE_MS = Number(process.env.QUEUE_LEASE_MS || 600000); // 10 minutes
+
+// ---------------------------------------------------------------------------
+// Resumable upload sessions (POST /upload/session)
+// ---------------------------------------------------------------------------
+// Sessions with no activity for this long are pruned (their partial data too).
+const UPLOAD_SESSION_TTL_MS = Number(process.env.UPLOAD_SESSION_TTL_MS || 7 * 24 * 3600 * 1000); // 7 days
+
+// ---------------------------------------------------------------------------
+// Per-domain locks (lib/lock.js)
+// ---------------------------------------------------------------------------
+// A request waiting longer than this for a domain lock fails with 503.
+const LOCK_TIMEOUT_MS = Number(process.env.LOCK_TIMEOUT_MS || 300000); // 5 minutes
+// An advisory _meta/<domain>/.writer.lock from another host is ignored once
+// it hasn't been refreshed for this long (same host: when its pid is gone).
+const LOCK_STALE_MS = Number(process.env.LOCK_STALE_MS || 600000); // 10 minutes
+
+// ---------------------------------------------------------------------------
+// ZIP member extraction (lib/archives.js)
+// ---------------------------------------------------------------------------
+// Extract and index the members of uploaded .zip files. Uploads can override
+// this per request with extract=1 / extract=0.
+const ZIP_EXTRACT_ENABLED = process.env.ZIP_EXTRACT_ENABLED === "1";
+// Members larger than this (uncompressed) are skipped.
+const ZIP_MEMBER_MAX_BYTES = Number(process.env.ZIP_MEMBER_MAX_BYTES || 512 * 1024 * 1024); // 512 MB
+
+// ---------------------------------------------------------------------------
+// Electorate ingest checks (lib/electorates.js)
+// ---------------------------------------------------------------------------
+// A term list shorter than this (or than 80% of the term's previous version)
+// is rejected as suspiciously short unless the ingest passes force.
+const ELECTORATES_MIN_COUNT = Number(process.env.ELECTORATES_MIN_COUNT || 20);
+
 module.exports = {
   PORT,
   BFS_ROOT,
   DOWNLOADS_ROOT,
   META_ROOT,
   RUNS_ROOT,
+  UPLOAD_TMP_DIR,
   ARTIFACT_META_FIRST_ROW,
   ARTIFACT_CHUNK_SIZE,
   AUTO_FINALIZE_ENABLED,
   AUTO_FINALIZE_IDLE_MS,
   AUTO_FINALIZE_INTERVAL_MS,
+  QUEUE_LEASE_MS,
+  UPLOAD_SESSION_TTL_MS,
+  LOCK_TIMEOUT_MS,
+  LOCK_STALE_MS,
+  ZIP_EXTRACT_ENABLED,
+  ZIP_MEMBER_MAX_BYTES,
+  ELECTORATES_MIN_COUNT,
 };
@@ -9,8 +9,22 @@ const { makeUploadRouter } = require("./routes/upload");
 const { makeElectoratesRouter } = require("./routes/electorates");
 const { makeRunsRouter, finalizeDiscoveryRun } = require("./routes/runs");
 const { makeProbeRouter } = require("./routes/probe");
+const { makeDiscoverRouter } = require("./routes/discover");
+const { makeGraphRouter } = require("./routes/graph");
+const { makeAliasesRouter } = require("./routes/aliases");
+const { makeSeedsRouter } = require("./routes/seeds");
+const { makeBudgetsRouter } = require("./routes/budgets");
+const { makeSnapshotsRouter } = require("./routes/snapshots");
+const { makeQueueRouter } = require("./routes/queue");
+const { makeFilesRouter } = require("./routes/files");
+const { makeRoutingRouter } = require("./routes/routing");
+const { makeCalendarRouter } = require("./routes/calendar");
 const { resortDownloads } = require("./lib/resort");
+const { renormalizeDomain } = require("./lib/renormalize");
+const { recordRoutingBaseline, runRoutingFixtures } = require("./lib/routing_fixtures");
+const { configureUrlPolicies } = require("./lib/urlnorm");
 const { startAutoFinalize } = require("./lib/autofinalize");
+const { waitForDomainLockfile } = require("./lib/lock");
 // const { requestLogger } = require("./lib/logger");
 const { listDomainKeys, listFileLevels, computeFilesLevelStatus } = require("./lib/reconcile_files");
 
@@ -20,6 +34,9 @@ function ensureFolders() {
   ensureDir(baseCfg.META_ROOT);
   ensureDir(baseCfg.RUNS_ROOT);
   ensureDir(baseCfg.DOWNLOADS_ROOT);
+
+  // Per-domain URL canonicalisation policies (_meta/<domain>/url_policy.json)
+  configureUrlPolicies({ metaRoot: baseCfg.META_ROOT });
 }
 
 function parseArgs(argv) {
@@ -54,6 +71,16 @@ async function runServer() {
   app.use(makeElectoratesRouter(baseCfg));
   app.use(makeRunsRouter(baseCfg));
   app.use(makeProbeRouter(baseCfg));
+  app.use(makeDiscoverRouter(baseCfg));
+  app.use(makeGraphRouter(baseCfg));
+  app.use(makeAliasesRouter(baseCfg));
+  app.use(makeSeedsRouter(baseCfg));
+  app.use(makeBudgetsRouter(baseCfg));
+  app.use(makeSnapshotsRouter(baseCfg));
+  app.use(makeQueueRouter(baseCfg));
+  app.use(makeFilesRouter(baseCfg));
+  app.use(makeRoutingRouter(baseCfg));
+  app.use(makeCalendarRouter(baseCfg));
 
   // Auto-finalize stale streaming runs (helps when Postman crashes on 10k+ iterations).
   startAutoFinalize({ baseCfg, finalizeDiscoveryRun }).catch((e) => {
@@ -123,15 +150,122 @@ async function runCli(cmd, args) {
     const cfg = domainCfg(baseCfg, domainKey);
     ensureDomainFolders(cfg);
 
+    // Don't move files while the server is writing this domain (advisory
+    // _meta/<domain>/.writer.lock). --wait[=ms] waits for it instead of refusing.
+    const waitMs = args.wait === true ? baseCfg.LOCK_TIMEOUT_MS : Number(args.wait || 0);
+    const holder = await waitForDomainLockfile(cfg.META_DIR, { waitMs, staleMs: baseCfg.LOCK_STALE_MS });
+    if (holder) {
+      console.error(`Domain ${cfg.domain_key} is being written by pid ${holder.pid} on ${holder.hostname} since ${holder.since_ts} (${(holder.resources || []).join(", ")}).`);
+      console.error(`Refusing to resort; retry later or pass --wait[=ms]. Lockfile: ${holder.path}`);
+      process.exit(3);
+    }
+
     // Optional override: allow targeting a custom downloads root.
     const rootOverride = args.root ? String(args.root) : null;
     await resortDownloads({ cfg, downloadsRootOverride: rootOverride, dryRun, conflict, limit });
     return;
   }
 
+  if (cmd === "renormalize") {
+    // Rewrite artifacts/state/indexes under a URL policy (dry-run unless --apply).
+    //  - --policy=/path/to/policy.json: candidate policy (saved as url_policy.json on --apply)
+    //  - default: the domain's current url_policy.json
+    //  - --report=/path/to/report.json: write the full report (merges etc.)
+    //  - --wait[=ms]: with --apply, wait for the server's .writer.lock instead of refusing
+    const dk = safeDomainKey(String(args.domain || "")) || null;
+    const dk2 = args.crawl_root ? require("./lib/domain").domainKeyFromUrl(String(args.crawl_root)) : null;
+    const domainKey = dk || dk2 || "default";
+    const cfg = domainCfg(baseCfg, domainKey);
+    ensureDomainFolders(cfg);
+
+    let policy = null;
+    if (args.policy) {
+      try {
+        policy = JSON.parse(require("fs").readFileSync(String(args.policy), "utf8"));
+      } catch (e) {
+        console.error(`Cannot read policy ${args.policy}: ${String(e?.message || e)}`);
+        process.exit(2);
+      }
+    }
+
+    const dryRun = !args.apply;
+    if (!dryRun) {
+      // Same .writer.lock check as resort-downloads: --apply rewrites state the server owns.
+      const waitMs = args.wait === true ? baseCfg.LOCK_TIMEOUT_MS : Number(args.wait || 0);
+      const holder = await waitForDomainLockfile(cfg.META_DIR, { waitMs, staleMs: baseCfg.LOCK_STALE_MS });
+      if (holder) {
+        console.error(`Domain ${cfg.domain_key} is being written by pid ${holder.pid} on ${holder.hostname} since ${holder.since_ts} (${(holder.resources || []).join(", ")}).`);
+        console.error(`Refusing to renormalize; retry later or pass --wait[=ms]. Lockfile: ${holder.path}`);
+        process.exit(3);
+      }
+    }
+    const report = renormalizeDomain({ cfg, policy, dryRun });
+    if (args.report) require("./lib/fsx").writeJson(String(args.report), report);
+
+    const limit = args.limit ? Number(args.limit) : 50;
+    for (const m of report.merges.slice(0, limit)) {
+      console.log(`${dryRun ? "[DRY]" : "[APPLY]"} MERGE ${m.from.length} -> ${m.to}`);
+      for (const u of m.from) console.log(`           ${u}`);
+    }
+    if (report.merges.length > limit) console.log(`  ... ${report.merges.length - limit} more merges (use --report=... for all)`);
+    for (const a of report.artifacts) {
+      console.log(`${dryRun ? "[DRY]" : "[APPLY]"} ARTIFACT ${a.file}: ${a.before} -> ${a.after} rows`);
+    }
+    console.log(`renormalize: domain=${cfg.domain_key} dryRun=${dryRun}`);
+    console.log(`  urls_seen=${report.urls_seen} urls_changed=${report.urls_changed} merges=${report.merges.length}`);
+    console.log(`  artifacts_changed=${report.artifacts.length} state_changed=${Boolean(report.state?.changed)} graph_files_changed=${report.graph.length}`);
+    if (report.hash_index) {
+      console.log(`  hash_index: records_changed=${report.hash_index.records_changed} sources ${report.hash_index.sources_before} -> ${report.hash_index.sources_after}`);
+    }
+    return;
+  }
+
+  if (cmd === "routing-test") {
+    // Replay the routing regression corpus (lib/routing_fixtures.js) against the current routing.
+    //  - --record: capture the current routing of every hash-index source as the new baseline
+    //  - --fixtures=/path/to/dir: corpus folder (default _meta/<domain>/routing_fixtures/)
+    //  - --report=/path/to/report.json: write every failure
+    //  - --limit=N: failures to print (default 50)
+    // Exits 1 when any case fails.
+    const dk = safeDomainKey(String(args.domain || "")) || null;
+    const dk2 = args.crawl_root ? require("./lib/domain").domainKeyFromUrl(String(args.crawl_root)) : null;
+    const domainKey = dk || dk2 || "default";
+    const cfg = domainCfg(baseCfg, domainKey);
+    const dir = args.fixtures ? require("path").resolve(String(args.fixtures)) : cfg.ROUTING_FIXTURES_DIR;
+
+    if (args.record) {
+      const out = recordRoutingBaseline(cfg, { dir });
+      console.log(`routing-test: domain=${cfg.domain_key} recorded ${out.count} cases -> ${out.dir}`);
+      return;
+    }
+
+    let report;
+    try {
+      report = runRoutingFixtures(cfg, { dir });
+    } catch (e) {
+      console.error(String(e?.message || e));
+      process.exit(2);
+    }
+    if (args.report) require("./lib/fsx").writeJson(String(args.report), report);
+
+    const limit = args.limit ? Number(args.limit) : 50;
+    for (const f of report.failed.slice(0, limit)) {
+      console.log(`FAIL ${f.url}${f.source_page_url ? `  (source ${f.source_page_url})` : ""}`);
+      console.log(`  - ${f.expected}`);
+      console.log(`  + ${f.actual}`);
+    }
+    if (report.failed.length > limit) console.log(`  ... ${report.failed.length - limit} more failures (use --report=... for all)`);
+    console.log(`routing-test: domain=${cfg.domain_key} baseline=${report.recorded_ts || "?"}`);
+    console.log(`  total=${report.total} passed=${report.passed} failed=${report.failed.length}`);
+    if (report.failed.length) process.exit(1);
+    return;
+  }
+
   console.error(`Unknown command: ${cmd}`);
   console.error("Usage:");
-  console.error("  node src/index.js resort-downloads [--domain=example.com | --crawl_root=https://example.com/] [--apply] [--root=/path/to/downloads] [--conflict=suffix|skip|overwrite] [--limit=N]");
+  console.error("  node src/index.js resort-downloads [--domain=example.com | --crawl_root=https://example.com/] [--apply] [--root=/path/to/downloads] [--conflict=suffix|skip|overwrite] [--limit=N] [--wait[=ms]]");
+  console.error("  node src/index.js renormalize [--domain=example.com | --crawl_root=https://example.com/] [--policy=/path/to/url_policy.json] [--apply] [--report=/path/to/report.json] [--limit=N]");
+  console.error("  node src/index.js routing-test [--domain=example.com | --crawl_root=https://example.com/] [--record] [--fixtures=/path/to/dir] [--report=/path/to/report.json] [--limit=N]");
   process.exit(2);
 }
 
@@ -0,0 +1,115 @@
+const { readJsonSafe, writeJson } = require("./fsx");
+const { normalizeUrl, applyAlias } = require("./urlnorm");
+
+// Redirect / alias tracking.
+//
+// Postman follows redirects, so without help the sink only ever sees the
+// requested URL: http/https variants, trailing-slash redirects and moved pages
+// all become distinct nodes. Visited rows and file uploads may carry
+//   final_url        (where the request ended up)
+//   redirect_chain   ([url, ...] or [{url, status}, ...], requested -> final)
+// and every non-final URL is recorded as an alias of the final one in
+// _meta/<domain>/aliases.json:
+//
+//   { "<alias url>": { "to": "<final url>", "status": 301, "first_seen_ts": "...", "last_seen_ts": "..." } }
+
+function loadAliases(cfg) {
+  const raw = readJsonSafe(cfg.ALIASES_PATH, {});
+  return raw && typeof raw === "object" ? raw : {};
+}
+
+// Map alias -> target (un-resolved; applyAlias() follows chains).
+function aliasMapFrom(raw) {
+  const m = new Map();
+  for (const [from, rec] of Object.entries(raw || {})) {
+    const to = typeof rec === "string" ? rec : rec?.to;
+    if (from && to && from !== to) m.set(from, to);
+  }
+  return m;
+}
+
+function loadAliasMap(cfg) {
+  return aliasMapFrom(loadAliases(cfg));
+}
+
+/**
+ * Extract alias pairs from a visited row / upload body.
+ * Returns [{ from, to, status }] (normalized, self-pairs dropped).
+ */
+function aliasPairsFromRow(row) {
+  if (!row || typeof row !== "object" || !row.url) return [];
+  const chain = Array.isArray(row.redirect_chain) ? row.redirect_chain : [];
+  const hops = chain
+    .map((h) => (typeof h === "string" ? { url: h } : h))
+    .filter((h) => h && h.url);
+
+  const finalRaw = row.final_url || (hops.length ? hops[hops.length - 1].url : null);
+  if (!finalRaw) return [];
+  const to = normalizeUrl(finalRaw);
+
+  const out = [];
+  const seen = new Set();
+  const add = (u, status) => {
+    const from = normalizeUrl(u);
+    if (!from || from === to || seen.has(from)) return;
+    seen.add(from);
+    out.push({ from, to, status: Number.isFinite(Number(status)) ? Number(status) : null });
+  };
+
+  add(row.url, hops[0]?.status);
+  for (const h of hops) add(h.url, h.status);
+  return out;
+}
+
+function aliasPairsFromRows(rows) {
+  const out = [];
+  for (const r of Array.isArray(rows) ? rows : []) out.push(...aliasPairsFromRow(r));
+  return out;
+}
+
+/**
+ * Merge alias pairs into aliases.json.
+ * A URL that is the final destination of a redirect served content, so it is
+ * removed as an alias (this also breaks a->b / b->a cycles; newest wins).
+ *
+ * Returns { added, updated, total }.
+ */
+function recordAliases(cfg, pairs) {
+  if (!Array.isArray(pairs) || !pairs.length) return { added: 0, updated: 0, total: null };
+
+  const raw = loadAliases(cfg);
+  const now = new Date().toISOString();
+  let added = 0;
+  let updated = 0;
+
+  for (const p of pairs) {
+    if (!p?.from || !p?.to || p.from === p.to) continue;
+    if (raw[p.to]) delete raw[p.to];
+
+    const cur = raw[p.from];
+    if (!cur) {
+      raw[p.from] = { to: p.to, status: p.status ?? null, first_seen_ts: now, last_seen_ts: now };
+      added++;
+      continue;
+    }
+    if (cur.to !== p.to) updated++;
+    raw[p.from] = { ...cur, to: p.to, status: p.status ?? cur.status ?? null, last_seen_ts: now };
+  }
+
+  writeJson(cfg.ALIASES_PATH, raw);
+  return { added, updated, total: Object.keys(raw).length };
+}
+
+function resolveAlias(cfg, url) {
+  return applyAlias(loadAliasMap(cfg), normalizeUrl(url));
+}
+
+module.exports = {
+  loadAliases,
+  loadAliasMap,
+  aliasMapFrom,
+  aliasPairsFromRow,
+  aliasPairsFromRows,
+  recordAliases,
+  resolveAlias,
+};
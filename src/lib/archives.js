@@ -0,0 +1,91 @@
+const path = require("path");
+
+const { toAbsolute } = require("./paths");
+const { safeMemberPath } = require("./zip");
+const { normalizeUrl } = require("./urlnorm");
+
+// ZIP archive members as first-class downloads.
+//
+// Several terms publish electorate CSVs only inside bulk zips, so without
+// extraction neither routing into NNN_Electorate folders nor SHA dedupe ever
+// sees them. lib/ingest.js extractArchive() runs every member through the
+// normal save path with:
+//
+//   url              <archive url>/<member path>   (virtual: routing sees the
+//                    archive's year / term and the member's own file name)
+//   source_page_url  the archive URL
+//
+// Members routed into an electorate, by-election or referendum folder go
+// there; everything else lands next to the archive in
+//   <archive dir>/<archive name>__zip/<member path>
+//
+// The hash index records the relationship both ways:
+//   archive: members:   [{ path, sha256, bytes }]  (+ extracted_ts)
+//   member:  member_of: [{ archive_sha256, path }]
+
+const MEMBERS_DIR_SUFFIX = "__zip";
+
+// OS junk that is never worth indexing.
+function isJunkMember(memberPath) {
+  return /(^|\/)__MACOSX\//.test(memberPath) || /(^|\/)(\.DS_Store|Thumbs\.db|desktop\.ini)$/i.test(memberPath);
+}
+
+function memberUrl(archiveUrl, memberPath) {
+  const base = String(archiveUrl || "").replace(/[?#].*$/, "").replace(/\/+$/, "");
+  return `${base}/${safeMemberPath(memberPath).split("/").map(encodeURIComponent).join("/")}`;
+}
+
+function archiveMembersDir(archiveAbs) {
+  const ext = path.extname(archiveAbs);
+  return path.join(path.dirname(archiveAbs), `${path.basename(archiveAbs, ext)}${MEMBERS_DIR_SUFFIX}`);
+}
+
+/**
+ * Adjust a member's resolveSavePath() result: keep specific routes, otherwise
+ * place it in the archive's sibling folder. memberOf: { archive_saved_to, path }.
+ */
+function memberRoute(route, memberOf) {
+  if (route.electorateFolder || route.isByElection || route.isReferendum) return route;
+  if (!memberOf?.archive_saved_to) return route;
+  const sub = path.dirname(safeMemberPath(memberOf.path));
+  const finalDir = path.join(archiveMembersDir(toAbsolute(memberOf.archive_saved_to)), sub === "." ? "" : sub);
+  return { ...route, finalDir, outPath: path.join(finalDir, route.filename) };
+}
+
+/**
+ * Record on a member's hash record which archive (and path inside it) it came from.
+ */
+function addMembership(rec, memberOf) {
+  if (!rec || !memberOf?.archive_sha256) return;
+  const list = Array.isArray(rec.member_of) ? rec.member_of : [];
+  const p = safeMemberPath(memberOf.path);
+  if (!list.some((m) => m.archive_sha256 === memberOf.archive_sha256 && m.path === p)) {
+    list.push({ archive_sha256: memberOf.archive_sha256, path: p });
+  }
+  rec.member_of = list;
+}
+
+/**
+ * For resort: the member_of entry that explains source url (a virtual member
+ * URL under one of the archive's URLs), with the archive's current saved_to.
+ * Returns null when url was downloaded directly.
+ */
+function membershipForUrl(rec, url, idx) {
+  for (const m of Array.isArray(rec?.member_of) ? rec.member_of : []) {
+    const archive = idx?.[m.archive_sha256];
+    if (!archive?.saved_to) continue;
+    const fromArchive = (archive.sources || []).some((s) => s?.url && normalizeUrl(url) === normalizeUrl(memberUrl(s.url, m.path)));
+    if (fromArchive) return { ...m, archive_saved_to: archive.saved_to };
+  }
+  return null;
+}
+
+module.exports = {
+  MEMBERS_DIR_SUFFIX,
+  isJunkMember,
+  memberUrl,
+  archiveMembersDir,
+  memberRoute,
+  addMembership,
+  membershipForUrl,
+};
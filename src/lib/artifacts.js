@@ -17,17 +17,37 @@ function makeChunkFileName(basePath, chunkIndex, chunkCount) {
   return `${stem}.part-${pad(chunkIndex, w)}-of-${pad(chunkCount, w)}.json`;
 }
 
+// Keys that describe the artifact rather than the URL (meta-first-row and legacy formats).
+const ARTIFACT_KEYS = new Set(["_meta", "level", "kind", "total_entries"]);
+
+// A urls artifact entry is a URL string or a row {url, source?, lastmod?}.
+function urlRow(u) {
+  if (typeof u === "string") return { url: u };
+  const out = {};
+  for (const [k, v] of Object.entries(u || {})) if (!ARTIFACT_KEYS.has(k) && v != null) out[k] = v;
+  return out;
+}
+
+/**
+ * Read the rows of a urls artifact back (either format), keeping per-URL
+ * fields such as source and lastmod. Returns [{url, ...}].
+ */
+function urlRowsFromArtifact(arr) {
+  return Array.isArray(arr) ? arr.map(urlRow).filter((r) => r.url) : [];
+}
+
 /**
  * Write urls-level-(nextLevel).json and files-level-(level).json
  * Supports two output formats:
  * - metaFirstRow = true: first row is {_meta:true, level, kind, ...real row...}, rest minimal
  * - metaFirstRow = false: every row includes level/kind (legacy)
+ * urls may be URL strings or rows; extra row fields (source, lastmod) are kept.
  */
 function writeUrlArtifact({ path, urls, nextLevel, metaFirstRow }) {
   if (!urls || urls.length === 0) return unlinkIfExists(path);
 
   if (!metaFirstRow) {
-    return writeJson(path, urls.map((url) => ({ url, level: nextLevel, kind: "urls" })));
+    return writeJson(path, urls.map((u) => ({ ...urlRow(u), level: nextLevel, kind: "urls" })));
   }
 
   const first = urls[0];
@@ -35,8 +55,8 @@ function writeUrlArtifact({ path, urls, nextLevel, metaFirstRow }) {
   // Include total_entries in the meta row so downstream tooling can validate completeness
   // without scanning the whole file.
   return writeJson(path, [
-    { _meta: true, level: nextLevel, kind: "urls", total_entries: urls.length, url: first },
-    ...rest.map((url) => ({ url })),
+    { _meta: true, level: nextLevel, kind: "urls", total_entries: urls.length, ...urlRow(first) },
+    ...rest.map(urlRow),
   ]);
 }
 
@@ -45,14 +65,14 @@ function writeUrlsForLevel({ path, urls, level, metaFirstRow }) {
   if (!urls || urls.length === 0) return unlinkIfExists(path);
 
   if (!metaFirstRow) {
-    return writeJson(path, urls.map((url) => ({ url, level, kind: "urls" })));
+    return writeJson(path, urls.map((u) => ({ ...urlRow(u), level, kind: "urls" })));
   }
 
   const first = urls[0];
   const rest = urls.slice(1);
   return writeJson(path, [
-    { _meta: true, level, kind: "urls", total_entries: urls.length, url: first },
-    ...rest.map((url) => ({ url })),
+    { _meta: true, level, kind: "urls", total_entries: urls.length, ...urlRow(first) },
+    ...rest.map(urlRow),
   ]);
 }
 
@@ -97,6 +117,8 @@ function writeFileArtifact({ path, files, level, metaFirstRow }) {
         url: f.url,
         ext: f.ext,
         source_page_url: f.source_page_url || null,
+        ...(f.source ? { source: f.source } : {}),
+        ...(f.lastmod ? { lastmod: f.lastmod } : {}),
         level,
         kind: "files",
       }))
@@ -165,6 +187,7 @@ module.exports = {
   writeUrlArtifact,
   writeFileArtifact,
   writeRowListArtifact,
+  urlRowsFromArtifact,
   writeUrlsForLevel,
   writeChunkedUrls,
   writeFilesForLevel,
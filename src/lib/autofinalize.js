@@ -1,7 +1,7 @@
 const fs = require("fs");
 const path = require("path");
 
-const { withLock } = require("./lock");
+const { withDomainLock, runLockResource } = require("./lock");
 const { domainCfg, ensureDomainFolders } = require("./domain");
 const { logEvent } = require("./logger");
 
@@ -26,86 +26,106 @@ function doneMarkerPath(jsonlPath) {
   return `${jsonlPath}.done`;
 }
 
+// Effective scan interval / idle threshold (clamped so a bad env var can't
+// make the watchdog finalize runs that are still being appended to).
+function autoFinalizeTimings(baseCfg) {
+  return {
+    enabled: Boolean(baseCfg.AUTO_FINALIZE_ENABLED),
+    intervalMs: Math.max(5000, Number(baseCfg.AUTO_FINALIZE_INTERVAL_MS || 60000)),
+    idleMs: Math.max(10000, Number(baseCfg.AUTO_FINALIZE_IDLE_MS || 180000)),
+  };
+}
+
 async function startAutoFinalize({ baseCfg, finalizeDiscoveryRun }) {
   if (!baseCfg.AUTO_FINALIZE_ENABLED) return;
 
-  const intervalMs = Math.max(5000, Number(baseCfg.AUTO_FINALIZE_INTERVAL_MS || 60000));
-  const idleMs = Math.max(10000, Number(baseCfg.AUTO_FINALIZE_IDLE_MS || 180000));
+  const { intervalMs, idleMs } = autoFinalizeTimings(baseCfg);
 
   logEvent("AUTO_FINALIZE_ENABLED", { interval_ms: intervalMs, idle_ms: idleMs });
 
-  setInterval(() => {
+  let scanning = false;
+  setInterval(async () => {
     // Never overlap scans.
-    withLock(async () => {
-      try {
-        const runsRoot = baseCfg.RUNS_ROOT;
-        if (!runsRoot || !fs.existsSync(runsRoot)) return;
-
-        const now = Date.now();
-        const domains = fs.readdirSync(runsRoot, { withFileTypes: true }).filter(d => d.isDirectory());
-
-        for (const d of domains) {
-          const domainKey = d.name;
-          const dir = path.join(runsRoot, domainKey);
-          let files;
-          try {
-            files = fs.readdirSync(dir, { withFileTypes: true }).filter(f => f.isFile() && f.name.endsWith(".jsonl"));
-          } catch {
-            continue;
-          }
-
-          for (const f of files) {
-            const parsed = parseRunFileName(f.name);
-            if (!parsed) continue;
-            const jsonlPath = path.join(dir, f.name);
-            const donePath = doneMarkerPath(jsonlPath);
-            if (fs.existsSync(donePath)) continue;
-
-            let st;
-            try { st = fs.statSync(jsonlPath); } catch { continue; }
-            if (!st || !st.size) continue;
-            const age = now - (st.mtimeMs || st.mtime.getTime());
-            if (age < idleMs) continue;
-
-            // Finalize the run into the correct domain.
-            const cfg = domainCfg(baseCfg, domainKey);
-            ensureDomainFolders(cfg);
-
-            logEvent("AUTO_FINALIZE_TRIGGER", {
-              domain_key: domainKey,
-              level: parsed.level,
-              run_id: parsed.run_id,
-              size_bytes: st.size,
-              age_ms: Math.round(age),
-              jsonl: jsonlPath,
-            });
-
-            const result = await finalizeDiscoveryRun({ baseCfg, cfg, level: parsed.level, run_id: parsed.run_id, jsonlPath });
+    if (scanning) return;
+    scanning = true;
+    try {
+      const runsRoot = baseCfg.RUNS_ROOT;
+      if (!runsRoot || !fs.existsSync(runsRoot)) return;
+
+      const now = Date.now();
+      const domains = fs.readdirSync(runsRoot, { withFileTypes: true }).filter(d => d.isDirectory());
+
+      for (const d of domains) {
+        const domainKey = d.name;
+        const dir = path.join(runsRoot, domainKey);
+        let files;
+        try {
+          files = fs.readdirSync(dir, { withFileTypes: true }).filter(f => f.isFile() && f.name.endsWith(".jsonl"));
+        } catch {
+          continue;
+        }
+
+        for (const f of files) {
+          const parsed = parseRunFileName(f.name);
+          if (!parsed) continue;
+          const jsonlPath = path.join(dir, f.name);
+          const donePath = doneMarkerPath(jsonlPath);
+          if (fs.existsSync(donePath)) continue;
+
+          let st;
+          try { st = fs.statSync(jsonlPath); } catch { continue; }
+          if (!st || !st.size) continue;
+          const age = now - (st.mtimeMs || st.mtime.getTime());
+          if (age < idleMs) continue;
+
+          // Finalize the run into the correct domain.
+          const cfg = domainCfg(baseCfg, domainKey);
+          ensureDomainFolders(cfg);
+
+          logEvent("AUTO_FINALIZE_TRIGGER", {
+            domain_key: domainKey,
+            level: parsed.level,
+            run_id: parsed.run_id,
+            size_bytes: st.size,
+            age_ms: Math.round(age),
+            jsonl: jsonlPath,
+          });
+
+          // Same locks as POST /runs/finalize/urls; other domains keep going meanwhile.
+          const result = await withDomainLock(cfg, ["state", "aliases", runLockResource(parsed.level, parsed.run_id)], async () => {
+            // A manual finalize may have finished this bucket while we waited.
+            if (fs.existsSync(donePath)) return null;
+            const out = await finalizeDiscoveryRun({ baseCfg, cfg, level: parsed.level, run_id: parsed.run_id, jsonlPath });
             // Mark as done even if finalize had nothing new; prevents repeated rescans.
             try {
-              fs.writeFileSync(donePath, JSON.stringify({ ts: new Date().toISOString(), ...result }, null, 2), { encoding: "utf-8" });
+              fs.writeFileSync(donePath, JSON.stringify({ ts: new Date().toISOString(), ...out }, null, 2), { encoding: "utf-8" });
             } catch {}
-
-            logEvent("AUTO_FINALIZE_DONE", {
-              domain_key: domainKey,
-              level: parsed.level,
-              run_id: parsed.run_id,
-              visited: result?.visited,
-              next_pages: result?.next_pages,
-              files: result?.files,
-              remaining: result?.remaining,
-            });
-          }
+            return out;
+          });
+          if (!result) continue;
+
+          logEvent("AUTO_FINALIZE_DONE", {
+            domain_key: domainKey,
+            level: parsed.level,
+            run_id: parsed.run_id,
+            visited: result?.visited,
+            next_pages: result?.next_pages,
+            files: result?.files,
+            remaining: result?.remaining,
+          });
         }
-      } catch (e) {
-        logEvent("AUTO_FINALIZE_ERROR", { error: String(e?.message || e) });
       }
-    });
+    } catch (e) {
+      logEvent("AUTO_FINALIZE_ERROR", { error: String(e?.message || e) });
+    } finally {
+      scanning = false;
+    }
   }, intervalMs);
 }
 
 module.exports = {
   startAutoFinalize,
+  autoFinalizeTimings,
   doneMarkerPath,
   parseRunFileName,
 };
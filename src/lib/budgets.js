@@ -0,0 +1,219 @@
+const fs = require("fs");
+const path = require("path");
+const { URL } = require("url");
+
+const { readJsonSafe, writeJson } = require("./fsx");
+const { writeRowListArtifact, writeUrlArtifact, writeUrlsForLevel, writeChunkedUrls, urlRowsFromArtifact } = require("./artifacts");
+
+// Per-domain crawl budgets: _meta/<domain>/budgets.json
+//
+// {
+//   "max_depth": 8,                                  // no frontier beyond urls-level-8.json
+//   "max_urls_per_level": 5000,                      // cap on urls-level-N.json
+//   "prefix_caps": { "/electionresults_2023/": 500 } // cap per path prefix (longest prefix wins)
+// }
+//
+// Budgets are enforced after scope when the next frontier is produced
+// (/dedupe/level and streaming finalize). Pages are kept in frontier order, so
+// URLs already in urls-level-N.json keep their slot; the overflow goes to
+// urls-deferred-level-N.json with a reason per row. POST /budgets/promote moves
+// deferred URLs back into urls-level-N.json; promoted URLs are remembered in
+// budget_promotions.json so later finalizes don't defer them again.
+
+function loadBudgets(cfg) {
+  const raw = readJsonSafe(cfg.BUDGETS_PATH, null);
+  if (!raw || typeof raw !== "object") return null;
+
+  const num = (v) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : null);
+  const caps = raw.prefix_caps && typeof raw.prefix_caps === "object" ? raw.prefix_caps : {};
+  const prefixCaps = Object.entries(caps)
+    .map(([prefix, max]) => ({ prefix: String(prefix), max: num(max) }))
+    .filter((c) => c.prefix && c.max !== null)
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  return {
+    maxDepth: num(raw.max_depth),
+    maxUrlsPerLevel: num(raw.max_urls_per_level),
+    prefixCaps,
+  };
+}
+
+function prefixCapFor(budgets, url) {
+  if (!budgets.prefixCaps.length) return null;
+  let pathname = "";
+  try { pathname = new URL(String(url)).pathname; } catch {}
+  // Prefixes may be paths ("/results/") or full URL prefixes ("https://host/results/").
+  return budgets.prefixCaps.find((c) => (/^https?:\/\//i.test(c.prefix) ? String(url) : pathname).startsWith(c.prefix)) || null;
+}
+
+function deferredPath(cfg, level) {
+  return path.join(cfg.ARTIFACT_DIR, `urls-deferred-level-${level}.json`);
+}
+
+function readDeferredRows(cfg, level) {
+  const arr = readJsonSafe(deferredPath(cfg, level), []);
+  if (!Array.isArray(arr)) return [];
+  return arr
+    .filter((r) => r && r.url)
+    .map((r) => ({ url: r.url, reason: r.reason || null }));
+}
+
+function loadPromotions(cfg, level) {
+  const raw = readJsonSafe(cfg.BUDGET_PROMOTIONS_PATH, {});
+  const list = raw && Array.isArray(raw[String(level)]) ? raw[String(level)] : [];
+  return new Set(list);
+}
+
+function writeDeferred(cfg, level, rows) {
+  writeRowListArtifact({
+    path: deferredPath(cfg, level),
+    rows,
+    kind: "urls-deferred",
+    level,
+    metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW,
+  });
+}
+
+/**
+ * Apply budgets to the next frontier.
+ * level is the level being deduped/finalized; pages are urls for level+1.
+ *
+ * Returns { pages, deferred:[{url, reason}], deferredSet, path }
+ * (deferredSet also holds rows deferred by earlier parts of the level)
+ */
+function applyBudgets({ cfg, level, pages }) {
+  const budgets = loadBudgets(cfg);
+  if (!budgets) return { pages, deferred: [], deferredSet: new Set(), path: null };
+
+  const nextLevel = level + 1;
+  const promoted = loadPromotions(cfg, nextLevel);
+  const kept = [];
+  const deferred = [];
+  const perPrefix = new Map();
+
+  for (const u of pages || []) {
+    if (promoted.has(u)) {
+      kept.push(u);
+      continue;
+    }
+
+    let reason = null;
+    if (budgets.maxDepth !== null && nextLevel > budgets.maxDepth) {
+      reason = "max_depth";
+    } else {
+      const cap = prefixCapFor(budgets, u);
+      if (cap) {
+        const n = perPrefix.get(cap.prefix) || 0;
+        if (n >= cap.max) reason = `prefix_cap:${cap.prefix}`;
+        else perPrefix.set(cap.prefix, n + 1);
+      }
+      if (!reason && budgets.maxUrlsPerLevel !== null && kept.length >= budgets.maxUrlsPerLevel) {
+        reason = "max_urls_per_level";
+      }
+    }
+
+    if (reason) deferred.push({ url: u, reason });
+    else kept.push(u);
+  }
+
+  // Accumulate across parts: earlier deferrals stay deferred unless they made it in now.
+  const keptSet = new Set(kept);
+  const byUrl = new Map();
+  for (const r of readDeferredRows(cfg, nextLevel)) if (!keptSet.has(r.url)) byUrl.set(r.url, r);
+  for (const r of deferred) byUrl.set(r.url, r);
+  const rows = Array.from(byUrl.values());
+  writeDeferred(cfg, nextLevel, rows);
+
+  return { pages: kept, deferred, deferredSet: new Set(rows.map((r) => r.url)), path: rows.length ? deferredPath(cfg, nextLevel) : null };
+}
+
+/**
+ * Move deferred URLs of level N into urls-level-N.json (and its remaining list,
+ * if the level is already being crawled).
+ *
+ * - limit:  max URLs to promote (default all)
+ * - prefix: only promote URLs whose path (or full URL) starts with this prefix
+ * - reason: only promote rows deferred for this reason (e.g. "max_depth")
+ *
+ * Returns { promoted:[url], remaining_deferred, wrote }
+ */
+function promoteDeferred({ cfg, level, limit = null, prefix = null, reason = null }) {
+  const rows = readDeferredRows(cfg, level);
+  const max = Number.isFinite(Number(limit)) && Number(limit) > 0 ? Number(limit) : Infinity;
+
+  const matches = (r) => {
+    if (reason && r.reason !== reason) return false;
+    if (!prefix) return true;
+    let pathname = "";
+    try { pathname = new URL(r.url).pathname; } catch {}
+    return (/^https?:\/\//i.test(prefix) ? r.url : pathname).startsWith(prefix);
+  };
+
+  const promoted = [];
+  const rest = [];
+  for (const r of rows) {
+    if (promoted.length < max && matches(r)) promoted.push(r.url);
+    else rest.push(r);
+  }
+  if (!promoted.length) return { promoted, remaining_deferred: rest.length, wrote: {} };
+
+  const raw = readJsonSafe(cfg.BUDGET_PROMOTIONS_PATH, {}) || {};
+  raw[String(level)] = Array.from(new Set([...(Array.isArray(raw[String(level)]) ? raw[String(level)] : []), ...promoted]));
+  writeJson(cfg.BUDGET_PROMOTIONS_PATH, raw);
+
+  // Existing rows keep their source/lastmod; promoted URLs are appended.
+  const rowsWith = (p) => {
+    const rows = urlRowsFromArtifact(readJsonSafe(p, []));
+    const have = new Set(rows.map((r) => r.url));
+    return [...rows, ...promoted.filter((u) => !have.has(u)).map((url) => ({ url }))];
+  };
+  const chunkSize = Number(cfg.ARTIFACT_CHUNK_SIZE || 6169);
+
+  const urlsPath = path.join(cfg.ARTIFACT_DIR, `urls-level-${level}.json`);
+  const urls = rowsWith(urlsPath);
+  writeUrlArtifact({ path: urlsPath, urls, nextLevel: level, metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW });
+  writeChunkedUrls({ basePath: urlsPath, urls, level, metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW, chunkSize });
+
+  // Level already (partly) crawled: queue the promoted URLs in the remaining list too.
+  const remainingPath = path.join(cfg.ARTIFACT_DIR, `urls-level-${level}.remaining.json`);
+  let wroteRemaining = null;
+  if (fs.existsSync(remainingPath)) {
+    const remaining = rowsWith(remainingPath);
+    writeUrlsForLevel({ path: remainingPath, urls: remaining, level, metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW });
+    writeChunkedUrls({ basePath: remainingPath, urls: remaining, level, metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW, chunkSize });
+    wroteRemaining = remainingPath;
+  }
+
+  writeDeferred(cfg, level, rest);
+
+  return {
+    promoted,
+    remaining_deferred: rest.length,
+    wrote: { urls: urlsPath, remaining_urls: wroteRemaining, deferred: rest.length ? deferredPath(cfg, level) : null },
+  };
+}
+
+function listDeferredLevels(cfg) {
+  if (!fs.existsSync(cfg.ARTIFACT_DIR)) return [];
+  const out = [];
+  for (const name of fs.readdirSync(cfg.ARTIFACT_DIR)) {
+    const m = name.match(/^urls-deferred-level-(\d+)\.json$/i);
+    if (m) out.push(Number(m[1]));
+  }
+  return out.sort((a, b) => a - b);
+}
+
+/**
+ * URLs deferred from the frontiers of levels 1..maxLevel. Dedupe/finalize count
+ * them as seen, so a deferred URL found again later doesn't re-enter a deeper
+ * frontier past the cap (promotion is the way back in).
+ */
+function deferredUrlsUpTo(cfg, maxLevel) {
+  const out = [];
+  for (const level of listDeferredLevels(cfg)) {
+    if (level <= maxLevel) out.push(...readDeferredRows(cfg, level).map((r) => r.url));
+  }
+  return out;
+}
+
+module.exports = { loadBudgets, applyBudgets, promoteDeferred, readDeferredRows, listDeferredLevels, deferredUrlsUpTo };
@@ -0,0 +1,175 @@
+const { readJsonSafe } = require("./fsx");
+
+// Election calendar: which general election a dated event falls after.
+//
+// Year-only inference can't tell a February by-election from a December one
+// in a general-election year, and cadence guesses break on snap elections.
+// The calendar lists the actual dates:
+//
+//   _meta/<domain>/calendar.json
+//   {
+//     "general_elections": [{ "date": "2017-09-23", "name": "2017 General Election", "termKey"?: "term_52_(2017)" }],
+//     "by_elections":      [{ "date": "2017-02-25", "slug": "2017_mt_albert_byelection", "name": "Mt Albert" }],
+//     "referendums":       [{ "date": "2016-03-24", "slug": "2016_flag_referendum", "name": "Flag (second)" }]
+//   }
+//
+// slug is the event's folder name in URLs (a path segment; case, "_" and "-"
+// are ignored). termKey on a general election is optional: by default its term
+// is the scraped term for that year (electorates_by_term.json).
+//
+// The routing profile brings a built-in calendar ("nz" below); the domain's
+// calendar.json is merged over it, entries with the same date (general
+// elections) or slug / date (events) replacing the built-in ones. Maintained
+// through POST /meta/calendar; read by lib/routing.js via loadRoutingProfile().
+
+const KINDS = ["general_elections", "by_elections", "referendums"];
+
+const NZ_CALENDAR = {
+  general_elections: [
+    { date: "1990-10-27", name: "1990 General Election" },
+    { date: "1993-11-06", name: "1993 General Election" },
+    { date: "1996-10-12", name: "1996 General Election" },
+    { date: "1999-11-27", name: "1999 General Election" },
+    { date: "2002-07-27", name: "2002 General Election" },
+    { date: "2005-09-17", name: "2005 General Election" },
+    { date: "2008-11-08", name: "2008 General Election" },
+    { date: "2011-11-26", name: "2011 General Election" },
+    { date: "2014-09-20", name: "2014 General Election" },
+    { date: "2017-09-23", name: "2017 General Election" },
+    { date: "2020-10-17", name: "2020 General Election" },
+    { date: "2023-10-14", name: "2023 General Election" },
+  ],
+  // By-elections held earlier in a general-election year (their URLs carry no month).
+  by_elections: [
+    { date: "2011-03-05", slug: "2011_botany_byelection", name: "Botany by-election" },
+    { date: "2011-06-25", slug: "2011_te_tai_tokerau_byelection", name: "Te Tai Tokerau by-election" },
+    { date: "2017-02-25", slug: "2017_mt_albert_byelection", name: "Mt Albert by-election" },
+  ],
+  referendums: [],
+};
+
+const BUILTIN_CALENDARS = { nz: NZ_CALENDAR };
+
+function slugKey(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+function isIsoDate(s) {
+  const m = String(s || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+function entryKey(kind, e) {
+  return kind === "general_elections" || !e.slug ? `date:${e.date}` : `slug:${slugKey(e.slug)}`;
+}
+
+/**
+ * Check a calendar document (all keys optional). Returns error strings.
+ */
+function validateCalendar(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return ["calendar must be an object"];
+  for (const kind of KINDS) {
+    if (doc[kind] === undefined) continue;
+    if (!Array.isArray(doc[kind])) {
+      errors.push(`${kind}: expected an array`);
+      continue;
+    }
+    doc[kind].forEach((e, i) => {
+      const where = `${kind}[${i}]`;
+      if (!e || typeof e !== "object") return errors.push(`${where}: expected an object`);
+      if (!isIsoDate(e.date)) errors.push(`${where}: date must be YYYY-MM-DD`);
+      if (e.slug !== undefined && (typeof e.slug !== "string" || !slugKey(e.slug))) errors.push(`${where}: invalid slug`);
+      if (e.termKey !== undefined && kind !== "general_elections") errors.push(`${where}: termKey is only for general_elections`);
+    });
+  }
+  return errors;
+}
+
+/**
+ * Merge calendar documents left to right (later entries replace earlier ones
+ * with the same key). Returns a new document, each list sorted by date.
+ */
+function mergeCalendars(...docs) {
+  const out = {};
+  for (const kind of KINDS) {
+    const byKey = new Map();
+    for (const doc of docs) {
+      for (const e of Array.isArray(doc?.[kind]) ? doc[kind] : []) byKey.set(entryKey(kind, e), e);
+    }
+    out[kind] = [...byKey.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return out;
+}
+
+/**
+ * Effective calendar: the profile's built-in calendar with the domain's
+ * calendar.json (cfg.CALENDAR_PATH) merged over it.
+ */
+function loadCalendar(cfg, builtin = null) {
+  const doc = cfg?.CALENDAR_PATH ? readJsonSafe(cfg.CALENDAR_PATH, null) : null;
+  if (doc && validateCalendar(doc).length) throw new Error(`Invalid calendar.json: ${validateCalendar(doc).join("; ")}`);
+  return mergeCalendars(BUILTIN_CALENDARS[builtin] || {}, doc || {});
+}
+
+/**
+ * The by-election / referendum an event belongs to, by slug (any path segment
+ * of urls) or else by exact date. kind: "by_elections" | "referendums".
+ */
+function findCalendarEvent(calendar, kind, { urls = [], date = null } = {}) {
+  const events = calendar?.[kind] || [];
+  const segments = new Set();
+  for (const u of urls) {
+    if (!u) continue;
+    let p = String(u);
+    try {
+      p = new URL(p).pathname;
+    } catch {}
+    for (const seg of p.split("/")) {
+      let s = seg;
+      try {
+        s = decodeURIComponent(seg);
+      } catch {}
+      if (slugKey(s)) segments.add(slugKey(s));
+    }
+  }
+  const bySlug = events.find((e) => e.slug && segments.has(slugKey(e.slug)));
+  if (bySlug) return { event: bySlug, by: "slug" };
+  const byDate = date ? events.find((e) => e.date === date) : null;
+  return byDate ? { event: byDate, by: "date" } : null;
+}
+
+/**
+ * The latest general election on or before date (YYYY-MM-DD), or null.
+ */
+function generalElectionBefore(calendar, date) {
+  let found = null;
+  for (const ge of calendar?.general_elections || []) {
+    if (ge.date <= date) found = ge;
+  }
+  return found;
+}
+
+/**
+ * Calendar year range [first, last] of its general elections, or null.
+ */
+function calendarYears(calendar) {
+  const ges = calendar?.general_elections || [];
+  if (!ges.length) return null;
+  return { first: Number(ges[0].date.slice(0, 4)), last: Number(ges[ges.length - 1].date.slice(0, 4)) };
+}
+
+module.exports = {
+  KINDS,
+  BUILTIN_CALENDARS,
+  validateCalendar,
+  mergeCalendars,
+  loadCalendar,
+  findCalendarEvent,
+  generalElectionBefore,
+  calendarYears,
+};
@@ -1,31 +1,40 @@
-const { normalizeUrl, extFromUrl } = require("./urlnorm");
+const { normalizeUrl, extFromUrl, applyAlias } = require("./urlnorm");
 
 /**
  * BFS-critical merge:
  * - Uniqueness key = file.url ONLY (normalized)
  * - Prefer non-null source_page_url
  * - Prefer non-"bin" ext
+ * - Keep source (e.g. "sitemap") once seen; the last lastmod seen wins
+ * - aliases (optional): Map alias -> canonical URL; redirect aliases collapse
  */
-function mergeFilesPreferSource(files) {
+function mergeFilesPreferSource(files, aliases) {
   const byUrl = new Map();
 
   for (const f of Array.isArray(files) ? files : []) {
     if (!f) continue;
-    const url = f.url ? normalizeUrl(f.url) : "";
+    const url = f.url ? applyAlias(aliases, normalizeUrl(f.url)) : "";
     if (!url) continue;
 
     const ext = (f.ext || extFromUrl(url) || "bin").toLowerCase();
     const source_page_url = f.source_page_url ? normalizeUrl(f.source_page_url) : null;
 
+    const extra = {
+      ...(f.source ? { source: f.source } : {}),
+      ...(f.lastmod ? { lastmod: f.lastmod } : {}),
+    };
+
     const cur = byUrl.get(url);
     if (!cur) {
-      byUrl.set(url, { url, ext, source_page_url });
+      byUrl.set(url, { url, ext, source_page_url, ...extra });
       continue;
     }
 
     const merged = { ...cur };
     if ((!merged.ext || merged.ext === "bin") && ext && ext !== "bin") merged.ext = ext;
     if (!merged.source_page_url && source_page_url) merged.source_page_url = source_page_url;
+    if (!merged.source && extra.source) merged.source = extra.source;
+    if (extra.lastmod) merged.lastmod = extra.lastmod;
 
     byUrl.set(url, merged);
   }
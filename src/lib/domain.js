@@ -67,6 +67,11 @@ function domainCfg(baseCfg, domainKey) {
   const RUNS_DIR = path.join(baseCfg.RUNS_ROOT, dk);
   const ARTIFACT_DIR = path.join(META_DIR, "artifacts");
   const LEVEL_FILES_DIR = path.join(META_DIR, "level_files");
+  const GRAPH_DIR = path.join(META_DIR, "graph");
+  const SNAPSHOTS_DIR = path.join(META_DIR, "snapshots");
+  const QUEUE_DIR = path.join(META_DIR, "queue");
+  const UPLOAD_SESSIONS_DIR = path.join(META_DIR, "upload_sessions");
+  const ROUTING_FIXTURES_DIR = path.join(META_DIR, "routing_fixtures");
 
   return {
     ...baseCfg,
@@ -77,13 +82,30 @@ function domainCfg(baseCfg, domainKey) {
     RUNS_DIR,
     ARTIFACT_DIR,
     LEVEL_FILES_DIR,
+    GRAPH_DIR,
+    SNAPSHOTS_DIR,
+    QUEUE_DIR,
+    UPLOAD_SESSIONS_DIR,
+    ROUTING_FIXTURES_DIR,
     DOWNLOADS_ROOT: path.join(baseCfg.DOWNLOADS_ROOT, dk),
 
     // Domain-scoped state files
     STATE_PATH: path.join(META_DIR, "state.json"),
     ELECTORATES_BY_TERM_PATH: path.join(META_DIR, "electorates_by_term.json"),
     DOWNLOADED_HASH_INDEX_PATH: path.join(META_DIR, "downloaded_hash_index.json"),
+    URL_INDEX_PATH: path.join(META_DIR, "url_index.json"),
+    ROUTING_PATH: path.join(META_DIR, "routing.json"),
+    CALENDAR_PATH: path.join(META_DIR, "calendar.json"),
     PROBE_META_INDEX_PATH: path.join(META_DIR, "probe_meta_index.json"),
+    PAGE_FINGERPRINT_INDEX_PATH: path.join(META_DIR, "page_fingerprint_index.json"),
+    DISCOVER_RULES_PATH: path.join(META_DIR, "discover_rules.json"),
+    SCOPE_PATH: path.join(META_DIR, "scope.json"),
+    ALIASES_PATH: path.join(META_DIR, "aliases.json"),
+    URL_POLICY_PATH: path.join(META_DIR, "url_policy.json"),
+    ROBOTS_PATH: path.join(META_DIR, "robots.json"),
+    SITEMAP_INDEX_PATH: path.join(META_DIR, "sitemap_index.json"),
+    BUDGETS_PATH: path.join(META_DIR, "budgets.json"),
+    BUDGET_PROMOTIONS_PATH: path.join(META_DIR, "budget_promotions.json"),
 
     // Domain-scoped logs
     LOG_DEDUPE: path.join(RUNS_DIR, "dedupe_log.jsonl"),
@@ -93,6 +115,7 @@ function domainCfg(baseCfg, domainKey) {
     LOG_ELECTORATES_INGEST: path.join(META_DIR, "electorates_by_term.jsonl"),
     LOG_LEVEL_RESETS: path.join(META_DIR, "level_resets.jsonl"),
     LOG_META_PROBES: path.join(META_DIR, "meta_probes.jsonl"),
+    LOG_SEEDS: path.join(META_DIR, "seeds.jsonl"),
   };
 }
 
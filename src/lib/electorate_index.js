@@ -0,0 +1,121 @@
+const { cleanElectorateName } = require("./electorates");
+
+// Electorate enumeration from electionresults.govt.nz index pages
+// (formerly the "Step 0. Get Electorate Enumeration" Postman script).
+//
+// The pages are listed in _meta/electionresults.govt.nz/electorate-map-urls.json.
+// Each general election publishes its numbered electorate list differently:
+//
+//   details    2017+      electorate-status.html     <a href="electorate-details-N.html">Name</a>
+//   numbered   2002-2014  electorateindex.html       <a href="electorate-N[-notable].html">Name</a>
+//   part_viii  1999       e9/html/e9_partVIII.html   "27 <a ...>Mt Albert</a>" (Candidate Vote Details)
+//   pdf        1996       pollingplaces.html         <a href=".../Name NN.pdf">Name</a>
+//
+// The GE year comes from the page URL (/electionresults_YYYY/) and picks the
+// format; the term from YEAR_TO_TERM unless the caller passes a termKey.
+
+const YEAR_TO_TERM = { 1996: 45, 1999: 46, 2002: 47, 2005: 48, 2008: 49, 2011: 50, 2014: 51, 2017: 52, 2020: 53, 2023: 54 };
+
+// Anchor text: drop nested tags, "^" markers and "(.pdf 123kb)" suffixes.
+function anchorName(inner) {
+  return cleanElectorateName(
+    String(inner || "")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/^\s*\^+\s*/, "")
+      .replace(/\s*\(\.pdf[^)]*\)\s*$/i, "")
+  );
+}
+
+function parseDetails(html) {
+  const out = [];
+  const re = /<a\b[^>]*href=["'][^"']*electorate-details-(\d+)[^"']*\.html[^"']*["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) out.push({ num: Number(m[1]), name: anchorName(m[2]) });
+  return out;
+}
+
+function parseNumbered(html) {
+  const out = [];
+  const re = /<a\b[^>]*href=["'][^"']*electorate-(\d+)(?:-[^"']+)?\.html[^"']*["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) out.push({ num: Number(m[1]), name: anchorName(m[2]) });
+  return out;
+}
+
+function parsePartViii(html) {
+  // Only the Candidate Vote Details section when present (fewer false hits).
+  const start = html.indexOf("Candidate Vote Details");
+  const end = html.indexOf("Party Vote Details");
+  const section = start >= 0 && end > start ? html.slice(start, end) : html;
+
+  const out = [];
+  const re = /(?:^|>|\n)\s*(\d{1,3})\s*(?:<\/?\w+[^>]*>\s*)*<a[^>]*>\s*([^<]+?)\s*<\/a>/gi;
+  let m;
+  while ((m = re.exec(section)) !== null) out.push({ num: Number(m[1]), name: anchorName(m[2]) });
+  return out;
+}
+
+function parsePdfLinks(html, pageUrl) {
+  const out = [];
+  const re = /href=["']([^"']+\.pdf)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    let href = m[1];
+    try {
+      href = new URL(href, pageUrl || undefined).toString();
+    } catch {}
+    try {
+      href = decodeURIComponent(href);
+    } catch {}
+    // Electorate number is the trailing " NN" of the file name.
+    const num = href.match(/\s(\d{2})\.pdf$/i);
+    if (num) out.push({ num: Number(num[1]), name: anchorName(m[2]) });
+  }
+  return out;
+}
+
+const FORMATS = {
+  details: { parse: parseDetails, years: (y) => y >= 2017 },
+  numbered: { parse: parseNumbered, years: (y) => y >= 2002 && y <= 2014 },
+  part_viii: { parse: parsePartViii, years: (y) => y === 1999 },
+  pdf: { parse: parsePdfLinks, years: (y) => y === 1996 },
+};
+
+// GE year from the page URL, else from a termKey like term_47_(2002).
+function geYearFor(pageUrl, termKey) {
+  const m = String(pageUrl || "").match(/electionresults_(\d{4})/i) || String(termKey || "").match(/\((\d{4})\)$/);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Parse an electorate index page.
+ * opts: { url, termKey?, format? }  (format forces one of FORMATS; else by GE year)
+ * Returns { geYear, termKey, format, count, official_order: { "N": name } }.
+ * Throws when the term or format can't be determined; count 0 when nothing matched.
+ */
+function parseElectorateIndex(html, { url = null, termKey = null, format = null } = {}) {
+  const geYear = geYearFor(url, termKey);
+  const tk = termKey || (geYear && YEAR_TO_TERM[geYear] ? `term_${YEAR_TO_TERM[geYear]}_(${geYear})` : null);
+  if (!tk) throw new Error(`Cannot tell the term for ${url || "page"} (pass termKey)`);
+  if (format && !FORMATS[format]) throw new Error(`Unknown format "${format}" (expected ${Object.keys(FORMATS).join(" | ")})`);
+
+  const names = format ? [format] : Object.keys(FORMATS).filter((f) => geYear && FORMATS[f].years(geYear));
+  if (!names.length) throw new Error(`No electorate index format for ${geYear ?? "unknown year"} (pass format)`);
+
+  // First format that yields rows; first name wins per number.
+  let used = names[0];
+  let pairs = [];
+  for (const f of names) {
+    pairs = FORMATS[f].parse(String(html || ""), url).filter((p) => Number.isInteger(p.num) && p.num > 0 && p.name);
+    used = f;
+    if (pairs.length) break;
+  }
+  const byNum = new Map();
+  for (const p of pairs) if (!byNum.has(p.num)) byNum.set(p.num, p.name);
+
+  const official_order = {};
+  for (const n of [...byNum.keys()].sort((a, b) => a - b)) official_order[String(n)] = byNum.get(n);
+  return { geYear, termKey: tk, format: used, count: byNum.size, official_order };
+}
+
+module.exports = { YEAR_TO_TERM, FORMATS, parseElectorateIndex };
@@ -1,6 +1,8 @@
+const fs = require("fs");
 const path = require("path");
 const { readJsonSafe, writeJson, ensureDir } = require("./fsx");
 const { decodeHtmlEntities } = require("./html");
+const { appendJsonl } = require("./jsonl");
 
 function cleanElectorateName(name) {
   if (!name) return null;
@@ -19,6 +21,201 @@ function saveElectoratesMeta(path, meta) {
   writeJson(path, meta);
 }
 
+// electorates_by_term.jsonl is the ingest history. Every accepted list is a
+// versioned entry with the full payload:
+//   { ts, action: "set", termKey, version, count, forced, issues, source?, url?, format?,
+//     official_order (as stored), payload (official_order as posted) }
+// rejected ingests ({ action: "rejected", ... }) and resets ({ action: "reset" })
+// are logged too. Entries from before versioning have no action / version.
+
+// Name identity across terms and spellings: "Māngere" == "Mangere", "Mt  Albert" == "mt albert".
+function nameKey(s) {
+  return decodeHtmlEntities(String(s || ""))
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+function readElectoratesHistory(cfg) {
+  const p = cfg.LOG_ELECTORATES_INGEST;
+  if (!p || !fs.existsSync(p)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(p, "utf8").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch {}
+  }
+  return out;
+}
+
+/**
+ * Accepted versions of one term, oldest first.
+ */
+function termElectorateVersions(cfg, termKey) {
+  return readElectoratesHistory(cfg).filter((e) => e?.termKey === termKey && e.action === "set" && Number.isInteger(e.version));
+}
+
+/**
+ * Ingest checks for a term's list. raw: official_order as posted; cleaned: as it
+ * would be stored. Returns issues [{ check, message, ...detail }]:
+ *   dropped       entries with an invalid number or an empty name
+ *   gaps          numbers missing from 1..max
+ *   duplicates    the same name (folded) under several numbers
+ *   short         fewer than ELECTORATES_MIN_COUNT, or under 80% of the previous version
+ *   html_residue  names still containing tags, entities or markup
+ */
+function checkTermElectorates(raw, cleaned, { minCount = 0, previousCount = null } = {}) {
+  const issues = [];
+
+  // Compare numbers, not raw keys: "01" is stored as "1".
+  const dropped = Object.keys(raw || {}).filter((k) => {
+    const n = Number(k);
+    return !Number.isInteger(n) || n <= 0 || !(String(n) in cleaned);
+  });
+  if (dropped.length) issues.push({ check: "dropped", message: `${dropped.length} entries with an invalid number or empty name`, numbers: dropped });
+
+  const nums = Object.keys(cleaned).map(Number).sort((a, b) => a - b);
+  const have = new Set(nums);
+  const missing = [];
+  for (let n = 1; n <= (nums[nums.length - 1] || 0); n++) if (!have.has(n)) missing.push(n);
+  if (missing.length) issues.push({ check: "gaps", message: `numbering has ${missing.length} gaps`, missing });
+
+  const byName = new Map();
+  for (const [num, name] of Object.entries(cleaned)) {
+    const k = nameKey(name);
+    byName.set(k, [...(byName.get(k) || []), Number(num)]);
+  }
+  const duplicates = [...byName.entries()].filter(([, list]) => list.length > 1).map(([, list]) => ({ name: cleaned[String(list[0])], numbers: list }));
+  if (duplicates.length) issues.push({ check: "duplicates", message: `${duplicates.length} names appear more than once`, duplicates });
+
+  const count = nums.length;
+  if (count < minCount) {
+    issues.push({ check: "short", message: `only ${count} electorates (minimum ${minCount})`, count, min: minCount });
+  } else if (previousCount && count < previousCount * 0.8) {
+    issues.push({ check: "short", message: `only ${count} electorates, previous version had ${previousCount}`, count, previous: previousCount });
+  }
+
+  const residue = Object.entries(cleaned)
+    .filter(([, name]) => /[<>]|&#?[a-z0-9]+;|\bhref\b|\.html?\b|\.pdf\b/i.test(name))
+    .map(([num, name]) => ({ num: Number(num), name }));
+  if (residue.length) issues.push({ check: "html_residue", message: `${residue.length} names contain HTML residue`, names: residue });
+
+  return issues;
+}
+
+/**
+ * Replace one term's electorates in electorates_by_term.json.
+ * official_order: { "N": name }; names are cleaned, invalid numbers dropped and
+ * alphabetical_order rebuilt. The list is checked first (checkTermElectorates):
+ * with issues it is only stored when opts.force is set.
+ * opts: { force, dryRun, source, url, format }
+ * Returns { termKey, stored, version, count, issues, official_order, alphabetical_order }.
+ */
+function setTermElectorates(cfg, termKey, official_order, { force = false, dryRun = false, ...extra } = {}) {
+  const cleanedOfficial = {};
+  for (const [num, name] of Object.entries(official_order || {})) {
+    const n = Number(num);
+    if (!Number.isFinite(n) || n <= 0 || !Number.isInteger(n)) continue;
+    const clean = cleanElectorateName(name);
+    if (clean) cleanedOfficial[String(n)] = clean;
+  }
+
+  const names = Object.values(cleanedOfficial);
+  const alpha = [...names].sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
+  const rebuiltAlpha = {};
+  alpha.forEach((nm, i) => (rebuiltAlpha[nm] = i + 1));
+
+  const versions = termElectorateVersions(cfg, termKey);
+  const previous = versions[versions.length - 1] || null;
+  const count = names.length;
+  const issues = checkTermElectorates(official_order || {}, cleanedOfficial, {
+    minCount: cfg.ELECTORATES_MIN_COUNT || 0,
+    previousCount: previous?.count ?? null,
+  });
+  const stored = !dryRun && (!issues.length || Boolean(force));
+  const version = stored ? (previous?.version || 0) + 1 : null;
+  const out = { termKey, stored, version, count, issues, official_order: cleanedOfficial, alphabetical_order: rebuiltAlpha };
+  if (dryRun) return out;
+
+  const entry = {
+    ts: new Date().toISOString(),
+    action: stored ? "set" : "rejected",
+    termKey,
+    ...(stored ? { version } : {}),
+    count,
+    forced: Boolean(force && issues.length),
+    issues,
+    ...extra,
+    official_order: cleanedOfficial,
+    payload: official_order || {},
+  };
+  if (stored) {
+    const meta = loadElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH);
+    meta[termKey] = { official_order: cleanedOfficial, alphabetical_order: rebuiltAlpha };
+    saveElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH, meta);
+  }
+  appendJsonl(cfg.LOG_ELECTORATES_INGEST, entry);
+  return out;
+}
+
+/**
+ * A term's official_order: the current one, or version N from the history
+ * (ref "term_52_(2017)@3"). Returns null when unknown.
+ */
+function resolveTermElectorates(cfg, ref) {
+  const m = String(ref || "").match(/^(.+?)(?:@(\d+))?$/);
+  if (!m) return null;
+  const [, termKey, version] = m;
+  if (version) {
+    const v = termElectorateVersions(cfg, termKey).find((e) => e.version === Number(version));
+    return v ? { termKey, version: v.version, official_order: v.official_order } : null;
+  }
+  const t = loadElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH)[termKey];
+  return t?.official_order ? { termKey, version: null, official_order: t.official_order } : null;
+}
+
+/**
+ * Compare two official_order maps. Names are matched folded (macrons, case,
+ * punctuation); a name that is gone from one number while a new name appears
+ * under the same number counts as a rename.
+ * Returns { renamed, added, removed, renumbered, unchanged }.
+ */
+function diffElectorates(fromOrder, toOrder) {
+  const entries = (o) =>
+    Object.entries(o || {})
+      .map(([num, name]) => ({ num: Number(num), name, key: nameKey(name) }))
+      .sort((a, b) => a.num - b.num);
+  const from = entries(fromOrder);
+  const to = entries(toOrder);
+  const toByKey = new Map(to.map((e) => [e.key, e]));
+  const fromKeys = new Set(from.map((e) => e.key));
+
+  const renumbered = [];
+  let unchanged = 0;
+  for (const e of from) {
+    const t = toByKey.get(e.key);
+    if (!t) continue;
+    if (t.num !== e.num) renumbered.push({ name: t.name, from: e.num, to: t.num });
+    else unchanged++;
+  }
+
+  const fromLeft = from.filter((e) => !toByKey.has(e.key));
+  const toLeft = new Map(to.filter((e) => !fromKeys.has(e.key)).map((e) => [e.num, e]));
+  const renamed = [];
+  const removed = [];
+  for (const e of fromLeft) {
+    const t = toLeft.get(e.num);
+    if (t) {
+      renamed.push({ num: e.num, from: e.name, to: t.name });
+      toLeft.delete(e.num);
+    } else {
+      removed.push({ num: e.num, name: e.name });
+    }
+  }
+  const added = [...toLeft.values()].map((e) => ({ num: e.num, name: e.name }));
+  return { renamed, added, removed, renumbered, unchanged };
+}
+
 /**
  * Create (if missing) the canonical electorate folders for a term.
  * Folder format: NNN_Electorate Name (NNN is 1-based official order).
@@ -46,5 +243,11 @@ module.exports = {
   cleanElectorateName,
   loadElectoratesMeta,
   saveElectoratesMeta,
+  setTermElectorates,
+  checkTermElectorates,
+  readElectoratesHistory,
+  termElectorateVersions,
+  resolveTermElectorates,
+  diffElectorates,
   ensureTermElectorateFolders,
 };
@@ -0,0 +1,219 @@
+const { URL } = require("url");
+
+const { readJsonSafe } = require("./fsx");
+const { decodeHtmlEntities } = require("./html");
+const { normalizeUrl, extFromUrl } = require("./urlnorm");
+
+// Server-side link extraction for "Step 1. Discover Links".
+//
+// This used to live in the Postman test scripts (duplicated across both
+// collection variants, with its own weaker normalizeUrl). Postman now only
+// needs to POST the raw HTML + final URL; the sink resolves and classifies.
+
+// Generic downloadable extensions (extension-based; probing can refine later).
+const DEFAULT_FILE_EXTS = [
+  "pdf", "doc", "docx", "rtf", "odt", "epub",
+  "ppt", "pptx", "odp",
+  "xls", "xlsx", "ods", "csv", "tsv",
+  "txt", "md", "brf",
+  "zip", "7z", "tar", "gz", "tgz", "bz2", "xz", "rar",
+  "mp3", "m4a", "wav", "ogg", "flac",
+];
+
+const DEFAULT_JUNK_PATTERNS = [
+  "\\.(css|js|mjs|map|png|jpg|jpeg|gif|webp|svg|ico|woff2?|ttf|eot|otf)(\\?|#|$)",
+  "/(assets|static|images|img|fonts)/",
+];
+
+// Crawler plumbing rather than content; checked before file extensions (robots.txt
+// would otherwise be a "txt" file). Fetch them for /discover/robots and /discover/sitemap.
+const JUNK_PATHS = new Set(["/robots.txt", "/sitemap.xml"]);
+
+const SKIP_PREFIXES = ["#", "javascript:", "mailto:", "tel:", "data:"];
+
+function compilePatterns(list) {
+  const out = [];
+  for (const p of Array.isArray(list) ? list : []) {
+    try {
+      out.push(new RegExp(String(p), "i"));
+    } catch {
+      // ignore invalid patterns rather than failing the whole page
+    }
+  }
+  return out;
+}
+
+/**
+ * Load per-domain discovery rules from _meta/<domain>/discover_rules.json.
+ *
+ * Shape (all optional):
+ * {
+ *   "file_exts": [...],            // replaces the default list
+ *   "extra_file_exts": [...],      // appended to the list
+ *   "junk_patterns": [...],        // replaces the default junk regexes
+ *   "extra_junk_patterns": [...],  // appended to the junk regexes
+ *   "allow_other_origins": false   // keep links that leave the page origin
+ * }
+ */
+function loadDiscoverRules(cfg) {
+  const raw = readJsonSafe(cfg.DISCOVER_RULES_PATH, {}) || {};
+
+  const exts = [
+    ...(Array.isArray(raw.file_exts) ? raw.file_exts : DEFAULT_FILE_EXTS),
+    ...(Array.isArray(raw.extra_file_exts) ? raw.extra_file_exts : []),
+  ].map((e) => String(e).replace(/^\./, "").toLowerCase()).filter(Boolean);
+
+  const junk = [
+    ...(Array.isArray(raw.junk_patterns) ? raw.junk_patterns : DEFAULT_JUNK_PATTERNS),
+    ...(Array.isArray(raw.extra_junk_patterns) ? raw.extra_junk_patterns : []),
+  ];
+
+  return {
+    fileExts: new Set(exts),
+    junk: compilePatterns(junk),
+    allowOtherOrigins: Boolean(raw.allow_other_origins),
+  };
+}
+
+function isSkippableHref(href) {
+  const h = String(href || "").trim().toLowerCase();
+  if (!h) return true;
+  return SKIP_PREFIXES.some((p) => h.startsWith(p));
+}
+
+function attrValues(html, attr) {
+  // Whitespace before the name, so "href" doesn't match data-href.
+  const re = new RegExp(`(?<=\\s)${attr}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, "gi");
+  const out = [];
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const v = m[1] ?? m[2] ?? m[3] ?? "";
+    out.push(decodeHtmlEntities(v).trim());
+  }
+  return out;
+}
+
+function srcsetUrls(value) {
+  // "a.png 1x, b.png 2x" -> ["a.png", "b.png"]
+  return String(value || "")
+    .split(",")
+    .map((part) => part.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+function metaRefreshUrls(html) {
+  const out = [];
+  const re = /<meta\b[^>]*http-equiv\s*=\s*["']?refresh["']?[^>]*>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const content = attrValues(m[0], "content")[0] || "";
+    const mm = content.match(/url\s*=\s*['"]?([^'";]+)/i);
+    if (mm) out.push(mm[1].trim());
+  }
+  return out;
+}
+
+function baseHref(html) {
+  const m = /<base\b[^>]*>/i.exec(html);
+  if (!m) return null;
+  return attrValues(m[0], "href")[0] || null;
+}
+
+/**
+ * Collect raw link candidates from an HTML document.
+ * Returns [{ raw, via }] in document order (via: href|src|srcset|meta-refresh).
+ */
+function collectRawLinks(html) {
+  // <base href> is a resolution hint, not a link.
+  const s = String(html || "").replace(/<base\b[^>]*>/gi, "");
+  const out = [];
+  for (const v of attrValues(s, "href")) out.push({ raw: v, via: "href" });
+  for (const v of attrValues(s, "src")) out.push({ raw: v, via: "src" });
+  for (const v of attrValues(s, "srcset")) {
+    for (const u of srcsetUrls(v)) out.push({ raw: u, via: "srcset" });
+  }
+  for (const v of metaRefreshUrls(s)) out.push({ raw: v, via: "meta-refresh" });
+  return out;
+}
+
+function classifyUrl(u, rules) {
+  let pathname = "";
+  try { pathname = new URL(u).pathname.toLowerCase(); } catch {}
+  if (JUNK_PATHS.has(pathname)) return "junk";
+  const ext = (u.match(/\.([a-z0-9]+)(?:\?|#|$)/i) || [])[1];
+  if (ext && rules.fileExts.has(ext.toLowerCase())) return "file";
+  if (rules.junk.some((re) => re.test(u))) return "junk";
+  return "page";
+}
+
+/**
+ * Extract and classify links from a fetched page.
+ *
+ * pageUrl is the URL the page was requested as (used as source_page_url),
+ * finalUrl is where it ended up after redirects (used to resolve relatives).
+ *
+ * Returns { pages:[{url}], files:[{url,ext,source_page_url}], skipped:{...} }
+ */
+function extractLinks({ html, pageUrl, finalUrl, rules }) {
+  const sourcePageUrl = normalizeUrl(pageUrl);
+  const resolveFrom = String(finalUrl || pageUrl);
+
+  let base = resolveFrom;
+  const bh = baseHref(html);
+  if (bh) {
+    try { base = new URL(bh, resolveFrom).toString(); } catch {}
+  }
+
+  let origin = null;
+  try { origin = new URL(resolveFrom).origin; } catch {}
+
+  const pages = [];
+  const files = [];
+  const seenPages = new Set();
+  const seenFiles = new Set();
+  const skipped = { skippable: 0, unresolvable: 0, other_origin: 0, junk: 0, duplicate: 0 };
+
+  for (const { raw } of collectRawLinks(html)) {
+    if (isSkippableHref(raw)) { skipped.skippable++; continue; }
+
+    let abs;
+    try {
+      abs = normalizeUrl(new URL(raw, base).toString());
+    } catch {
+      skipped.unresolvable++;
+      continue;
+    }
+    if (!/^https?:\/\//i.test(abs)) { skipped.unresolvable++; continue; }
+
+    if (!rules.allowOtherOrigins && origin) {
+      let o = null;
+      try { o = new URL(abs).origin; } catch {}
+      if (o !== origin) { skipped.other_origin++; continue; }
+    }
+
+    const kind = classifyUrl(abs, rules);
+    if (kind === "junk") { skipped.junk++; continue; }
+
+    if (kind === "file") {
+      if (seenFiles.has(abs)) { skipped.duplicate++; continue; }
+      seenFiles.add(abs);
+      files.push({ url: abs, ext: extFromUrl(abs), source_page_url: sourcePageUrl });
+      continue;
+    }
+
+    if (seenPages.has(abs)) { skipped.duplicate++; continue; }
+    seenPages.add(abs);
+    pages.push({ url: abs });
+  }
+
+  return { pages, files, skipped };
+}
+
+module.exports = {
+  DEFAULT_FILE_EXTS,
+  DEFAULT_JUNK_PATTERNS,
+  loadDiscoverRules,
+  collectRawLinks,
+  classifyUrl,
+  extractLinks,
+};
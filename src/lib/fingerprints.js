@@ -0,0 +1,100 @@
+const path = require("path");
+
+const { readJsonSafe, writeJson, unlinkIfExists } = require("./fsx");
+const { normalizeUrl } = require("./urlnorm");
+const { writeRowListArtifact } = require("./artifacts");
+
+// Visited-page content fingerprints.
+//
+// Postman (or /discover/page) may send a SHA-256 of each fetched page body on
+// visited rows: visited:[{ url, sha256 }]. The sink keeps the latest
+// fingerprint per page URL in _meta/<domain>/page_fingerprint_index.json and,
+// when a recrawl sees different content, emits pages-changed-level-L.json so an
+// update pass can re-extract links only from pages that actually changed. The
+// artifact accumulates across the parts of a level (runs, partial dedupes) and
+// starts afresh when a finalize or dedupe is called with replace.
+
+function fingerprintOf(row) {
+  if (!row || typeof row !== "object") return null;
+  const v = row.sha256 || row.content_sha256 || null;
+  if (!v) return null;
+  const s = String(v).trim().toLowerCase();
+  return /^[0-9a-f]{64}$/.test(s) ? s : null;
+}
+
+/**
+ * Collect url -> sha256 from visited rows (last one wins).
+ */
+function fingerprintsFromRows(rows, into = new Map()) {
+  for (const r of Array.isArray(rows) ? rows : []) {
+    const sha = fingerprintOf(r);
+    if (sha && r.url) into.set(normalizeUrl(r.url), sha);
+  }
+  return into;
+}
+
+/**
+ * Update the fingerprint index and the pages-changed artifact for a level.
+ * fingerprints: Map(url -> sha256)
+ * reset: start a new pass (drop the artifact's earlier rows)
+ *
+ * Returns { seen, new_pages, changed, path }
+ */
+function recordPageFingerprints({ cfg, level, fingerprints, reset = false }) {
+  const outPath = path.join(cfg.ARTIFACT_DIR, `pages-changed-level-${level}.json`);
+  if (reset) unlinkIfExists(outPath);
+  if (!fingerprints || !fingerprints.size) return { seen: 0, new_pages: 0, changed: 0, path: null };
+
+  const idx = readJsonSafe(cfg.PAGE_FINGERPRINT_INDEX_PATH, {});
+  const now = new Date().toISOString();
+  const changedRows = [];
+  let newPages = 0;
+
+  for (const [url, sha256] of fingerprints.entries()) {
+    const prev = idx[url] || null;
+    if (!prev) {
+      idx[url] = { url, sha256, level, first_seen_ts: now, last_seen_ts: now, last_changed_ts: null, changes: 0 };
+      newPages++;
+      continue;
+    }
+
+    prev.last_seen_ts = now;
+    prev.level = prev.level || level;
+    if (prev.sha256 !== sha256) {
+      changedRows.push({ url, change: "modified", previous_sha256: prev.sha256, sha256 });
+      prev.sha256 = sha256;
+      prev.last_changed_ts = now;
+      prev.changes = Number(prev.changes || 0) + 1;
+    }
+  }
+
+  writeJson(cfg.PAGE_FINGERPRINT_INDEX_PATH, idx);
+
+  if (!changedRows.length) return { seen: fingerprints.size, new_pages: newPages, changed: 0, path: null };
+
+  // Keep a unique set of changed pages in the artifact (latest change wins).
+  const byUrl = new Map();
+  const existing = readJsonSafe(outPath, null);
+  if (Array.isArray(existing)) {
+    for (const r of existing) {
+      if (!r?.url) continue;
+      byUrl.set(r.url, { url: r.url, change: r.change || "modified", previous_sha256: r.previous_sha256 || null, sha256: r.sha256 || null });
+    }
+  }
+  for (const r of changedRows) {
+    const cur = byUrl.get(r.url);
+    byUrl.set(r.url, cur ? { ...r, previous_sha256: cur.previous_sha256 || r.previous_sha256 } : r);
+  }
+
+  writeRowListArtifact({
+    path: outPath,
+    rows: Array.from(byUrl.values()),
+    kind: "pages-changed",
+    level,
+    metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW,
+  });
+
+  return { seen: fingerprints.size, new_pages: newPages, changed: changedRows.length, path: outPath };
+}
+
+module.exports = { fingerprintOf, fingerprintsFromRows, recordPageFingerprints };
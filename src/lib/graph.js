@@ -0,0 +1,243 @@
+const fs = require("fs");
+const path = require("path");
+
+const { readJsonSafe, writeJson } = require("./fsx");
+const { normalizeUrl } = require("./urlnorm");
+
+// Domain-scoped link graph.
+//
+// Stored per level under _meta/<domain>/graph/edges-level-L.json:
+//   { level, updated_ts, edges: [{ from, to, kind: "page"|"file" }] }
+//
+// Edges are recorded when a level is deduped/finalized. Rows produce an edge
+// from their source_page_url; a batch that visited exactly one page uses that
+// page for rows without one. Rows with no known source produce no edge.
+
+function edgesPath(cfg, level) {
+  return path.join(cfg.GRAPH_DIR, `edges-level-${level}.json`);
+}
+
+function edgeKey(e) {
+  return `${e.kind}\t${e.from}\t${e.to}`;
+}
+
+/**
+ * The page a batch's rows were found on when it visited exactly one page, else null.
+ * visited: [url | {url}]
+ */
+function batchSourcePage(visited) {
+  const urls = new Set();
+  for (const v of Array.isArray(visited) ? visited : []) {
+    const u = typeof v === "string" ? v : v?.url;
+    if (u) urls.add(u);
+  }
+  return urls.size === 1 ? Array.from(urls)[0] : null;
+}
+
+/**
+ * Build edge rows from discovery rows.
+ * visited: [url | {url}], pages: [url | {url, source_page_url?}], files: [{url, source_page_url?}]
+ */
+function edgesFromRows({ visited, pages, files }) {
+  const fallback = batchSourcePage(visited);
+  const out = [];
+  for (const p of Array.isArray(pages) ? pages : []) {
+    const url = typeof p === "string" ? p : p?.url;
+    const from = (typeof p === "object" && p?.source_page_url) || fallback;
+    if (url && from) out.push({ from, to: url, kind: "page" });
+  }
+  for (const f of Array.isArray(files) ? files : []) {
+    const from = f?.source_page_url || fallback;
+    if (f?.url && from) out.push({ from, to: f.url, kind: "file" });
+  }
+  return out;
+}
+
+/**
+ * Merge edges into the level's edge file (or replace it when replace=true).
+ * Returns { path, total, added }.
+ */
+function recordEdges({ cfg, level, edges, replace = false }) {
+  const p = edgesPath(cfg, level);
+  const prev = replace ? null : readJsonSafe(p, null);
+  const byKey = new Map();
+
+  for (const e of Array.isArray(prev?.edges) ? prev.edges : []) {
+    if (e?.from && e?.to) byKey.set(edgeKey(e), e);
+  }
+  const before = byKey.size;
+
+  for (const e of Array.isArray(edges) ? edges : []) {
+    if (!e?.from || !e?.to) continue;
+    const row = { from: normalizeUrl(e.from), to: normalizeUrl(e.to), kind: e.kind === "file" ? "file" : "page" };
+    if (row.from === row.to) continue;
+    const k = edgeKey(row);
+    if (!byKey.has(k)) byKey.set(k, row);
+  }
+
+  if (!byKey.size && !prev) return { path: null, total: 0, added: 0 };
+
+  writeJson(p, { level, updated_ts: new Date().toISOString(), edges: Array.from(byKey.values()) });
+  return { path: p, total: byKey.size, added: byKey.size - before };
+}
+
+function listGraphLevels(cfg) {
+  const dir = cfg.GRAPH_DIR;
+  if (!dir || !fs.existsSync(dir)) return [];
+  const out = [];
+  for (const name of fs.readdirSync(dir)) {
+    const m = name.match(/^edges-level-(\d+)\.json$/i);
+    if (m) out.push(Number(m[1]));
+  }
+  return out.sort((a, b) => a - b);
+}
+
+function crawlRoots(cfg) {
+  const arr = readJsonSafe(path.join(cfg.ARTIFACT_DIR, "urls-level-1.json"), []);
+  const roots = Array.isArray(arr)
+    ? arr.map((r) => (typeof r === "string" ? r : r?.url)).filter(Boolean).map((u) => normalizeUrl(u))
+    : [];
+  return [...new Set(roots)];
+}
+
+/**
+ * Load the graph for a domain (optionally a single level).
+ * Returns { roots, nodes: [{id, type, level}], edges: [{from, to, kind, level}] }
+ * where node.level is the first BFS level the node was reached at (roots = 1).
+ */
+function loadGraph(cfg, { level = null } = {}) {
+  const levels = level ? [Number(level)] : listGraphLevels(cfg);
+  const roots = crawlRoots(cfg);
+
+  const nodes = new Map();
+  const addNode = (id, type, lvl) => {
+    const cur = nodes.get(id);
+    if (!cur) {
+      nodes.set(id, { id, type, level: lvl });
+      return;
+    }
+    if (type === "file") cur.type = "file";
+    if (lvl !== null && (cur.level === null || lvl < cur.level)) cur.level = lvl;
+  };
+
+  for (const r of roots) addNode(r, "page", 1);
+
+  const edges = [];
+  for (const L of levels) {
+    const doc = readJsonSafe(edgesPath(cfg, L), null);
+    for (const e of Array.isArray(doc?.edges) ? doc.edges : []) {
+      if (!e?.from || !e?.to) continue;
+      edges.push({ from: e.from, to: e.to, kind: e.kind, level: L });
+      addNode(e.from, "page", L);
+      addNode(e.to, e.kind === "file" ? "file" : "page", e.kind === "file" ? L : L + 1);
+    }
+  }
+
+  return { roots, nodes: Array.from(nodes.values()), edges };
+}
+
+/**
+ * Shortest path (BFS) from any crawl root to target.
+ * Returns [url, ...] or null when unreachable.
+ */
+function shortestPath(graph, target) {
+  const goal = normalizeUrl(target);
+  const adj = new Map();
+  for (const e of graph.edges) {
+    if (!adj.has(e.from)) adj.set(e.from, []);
+    adj.get(e.from).push(e.to);
+  }
+
+  const prev = new Map();
+  const queue = [];
+  for (const r of graph.roots) {
+    if (!prev.has(r)) {
+      prev.set(r, null);
+      queue.push(r);
+    }
+  }
+
+  for (let i = 0; i < queue.length; i++) {
+    const cur = queue[i];
+    if (cur === goal) {
+      const out = [];
+      for (let n = cur; n !== null; n = prev.get(n)) out.push(n);
+      return out.reverse();
+    }
+    for (const next of adj.get(cur) || []) {
+      if (prev.has(next)) continue;
+      prev.set(next, cur);
+      queue.push(next);
+    }
+  }
+  return null;
+}
+
+function xmlEscape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function dotEscape(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+function toDot(graph, name = "crawl") {
+  const lines = [`digraph "${dotEscape(name)}" {`, "  rankdir=LR;"];
+  for (const n of graph.nodes) {
+    const shape = n.type === "file" ? "note" : "box";
+    const lvl = n.level !== null ? `, level=${n.level}` : "";
+    lines.push(`  "${dotEscape(n.id)}" [shape=${shape}${lvl}];`);
+  }
+  for (const e of graph.edges) {
+    const style = e.kind === "file" ? ", style=dashed" : "";
+    lines.push(`  "${dotEscape(e.from)}" -> "${dotEscape(e.to)}" [level=${e.level}${style}];`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+function toGraphml(graph) {
+  const ids = new Map();
+  graph.nodes.forEach((n, i) => ids.set(n.id, `n${i}`));
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="url" for="node" attr.name="url" attr.type="string"/>',
+    '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+    '  <key id="nlevel" for="node" attr.name="level" attr.type="int"/>',
+    '  <key id="kind" for="edge" attr.name="kind" attr.type="string"/>',
+    '  <key id="elevel" for="edge" attr.name="level" attr.type="int"/>',
+    '  <graph id="crawl" edgedefault="directed">',
+  ];
+  for (const n of graph.nodes) {
+    lines.push(`    <node id="${ids.get(n.id)}">`);
+    lines.push(`      <data key="url">${xmlEscape(n.id)}</data>`);
+    lines.push(`      <data key="type">${n.type}</data>`);
+    if (n.level !== null) lines.push(`      <data key="nlevel">${n.level}</data>`);
+    lines.push("    </node>");
+  }
+  graph.edges.forEach((e, i) => {
+    lines.push(`    <edge id="e${i}" source="${ids.get(e.from)}" target="${ids.get(e.to)}">`);
+    lines.push(`      <data key="kind">${e.kind}</data>`);
+    lines.push(`      <data key="elevel">${e.level}</data>`);
+    lines.push("    </edge>");
+  });
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  batchSourcePage,
+  edgesFromRows,
+  recordEdges,
+  listGraphLevels,
+  loadGraph,
+  shortestPath,
+  toDot,
+  toGraphml,
+};
@@ -0,0 +1,510 @@
+const fs = require("fs");
+const path = require("path");
+
+const { resolveSavePath } = require("./routing");
+const { loadRoutingProfile } = require("./routing_rules");
+const { loadElectoratesMeta, ensureTermElectorateFolders } = require("./electorates");
+const { ensureDir, readJsonSafe, writeJson } = require("./fsx");
+const { checkExpectedContent, expectedKindsFor } = require("./sniff");
+const { quarantineUpload, clearRetry } = require("./quarantine");
+const { appendJsonl } = require("./jsonl");
+const { toAbsolute, toRelative } = require("./paths");
+const { withDomainLock } = require("./lock");
+const { moveInto, createSpool } = require("./spool");
+const { listZipEntries, streamZipEntry } = require("./zip");
+const { isJunkMember, memberUrl, memberRoute, addMembership } = require("./archives");
+const { logEvent } = require("./logger");
+const { loadUrlIndex, saveUrlIndex, recordRevision, revisionPath, isRevisionPath } = require("./url_index");
+const { normalizeUrl, applyAlias } = require("./urlnorm");
+const { aliasPairsFromRow, recordAliases, loadAliasMap } = require("./aliases");
+
+// Shared save / dedupe path for downloaded files.
+//
+// Every upload route ends in ingestFile(): route the file, dedupe it by
+// SHA-256 against downloaded_hash_index.json, record the source observation
+// and the level manifest entry, and log the save. Content that doesn't match
+// its extension is quarantined instead (lib/sniff.js, lib/quarantine.js).
+// Each save is also a revision of its URL in url_index.json (lib/url_index.js),
+// and .zip uploads can have their members extracted and ingested the same way
+// (lib/archives.js).
+// Routes only differ in how the bytes arrive (see lib/spool.js).
+
+function asArrayUniqueStrings(v) {
+  const arr = Array.isArray(v) ? v : (v ? [v] : []);
+  const out = [];
+  const seen = new Set();
+  for (const x of arr) {
+    if (x === null || x === undefined) continue;
+    const s = String(x);
+    if (!s) continue;
+    if (!seen.has(s)) { seen.add(s); out.push(s); }
+  }
+  return out;
+}
+
+function asArrayUniqueNumbers(v) {
+  // Accept legacy { "2": true } objects as well as arrays.
+  let arr = [];
+  if (Array.isArray(v)) arr = v;
+  else if (v && typeof v === "object") arr = Object.keys(v);
+  else if (v !== null && v !== undefined) arr = [v];
+  const out = [];
+  const seen = new Set();
+  for (const x of arr) {
+    const n = Number(x);
+    if (!Number.isFinite(n)) continue;
+    if (!seen.has(n)) { seen.add(n); out.push(n); }
+  }
+  out.sort((a,b)=>a-b);
+  return out;
+}
+
+function normalizeHashRec(rec) {
+  if (!rec || typeof rec !== "object") return null;
+  // Sources is the authoritative provenance list.
+  // Legacy compatibility: migrate old plural fields into sources best-effort,
+  // then drop the redundant aggregates.
+  const legacyUrls = asArrayUniqueStrings(rec.urls || rec.url);
+  const legacySourcePages = asArrayUniqueStrings(rec.source_page_urls || rec.source_page_url);
+  const legacyLevels = asArrayUniqueNumbers(rec.levels);
+
+  rec.sources = Array.isArray(rec.sources) ? rec.sources : [];
+
+  // Remove any redundant saved_to fields inside sources (hash record already has canonical saved_to).
+  for (const s of rec.sources) {
+    if (s && typeof s === "object" && "saved_to" in s) delete s.saved_to;
+  }
+
+  if (rec.sources.length === 0 && (legacyUrls.length || legacySourcePages.length || legacyLevels.length)) {
+    const u0 = legacyUrls[0] || null;
+    const sp0 = legacySourcePages[0] || null;
+    if (legacyLevels.length) {
+      for (const lvl of legacyLevels) {
+        rec.sources.push({
+          url: u0,
+          source_page_url: sp0,
+          level: lvl,
+          ts: rec.first_seen_ts || rec.last_seen_ts || new Date().toISOString(),
+        });
+      }
+    } else if (u0 || sp0) {
+      rec.sources.push({
+        url: u0,
+        source_page_url: sp0,
+        level: null,
+        ts: rec.first_seen_ts || rec.last_seen_ts || new Date().toISOString(),
+      });
+    }
+  }
+
+  // Drop redundant aggregates; can be derived from sources.
+  delete rec.urls;
+  delete rec.url;
+  delete rec.source_page_urls;
+  delete rec.source_page_url;
+  delete rec.levels;
+  return rec;
+}
+
+function addSourceObservation(rec, obs, aliases) {
+  // obs: { url, source_page_url, level, ts }
+  // aliases (optional): Map alias -> canonical URL. Sources are keyed by the
+  // canonical URL, so the same file fetched via a redirecting alias collapses
+  // into one observation (the alias is kept as requested_url).
+  if (!rec) return;
+  const canon = (u) => (u ? applyAlias(aliases, normalizeUrl(u)) : u);
+  const keyOf = (s) => `${s.url}::${s.source_page_url || ""}::${s.level}`;
+
+  const collapsed = [];
+  const seen = new Set();
+  for (const s of rec.sources || []) {
+    if (!s || typeof s !== "object") continue;
+    const url = canon(s.url);
+    if (url && url !== s.url && !s.requested_url) s.requested_url = s.url;
+    s.url = url;
+    const k = keyOf(s);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    collapsed.push(s);
+  }
+  rec.sources = collapsed;
+
+  const url = canon(obs.url);
+  const row = {
+    url,
+    source_page_url: obs.source_page_url || null,
+    level: obs.level,
+    ts: obs.ts
+  };
+  if (url !== obs.url) row.requested_url = obs.url;
+  if (!seen.has(keyOf(row))) rec.sources.push(row);
+}
+
+
+function manifestPath(cfg, level) {
+  return path.join(cfg.LEVEL_FILES_DIR, `${String(level)}.json`);
+}
+
+function appendToLevelManifest(cfg, level, entry) {
+  ensureDir(cfg.LEVEL_FILES_DIR);
+  const p = manifestPath(cfg, level);
+  const m = readJsonSafe(p, { level, files: [] });
+  const key = `${entry.sha256}::${entry.saved_to}`;
+  const seen = new Set((m.files || []).map((x) => `${x.sha256}::${x.saved_to}`));
+  if (!seen.has(key)) {
+    m.files.push(entry);
+    writeJson(p, m);
+  }
+}
+
+// Point manifest entries at a file's new location after it moved.
+function updateLevelManifests(cfg, oldRel, newRel, sha256) {
+  if (!fs.existsSync(cfg.LEVEL_FILES_DIR)) return;
+  const files = fs.readdirSync(cfg.LEVEL_FILES_DIR).filter((f) => f.endsWith(".json"));
+  for (const f of files) {
+    const p = path.join(cfg.LEVEL_FILES_DIR, f);
+    const m = readJsonSafe(p, null);
+    if (!m || !Array.isArray(m.files)) continue;
+    let changed = false;
+    for (const ent of m.files) {
+      if (!ent) continue;
+      if (sha256 && ent.sha256 !== sha256) continue;
+      if (ent.saved_to === oldRel) {
+        ent.saved_to = newRel;
+        changed = true;
+      }
+    }
+    if (changed) writeJson(p, m);
+  }
+}
+
+// A URL now serves new content and its previous revision still occupies the
+// canonical path: move that file to _revisions/<name>__rev<N> so the new one
+// can take the name. Returns the archived relative path, or null.
+function archivePreviousRevision(cfg, idx, previous, canonicalAbs) {
+  const rec = idx[previous.sha256];
+  if (!rec?.saved_to) return null;
+  const oldAbs = toAbsolute(rec.saved_to);
+  if (path.resolve(oldAbs) !== path.resolve(canonicalAbs) || !fs.existsSync(oldAbs)) return null;
+
+  const revAbs = revisionPath(canonicalAbs, previous.rev);
+  moveInto(oldAbs, revAbs);
+  const oldRel = rec.saved_to;
+  rec.saved_to = toRelative(revAbs);
+  updateLevelManifests(cfg, oldRel, rec.saved_to, previous.sha256);
+  return rec.saved_to;
+}
+
+// A URL went back to content it served before (A -> B -> A): the archived file
+// becomes current again, so archive the canonical occupant and move the file
+// back to the canonical path. Mutates rec.saved_to; returns the new relative
+// path, or null when nothing moved.
+function restoreRevision(cfg, idx, rec, sha256, previous) {
+  const canonicalRel = idx[previous.sha256]?.saved_to;
+  if (!canonicalRel || isRevisionPath(canonicalRel) || !isRevisionPath(rec.saved_to)) return null;
+  const canonicalAbs = toAbsolute(canonicalRel);
+  const fromAbs = toAbsolute(rec.saved_to);
+  if (!fs.existsSync(fromAbs)) return null;
+
+  archivePreviousRevision(cfg, idx, previous, canonicalAbs);
+  if (fs.existsSync(canonicalAbs)) return null; // occupant could not be archived; leave both in place
+  moveInto(fromAbs, canonicalAbs);
+  const oldRel = rec.saved_to;
+  rec.saved_to = toRelative(canonicalAbs);
+  updateLevelManifests(cfg, oldRel, rec.saved_to, sha256);
+  return rec.saved_to;
+}
+
+/**
+ * Save (or dedupe) one downloaded file.
+ *
+ * meta:    { url, ext, filenameOverride, source_page_url, bfs_level, final_url, redirect_chain,
+ *            extract?, member_of? }
+ * content: { sha256, bytes, head, save(absPath), discard() } (lib/spool.js)
+ *
+ * extract (default cfg.ZIP_EXTRACT_ENABLED): extract a .zip's members once it
+ * is saved, unless that archive was extracted before. member_of is set by
+ * extractArchive() for the members themselves.
+ *
+ * Holds the domain's aliases/index/manifests locks. Returns the JSON response body.
+ */
+async function ingestFile({ cfg, meta, content }) {
+  const { url, ext, filenameOverride, source_page_url, bfs_level, final_url, redirect_chain, member_of } = meta;
+  const sha256 = content.sha256;
+  const electoratesByTerm = loadElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH);
+  const extract = meta.extract ?? cfg.ZIP_EXTRACT_ENABLED;
+  let extractPending = false;
+
+  // ---- Serialize RMW state updates (hash index + manifests) ----
+  const result = await withDomainLock(cfg, ["aliases", "index", "manifests"], () => {
+    // Resolve intended save path for THIS occurrence
+    const resolved = resolveSavePath({
+      downloadsRoot: cfg.DOWNLOADS_ROOT,
+      url,
+      ext,
+      source_page_url,
+      electoratesByTerm,
+      filenameOverride,
+      routing: loadRoutingProfile(cfg),
+    });
+    const route = member_of ? memberRoute(resolved, member_of) : resolved;
+
+    // Ensure canonical electorate folders exist for the term
+    if (route.termKey && route.termKey !== "term_unknown") {
+      ensureTermElectorateFolders({
+        downloadsRoot: cfg.DOWNLOADS_ROOT,
+        termKey: route.termKey,
+        electoratesByTerm,
+      });
+    }
+
+    // Challenge / error pages saved as .pdf, .xls, .csv, ... go to _bad/ and the
+    // retry artifact; they never become canonical content. (Archive members are
+    // whatever the archive holds and can't be retried on their own.)
+    const fileExt = path.extname(route.filename).slice(1).toLowerCase();
+    const verdict = checkExpectedContent(expectedKindsFor(route.ext) ? route.ext : fileExt, content.head);
+    if (!verdict.ok && !member_of) return quarantineUpload({ cfg, route, meta, content, verdict });
+    const isZip = !member_of && (fileExt === "zip" || route.ext === "zip") && ["zip", "ooxml"].includes(verdict.detected);
+
+    // Redirects followed while downloading become aliases of the final URL.
+    recordAliases(cfg, aliasPairsFromRow({ url, final_url, redirect_chain }));
+    const aliases = loadAliasMap(cfg);
+
+    // Load global hash index (stores relative paths)
+    const idx = readJsonSafe(cfg.DOWNLOADED_HASH_INDEX_PATH, {});
+    const existing = normalizeHashRec(idx[sha256]);
+    const urlIdx = loadUrlIndex(cfg);
+    const canonUrl = applyAlias(aliases, normalizeUrl(url));
+
+    // If already saved, just mark membership for this level and record in manifest.
+    if (existing?.saved_to) {
+      const existingAbs = toAbsolute(existing.saved_to);
+      if (fs.existsSync(existingAbs)) {
+        existing.last_seen_ts = new Date().toISOString();
+        if (!existing.first_seen_ts) existing.first_seen_ts = existing.last_seen_ts;
+
+        // If we can now route it into an electorate folder whereas it previously lived in term root,
+        // upgrade location (more specific beats less specific).
+        // We ONLY upgrade if the new target is more specific (has electorateFolder) and
+        // the existing saved_to is NOT already inside that electorate folder.
+        const wantElect = !!route.electorateFolder;
+        const haveElect = existing.electorateFolder ? true : false;
+        if (wantElect && !haveElect && !isRevisionPath(existing.saved_to)) {
+          // Move canonical file to new location.
+          const targetAbs = route.outPath;
+          const note = "promoted_to_electorate";
+
+          ensureDir(path.dirname(targetAbs));
+          try {
+            fs.renameSync(existingAbs, targetAbs);
+          } catch {
+            fs.copyFileSync(existingAbs, targetAbs);
+            try { fs.unlinkSync(existingAbs); } catch {}
+          }
+
+          existing.saved_to = toRelative(targetAbs);
+          existing.termKey = route.termKey;
+          existing.electorateFolder = route.electorateFolder || null;
+          existing.ext = route.ext;
+          existing.note = note;
+        }
+
+        const { revision, previous } = recordRevision(cfg, urlIdx, idx, { url: canonUrl, probeUrls: [url], sha256, bytes: content.bytes });
+        const restoredTo = previous ? restoreRevision(cfg, idx, existing, sha256, previous) : null;
+        addSourceObservation(existing, { url, source_page_url, level: bfs_level, ts: new Date().toISOString() }, aliases);
+        if (member_of) addMembership(existing, member_of);
+        idx[sha256] = existing;
+        extractPending = isZip && extract && !existing.members;
+        writeJson(cfg.DOWNLOADED_HASH_INDEX_PATH, idx);
+        saveUrlIndex(cfg, urlIdx);
+
+        appendToLevelManifest(cfg, bfs_level, { sha256, saved_to: existing.saved_to });
+        clearRetry(cfg, bfs_level, url);
+
+        appendJsonl(cfg.LOG_FILE_SAVES, {
+          ts: new Date().toISOString(),
+          url,
+          source_page_url,
+          termKey: existing.termKey || route.termKey,
+          electorateFolder: existing.electorateFolder || route.electorateFolder || null,
+          saved_to: existing.saved_to,
+          bytes: content.bytes,
+          ext: existing.ext || route.ext,
+          note: "duplicate_content_skipped",
+          sha256,
+          rev: revision.rev,
+          restored_revision: restoredTo ? true : undefined,
+          previous_revision_to: restoredTo ? idx[previous.sha256]?.saved_to : undefined,
+          bfs_level,
+        });
+
+        content.discard();
+        return {
+          ok: true,
+          skipped: true,
+          note: "duplicate_content_skipped",
+          saved_to: existing.saved_to,
+          rev: revision.rev,
+          ...(restoredTo ? { restored_revision: true, previous_revision: { rev: previous.rev, sha256: previous.sha256, saved_to: idx[previous.sha256]?.saved_to || null } } : {}),
+          sha256,
+        };
+      }
+      // If record exists but file missing, fall through and re-save.
+    }
+
+    // Save new canonical file
+    ensureDir(route.finalDir);
+
+    const outAbs = route.outPath;
+    const { revision, previous } = recordRevision(cfg, urlIdx, idx, { url: canonUrl, probeUrls: [url], sha256, bytes: content.bytes });
+    const archivedTo = previous ? archivePreviousRevision(cfg, idx, previous, outAbs) : null;
+    const note = archivedTo ? "new_revision" : "ok";
+    content.save(outAbs);
+    const outRel = toRelative(outAbs);
+
+    idx[sha256] = {
+      sha256,
+      saved_to: outRel,
+      bytes: content.bytes,
+      ext: route.ext,
+      termKey: route.termKey,
+      electorateFolder: route.electorateFolder || null,
+      last_seen_ts: new Date().toISOString(),
+      first_seen_ts: new Date().toISOString(),
+      sources: [],
+      note
+    };
+    addSourceObservation(idx[sha256], {
+      url: String(url),
+      source_page_url: source_page_url ? String(source_page_url) : null,
+      level: Number(bfs_level),
+      ts: new Date().toISOString()
+    }, aliases);
+    if (member_of) addMembership(idx[sha256], member_of);
+    idx[sha256] = normalizeHashRec(idx[sha256]);
+    writeJson(cfg.DOWNLOADED_HASH_INDEX_PATH, idx);
+    saveUrlIndex(cfg, urlIdx);
+    extractPending = isZip && extract;
+
+    appendToLevelManifest(cfg, bfs_level, { sha256, saved_to: outRel });
+    clearRetry(cfg, bfs_level, url);
+
+    appendJsonl(cfg.LOG_FILE_SAVES, {
+      ts: new Date().toISOString(),
+      url,
+      source_page_url,
+      termKey: route.termKey,
+      electorateFolder: route.electorateFolder || null,
+      saved_to: outRel,
+      bytes: content.bytes,
+      ext: route.ext,
+      note,
+      sha256,
+      rev: revision.rev,
+      previous_revision_to: archivedTo || undefined,
+      bfs_level,
+    });
+
+    return {
+      ok: true,
+      saved_to: outRel,
+      bytes: content.bytes,
+      termKey: route.termKey,
+      electorateFolder: route.electorateFolder || null,
+      note,
+      rev: revision.rev,
+      previous_revision: previous ? { rev: previous.rev, sha256: previous.sha256, saved_to: archivedTo || idx[previous.sha256]?.saved_to || null } : null,
+      sha256,
+    };
+  });
+
+  // Members are ingested one by one, each under its own locks. The archive
+  // itself is saved either way; a broken archive is reported, not fatal.
+  if (extractPending) {
+    try {
+      result.archive = await extractArchive({
+        cfg,
+        archive: { sha256, saved_to: result.saved_to, url, source_page_url, bfs_level },
+      });
+    } catch (e) {
+      if (e?.code === "LOCK_TIMEOUT") throw e;
+      result.archive = { error: String(e?.message || e) };
+    }
+  }
+  return result;
+}
+
+/**
+ * Extract an indexed .zip and ingest every member (lib/archives.js), then record
+ * the member list on the archive's hash record.
+ *
+ * archive: { sha256, saved_to, url, source_page_url?, bfs_level }
+ * Returns { members, saved, duplicates, failed, skipped, entries: [...] }.
+ */
+async function extractArchive({ cfg, archive }) {
+  const abs = toAbsolute(archive.saved_to);
+  const entries = listZipEntries(abs);
+  const out = [];
+  let skipped = 0;
+
+  for (const ent of entries) {
+    if (ent.is_dir || !ent.path || isJunkMember(ent.path)) {
+      skipped++;
+      continue;
+    }
+    if (ent.bytes > cfg.ZIP_MEMBER_MAX_BYTES) {
+      skipped++;
+      out.push({ path: ent.path, bytes: ent.bytes, skipped: "too_large" });
+      continue;
+    }
+    const spool = createSpool(cfg.UPLOAD_TMP_DIR);
+    try {
+      await streamZipEntry(abs, ent, spool);
+      const content = await spool.finish();
+      let r;
+      try {
+        r = await ingestFile({
+          cfg,
+          meta: {
+            url: memberUrl(archive.url, ent.path),
+            ext: null,
+            filenameOverride: path.posix.basename(ent.path),
+            source_page_url: archive.url,
+            bfs_level: archive.bfs_level,
+            member_of: { archive_sha256: archive.sha256, archive_saved_to: archive.saved_to, path: ent.path },
+            extract: false,
+          },
+          content,
+        });
+      } finally {
+        // Saved members were moved out of the temp dir; anything left there is garbage.
+        content.discard();
+      }
+      out.push({ path: ent.path, sha256: r.sha256, bytes: content.bytes, saved_to: r.saved_to, note: r.note });
+    } catch (e) {
+      spool.abort();
+      out.push({ path: ent.path, error: String(e?.message || e) });
+    }
+  }
+
+  const members = out.filter((m) => m.sha256).map((m) => ({ path: m.path, sha256: m.sha256, bytes: m.bytes }));
+  await withDomainLock(cfg, "index", () => {
+    const idx = readJsonSafe(cfg.DOWNLOADED_HASH_INDEX_PATH, {});
+    if (!idx[archive.sha256]) return;
+    idx[archive.sha256].members = members;
+    idx[archive.sha256].extracted_ts = new Date().toISOString();
+    writeJson(cfg.DOWNLOADED_HASH_INDEX_PATH, idx);
+  });
+
+  const summary = {
+    members: members.length,
+    saved: out.filter((m) => m.sha256 && m.note !== "duplicate_content_skipped").length,
+    duplicates: out.filter((m) => m.note === "duplicate_content_skipped").length,
+    failed: out.filter((m) => m.error).length,
+    skipped,
+  };
+  logEvent("ZIP_EXTRACTED", { domain_key: cfg.domain_key, url: archive.url, sha256: archive.sha256, ...summary });
+  return { ...summary, entries: out };
+}
+
+module.exports = { ingestFile, extractArchive, normalizeHashRec, addSourceObservation, manifestPath, appendToLevelManifest, updateLevelManifests };
@@ -1,13 +1,279 @@
-// Simple in-process mutex (promise chain).
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { logEvent } = require("./logger");
+
+// Keyed in-process mutexes (one promise chain per key).
 // Serializes critical read-modify-write sections to avoid lost updates
-// when multiple Postman runs hit the sink concurrently.
-let chain = Promise.resolve();
+// when multiple Postman runs hit the sink concurrently, without making a
+// long finalize on one domain block uploads for every other domain.
+//
+// Keys are "<domain>:<resource>". Resources used by the routes:
+//   state      state.json + artifacts (levels, remaining lists, budgets, seeds, graph, fingerprints)
+//   aliases    aliases.json (written by both finalize and upload)
+//   index      downloaded_hash_index.json (+ url_index.json, routing.json, calendar.json)
+//   manifests  level_files/level-N.json
+//   run:L:ID   a streaming run bucket (+ its .seq.json / .done)
+//   queue      queue/*.json leases
+//   probe      probe_meta_index.json
+//   sitemap    sitemap_index.json
+//
+// A section that needs several resources queues on all of them at once (in
+// one synchronous step), so two sections can never wait on each other.
+//
+// While the server holds any lock for a domain it also keeps an advisory
+// lockfile at _meta/<domain>/.writer.lock so out-of-process tools (the
+// resort-downloads CLI) can refuse to run, or wait, instead of racing it.
+
+const LOCKFILE_NAME = ".writer.lock";
+const DEFAULT_TIMEOUT_MS = 300000;
+
+const tails = new Map(); // key -> promise resolved when the last queued holder releases
+const stats = new Map(); // key -> metrics
+const domainHolds = new Map(); // domainKey -> { metaDir, keys: Map(key -> count) }
+
+function statFor(key) {
+  let s = stats.get(key);
+  if (!s) {
+    s = {
+      key,
+      waiting: 0,
+      held: false,
+      acquisitions: 0,
+      timeouts: 0,
+      wait_ms_total: 0,
+      wait_ms_max: 0,
+      hold_ms_total: 0,
+      hold_ms_max: 0,
+      last_acquired_ts: null,
+    };
+    stats.set(key, s);
+  }
+  return s;
+}
+
+function lockTimeoutError(key, timeoutMs) {
+  const e = new Error(`Timed out after ${timeoutMs}ms waiting for lock ${key}`);
+  e.code = "LOCK_TIMEOUT";
+  e.lock_key = key;
+  return e;
+}
+
+// Queue behind the current tail for key. Resolves with release() once every
+// earlier holder has released; rejects with LOCK_TIMEOUT if that takes longer
+// than timeoutMs (the slot is then passed straight on when it comes up).
+function acquire(key, timeoutMs) {
+  const prev = tails.get(key) || Promise.resolve();
+  let release;
+  const mine = new Promise((resolve) => { release = resolve; });
+  const tail = prev.then(() => mine);
+  tails.set(key, tail);
+  tail.then(() => { if (tails.get(key) === tail) tails.delete(key); });
+
+  const s = statFor(key);
+  s.waiting++;
+  const queuedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    let timedOut = false;
+    const timer = timeoutMs > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        s.waiting--;
+        s.timeouts++;
+        reject(lockTimeoutError(key, timeoutMs));
+      }, timeoutMs)
+      : null;
+
+    prev.then(() => {
+      if (timer) clearTimeout(timer);
+      if (timedOut) { release(); return; }
+      const acquiredAt = Date.now();
+      const waited = acquiredAt - queuedAt;
+      s.waiting--;
+      s.held = true;
+      s.acquisitions++;
+      s.wait_ms_total += waited;
+      s.wait_ms_max = Math.max(s.wait_ms_max, waited);
+      s.last_acquired_ts = new Date(acquiredAt).toISOString();
+      resolve(() => {
+        const heldFor = Date.now() - acquiredAt;
+        s.held = false;
+        s.hold_ms_total += heldFor;
+        s.hold_ms_max = Math.max(s.hold_ms_max, heldFor);
+        release();
+      });
+    });
+  });
+}
+
+function lockfilePath(metaDir) {
+  return path.join(metaDir, LOCKFILE_NAME);
+}
+
+function writeLockfile(domainKey) {
+  const d = domainHolds.get(domainKey);
+  if (!d) return;
+  try {
+    fs.mkdirSync(d.metaDir, { recursive: true });
+    fs.writeFileSync(lockfilePath(d.metaDir), JSON.stringify({
+      pid: process.pid,
+      hostname: os.hostname(),
+      domain_key: domainKey,
+      since_ts: d.since_ts,
+      updated_ts: new Date().toISOString(),
+      resources: Array.from(d.keys.keys()).map((k) => k.slice(domainKey.length + 1)).sort(),
+    }, null, 2), "utf-8");
+  } catch {
+    // advisory only
+  }
+}
+
+function noteDomainHold(domainKey, metaDir, keys) {
+  let d = domainHolds.get(domainKey);
+  if (!d) {
+    d = { metaDir, since_ts: new Date().toISOString(), keys: new Map() };
+    domainHolds.set(domainKey, d);
+  }
+  for (const k of keys) d.keys.set(k, (d.keys.get(k) || 0) + 1);
+  writeLockfile(domainKey);
+}
+
+function noteDomainRelease(domainKey, keys) {
+  const d = domainHolds.get(domainKey);
+  if (!d) return;
+  for (const k of keys) {
+    const n = (d.keys.get(k) || 0) - 1;
+    if (n > 0) d.keys.set(k, n);
+    else d.keys.delete(k);
+  }
+  if (d.keys.size) {
+    writeLockfile(domainKey);
+    return;
+  }
+  domainHolds.delete(domainKey);
+  try { fs.unlinkSync(lockfilePath(d.metaDir)); } catch {}
+}
+
+/**
+ * Run fn while holding every key in keys (string or array).
+ * opts.timeoutMs: max wait per key (0 = wait forever); throws err.code = "LOCK_TIMEOUT".
+ */
+async function withLock(keys, fn, opts = {}) {
+  const list = Array.from(new Set((Array.isArray(keys) ? keys : [keys]).map(String))).sort();
+  const timeoutMs = opts.timeoutMs != null ? Number(opts.timeoutMs) : DEFAULT_TIMEOUT_MS;
+
+  // Queue on every key synchronously so callers are served in arrival order.
+  const settled = await Promise.allSettled(list.map((k) => acquire(k, timeoutMs)));
+  const releases = settled.filter((x) => x.status === "fulfilled").map((x) => x.value);
+  const failed = settled.find((x) => x.status === "rejected");
+  if (failed) {
+    for (const rel of releases.reverse()) rel();
+    const e = failed.reason;
+    if (e?.code === "LOCK_TIMEOUT") logEvent("LOCK_TIMEOUT", { key: e.lock_key, timeout_ms: timeoutMs, keys: list });
+    throw e;
+  }
+
+  if (opts.onAcquired) opts.onAcquired(list);
+  try {
+    return await fn();
+  } finally {
+    if (opts.onReleased) opts.onReleased(list);
+    for (const rel of releases.reverse()) rel();
+  }
+}
+
+/**
+ * Run fn while holding resources (string or array, see above) of cfg's domain.
+ * Uses cfg.LOCK_TIMEOUT_MS unless opts.timeoutMs is given.
+ */
+function withDomainLock(cfg, resources, fn, opts = {}) {
+  const dk = cfg.domain_key;
+  const keys = (Array.isArray(resources) ? resources : [resources]).map((r) => `${dk}:${r}`);
+  return withLock(keys, fn, {
+    timeoutMs: opts.timeoutMs != null ? opts.timeoutMs : cfg.LOCK_TIMEOUT_MS,
+    onAcquired: (list) => noteDomainHold(dk, cfg.META_DIR, list),
+    onReleased: (list) => noteDomainRelease(dk, list),
+  });
+}
+
+function runLockResource(level, runId) {
+  return `run:${level}:${runId}`;
+}
+
+/**
+ * Snapshot of lock metrics, optionally limited to one domain.
+ */
+function lockStats({ domainKey = null } = {}) {
+  const keys = [];
+  for (const s of stats.values()) {
+    if (domainKey && !s.key.startsWith(`${domainKey}:`)) continue;
+    keys.push({
+      ...s,
+      wait_ms_avg: s.acquisitions ? Math.round(s.wait_ms_total / s.acquisitions) : 0,
+      hold_ms_avg: s.acquisitions ? Math.round(s.hold_ms_total / s.acquisitions) : 0,
+    });
+  }
+  keys.sort((a, b) => a.key.localeCompare(b.key));
+  const totals = keys.reduce((t, s) => ({
+    waiting: t.waiting + s.waiting,
+    held: t.held + (s.held ? 1 : 0),
+    acquisitions: t.acquisitions + s.acquisitions,
+    timeouts: t.timeouts + s.timeouts,
+    wait_ms_max: Math.max(t.wait_ms_max, s.wait_ms_max),
+  }), { waiting: 0, held: 0, acquisitions: 0, timeouts: 0, wait_ms_max: 0 });
+  return { totals, keys };
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e?.code === "EPERM";
+  }
+}
+
+/**
+ * Read a domain's advisory lockfile.
+ * Returns null when there is none, else the holder plus { stale }: the pid is
+ * gone (same host) or it hasn't been refreshed in staleMs (other hosts).
+ */
+function readDomainLockfile(metaDir, { staleMs = 600000 } = {}) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(lockfilePath(metaDir), "utf-8"));
+  } catch {
+    return null;
+  }
+  if (!raw || typeof raw !== "object") return null;
+  const sameHost = raw.hostname === os.hostname();
+  const age = Date.now() - (Date.parse(raw.updated_ts || "") || 0);
+  const stale = sameHost ? !pidAlive(Number(raw.pid)) : age > staleMs;
+  return { ...raw, path: lockfilePath(metaDir), stale };
+}
 
-function withLock(fn) {
-  const run = () => Promise.resolve().then(fn);
-  const next = chain.then(run, run);
-  chain = next.catch(() => {});
-  return next;
+/**
+ * Poll until the domain's lockfile is gone (or stale), for up to waitMs.
+ * Resolves with null when free, else the live holder that outlasted waitMs.
+ */
+async function waitForDomainLockfile(metaDir, { waitMs = 0, staleMs = 600000, pollMs = 500 } = {}) {
+  const deadline = Date.now() + Math.max(0, Number(waitMs) || 0);
+  for (;;) {
+    const holder = readDomainLockfile(metaDir, { staleMs });
+    if (!holder || holder.stale) return null;
+    if (Date.now() >= deadline) return holder;
+    await new Promise((r) => setTimeout(r, pollMs));
+  }
 }
 
-module.exports = { withLock };
+module.exports = {
+  withLock,
+  withDomainLock,
+  runLockResource,
+  lockStats,
+  readDomainLockfile,
+  waitForDomainLockfile,
+  LOCKFILE_NAME,
+};
@@ -0,0 +1,149 @@
+// Minimal streaming multipart/form-data reader (the sink stays dependency-free).
+//
+// Text parts are collected as fields (capped at maxFieldBytes each). The first
+// part that carries a filename (or is named "file") is streamed chunk by chunk
+// into sink.write(), so a large upload never has to sit in memory; any further
+// file parts are skipped.
+
+function boundaryFromContentType(contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(String(contentType || ""));
+  return m ? (m[1] || m[2]) : null;
+}
+
+function parsePartHeaders(text) {
+  const h = {};
+  for (const line of text.split("\r\n")) {
+    const i = line.indexOf(":");
+    if (i > 0) h[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  const cd = h["content-disposition"] || "";
+  const name = /\bname="([^"]*)"/i.exec(cd);
+  const filename = /\bfilename="([^"]*)"/i.exec(cd);
+  return {
+    name: name ? name[1] : null,
+    filename: filename ? filename[1] : null,
+    contentType: h["content-type"] || null,
+  };
+}
+
+/**
+ * Read a multipart request. sink: { write(chunk) -> bool, once("drain", fn) }.
+ * Resolves with { fields: { name: value }, file: { name, filename, contentType, bytes } | null }.
+ */
+function readMultipart(req, boundary, sink, { maxFieldBytes = 65536, maxHeaderBytes = 16384 } = {}) {
+  return new Promise((resolve, reject) => {
+    const delim = Buffer.from(`\r\n--${boundary}`);
+    // Prefix CRLF so the opening boundary matches the same delimiter.
+    let buf = Buffer.from("\r\n");
+    let state = "preamble"; // preamble | next | headers | body | done
+    let part = null;
+    let chunks = [];
+    let fieldLen = 0;
+    const fields = {};
+    let file = null;
+    let failed = false;
+
+    const fail = (e) => {
+      if (failed) return;
+      failed = true;
+      req.pause();
+      reject(e);
+    };
+
+    const emit = (chunk) => {
+      if (!chunk.length || part.skip) return;
+      if (part.isFile) {
+        file.bytes += chunk.length;
+        if (!sink.write(chunk)) {
+          req.pause();
+          sink.once("drain", () => req.resume());
+        }
+        return;
+      }
+      fieldLen += chunk.length;
+      if (fieldLen > maxFieldBytes) throw new Error(`Multipart field "${part.name}" exceeds ${maxFieldBytes} bytes`);
+      chunks.push(Buffer.from(chunk));
+    };
+
+    const closePart = () => {
+      if (!part.isFile && !part.skip && part.name) fields[part.name] = Buffer.concat(chunks).toString("utf8");
+      part = null;
+      chunks = [];
+      fieldLen = 0;
+    };
+
+    const step = () => {
+      for (;;) {
+        if (state === "preamble") {
+          const i = buf.indexOf(delim);
+          if (i < 0) {
+            buf = buf.subarray(Math.max(0, buf.length - delim.length));
+            return;
+          }
+          buf = buf.subarray(i + delim.length);
+          state = "next";
+        } else if (state === "next") {
+          if (buf.length < 2) return;
+          if (buf[0] === 0x2d && buf[1] === 0x2d) {
+            state = "done";
+            return;
+          }
+          const j = buf.indexOf("\r\n");
+          if (j < 0) return;
+          buf = buf.subarray(j + 2);
+          state = "headers";
+        } else if (state === "headers") {
+          const j = buf.indexOf("\r\n\r\n");
+          if (j < 0) {
+            if (buf.length > maxHeaderBytes) throw new Error("Multipart part headers too large");
+            return;
+          }
+          const h = parsePartHeaders(buf.subarray(0, j).toString("utf8"));
+          buf = buf.subarray(j + 4);
+          const wantsFile = h.filename !== null || h.name === "file";
+          part = { ...h, isFile: wantsFile && !file, skip: wantsFile && Boolean(file) };
+          if (part.isFile) file = { name: h.name, filename: h.filename, contentType: h.contentType, bytes: 0 };
+          state = "body";
+        } else if (state === "body") {
+          const i = buf.indexOf(delim);
+          if (i < 0) {
+            // Keep a tail that could be the start of a split delimiter.
+            const keep = delim.length - 1;
+            if (buf.length > keep) {
+              emit(buf.subarray(0, buf.length - keep));
+              buf = buf.subarray(buf.length - keep);
+            }
+            return;
+          }
+          emit(buf.subarray(0, i));
+          buf = buf.subarray(i + delim.length);
+          closePart();
+          state = "next";
+        } else {
+          return;
+        }
+      }
+    };
+
+    let ended = false;
+    req.on("data", (chunk) => {
+      if (failed) return;
+      buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+      try {
+        step();
+      } catch (e) {
+        fail(e);
+      }
+    });
+    req.on("end", () => {
+      ended = true;
+      if (failed) return;
+      if (state !== "done") return fail(new Error("Truncated multipart body"));
+      resolve({ fields, file });
+    });
+    req.on("error", fail);
+    req.on("close", () => { if (!ended) fail(new Error("Upload aborted by client")); });
+  });
+}
+
+module.exports = { boundaryFromContentType, readMultipart };
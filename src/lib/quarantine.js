@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+
+const { ensureDir, readJsonSafe } = require("./fsx");
+const { appendJsonl } = require("./jsonl");
+const { toRelative } = require("./paths");
+const { normalizeUrl } = require("./urlnorm");
+const { writeRowListArtifact } = require("./artifacts");
+const { logEvent } = require("./logger");
+
+// Quarantine for uploads whose bytes don't match their extension
+// (lib/sniff.js checkExpectedContent): Cloudflare challenges, error pages,
+// truncated files.
+//
+// The bytes are kept under <termDir>/_bad/ for inspection but never enter
+// downloaded_hash_index.json or the level manifest, so the URL stays in the
+// level's remaining list. It is also listed in
+//   _meta/<domain>/artifacts/files-retry-level-L.json
+// (url, reason, detected kind, attempts) for a targeted retry pass; a later
+// good upload of the same URL removes it again.
+
+function retryArtifactPath(cfg, level) {
+  return path.join(cfg.ARTIFACT_DIR, `files-retry-level-${level}.json`);
+}
+
+function readRetryRows(cfg, level) {
+  const arr = readJsonSafe(retryArtifactPath(cfg, level), []);
+  return (Array.isArray(arr) ? arr : [])
+    .filter((r) => r && r.url)
+    .map((r) => {
+      const row = { ...r };
+      for (const k of ["_meta", "level", "kind", "ts", "total_entries"]) delete row[k];
+      return row;
+    });
+}
+
+function writeRetryRows(cfg, level, rows) {
+  writeRowListArtifact({
+    path: retryArtifactPath(cfg, level),
+    rows,
+    kind: "files-retry",
+    level,
+    metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW,
+  });
+}
+
+function quarantineTarget(route, verdict) {
+  const base = route.filename.replace(/\.[a-z0-9]+$/i, "");
+  const ext = verdict.detected === "html" ? "html" : verdict.detected === "text" ? "txt" : "bin";
+  const name = `${base}__${verdict.reason}.${ext}`.replace(/[\/\\]/g, "_");
+  return path.join(route.termDir, "_bad", name);
+}
+
+/**
+ * Park a mismatched upload under _bad/ and queue its URL for retry.
+ * Caller holds the domain's upload locks. Returns the JSON response body.
+ */
+function quarantineUpload({ cfg, route, meta, content, verdict }) {
+  const { url, source_page_url, bfs_level } = meta;
+  const now = new Date().toISOString();
+
+  const outAbs = quarantineTarget(route, verdict);
+  ensureDir(path.dirname(outAbs));
+  content.save(outAbs);
+  const outRel = toRelative(outAbs);
+
+  const u = normalizeUrl(url);
+  const rows = readRetryRows(cfg, bfs_level);
+  const prev = rows.find((r) => r.url === u) || null;
+  const row = {
+    url: u,
+    source_page_url: source_page_url || prev?.source_page_url || null,
+    ext: verdict.ext,
+    reason: verdict.reason,
+    detected: verdict.detected,
+    challenge: verdict.challenge || null,
+    quarantined_to: outRel,
+    sha256: content.sha256,
+    bytes: content.bytes,
+    attempts: Number(prev?.attempts || 0) + 1,
+    first_seen_ts: prev?.first_seen_ts || now,
+    last_seen_ts: now,
+  };
+  writeRetryRows(cfg, bfs_level, prev ? rows.map((r) => (r === prev ? row : r)) : [...rows, row]);
+
+  appendJsonl(cfg.LOG_FILE_SAVES, {
+    ts: now,
+    url,
+    source_page_url,
+    termKey: route.termKey,
+    electorateFolder: route.electorateFolder || null,
+    saved_to: outRel,
+    bytes: content.bytes,
+    ext: route.ext,
+    note: verdict.reason,
+    quarantined: true,
+    detected: verdict.detected,
+    challenge: verdict.challenge || undefined,
+    sha256: content.sha256,
+    bfs_level,
+  });
+  logEvent("UPLOAD_QUARANTINED", {
+    domain_key: cfg.domain_key,
+    url,
+    level: bfs_level,
+    reason: verdict.reason,
+    challenge: verdict.challenge || undefined,
+    attempts: row.attempts,
+  });
+
+  return {
+    ok: true,
+    quarantined: true,
+    note: verdict.reason,
+    saved_to: outRel,
+    bytes: content.bytes,
+    expected: verdict.expected,
+    detected: verdict.detected,
+    challenge: verdict.challenge || null,
+    attempts: row.attempts,
+    retry_path: retryArtifactPath(cfg, bfs_level),
+    sha256: content.sha256,
+  };
+}
+
+/**
+ * Drop a URL from the level's retry artifact (after a good upload).
+ */
+function clearRetry(cfg, level, url) {
+  const p = retryArtifactPath(cfg, level);
+  if (!fs.existsSync(p)) return false;
+  const u = normalizeUrl(url);
+  const rows = readRetryRows(cfg, level);
+  const next = rows.filter((r) => r.url !== u);
+  if (next.length === rows.length) return false;
+  writeRetryRows(cfg, level, next);
+  return true;
+}
+
+module.exports = { retryArtifactPath, readRetryRows, quarantineUpload, clearRetry };
@@ -0,0 +1,217 @@
+const path = require("path");
+const crypto = require("crypto");
+
+const { readJsonSafe, writeJson } = require("./fsx");
+const { stableUniqUrls, normalizeUrl, applyAlias } = require("./urlnorm");
+const { loadAliasMap } = require("./aliases");
+const { loadState } = require("./state");
+const { readExpectedFileUrls, readDownloadedFileUrlsForLevel } = require("./reconcile_files");
+
+// Pull-based work queue: _meta/<domain>/queue/<kind>-level-L.json
+//
+// An alternative to feeding Postman static urls-level-N.part-XXXX.json files.
+// Runners lease rows, then ack (done) or nack (failed) them; a lease that is
+// not settled in time expires and its rows return to the queue. Several
+// runners can therefore work one level concurrently, and a crashed run resumes
+// exactly where it stopped.
+//
+// The queue is synced with the same remaining-list logic the artifacts use
+// before every lease:
+//   urls:  urls-level-L.json minus pages visited at level L (state.json)
+//   files: files-level-L.json minus files downloaded at level L (hash index)
+// so rows completed outside the queue are marked done too.
+//
+// items: { "<url>": { status: pending|leased|done|failed, row, attempts,
+//                      lease_id, lease_expires_ts, last_error, updated_ts } }
+
+const KINDS = ["urls", "files"];
+
+function queuePath(cfg, kind, level) {
+  return path.join(cfg.QUEUE_DIR, `${kind}-level-${level}.json`);
+}
+
+function loadQueue(cfg, kind, level) {
+  const raw = readJsonSafe(queuePath(cfg, kind, level), null);
+  if (raw && typeof raw === "object" && raw.items) return raw;
+  return { kind, level, created_ts: new Date().toISOString(), synced_ts: null, items: {} };
+}
+
+function saveQueue(cfg, q) {
+  writeJson(queuePath(cfg, q.kind, q.level), q);
+}
+
+function artifactRows(p) {
+  const arr = readJsonSafe(p, []);
+  if (!Array.isArray(arr)) return [];
+  return arr
+    .map((r) => (typeof r === "string" ? { url: r } : r))
+    .filter((r) => r && r.url)
+    .map(({ _meta, level, kind, ts, total_entries, ...row }) => row);
+}
+
+// Source of truth for the level: { rows: Map(url -> row), completed: Set(url) }
+function readLevelWork(cfg, kind, level) {
+  const aliases = loadAliasMap(cfg);
+  const rows = new Map();
+
+  if (kind === "files") {
+    const meta = new Map();
+    for (const r of artifactRows(path.join(cfg.ARTIFACT_DIR, `files-level-${level}.json`))) {
+      meta.set(applyAlias(aliases, normalizeUrl(r.url)), r);
+    }
+    for (const u of readExpectedFileUrls(cfg, level, aliases)) {
+      const m = meta.get(u) || {};
+      rows.set(u, { url: u, ext: m.ext || null, source_page_url: m.source_page_url || null });
+    }
+    return { rows, completed: readDownloadedFileUrlsForLevel(cfg, level, aliases) };
+  }
+
+  const input = artifactRows(path.join(cfg.ARTIFACT_DIR, `urls-level-${level}.json`)).map((r) => r.url);
+  for (const u of stableUniqUrls(input, aliases)) rows.set(u, { url: u });
+  const st = loadState(cfg.STATE_PATH);
+  const visited = st.levels?.[String(level)]?.visited || [];
+  return { rows, completed: new Set(stableUniqUrls(visited, aliases)) };
+}
+
+function expireLeases(q, now = Date.now()) {
+  let expired = 0;
+  for (const it of Object.values(q.items)) {
+    if (it.status !== "leased") continue;
+    if (Date.parse(it.lease_expires_ts || "") > now) continue;
+    it.status = "pending";
+    it.lease_id = null;
+    it.lease_expires_ts = null;
+    it.updated_ts = new Date(now).toISOString();
+    expired++;
+  }
+  return expired;
+}
+
+function syncQueue(cfg, q) {
+  const { rows, completed } = readLevelWork(cfg, q.kind, q.level);
+  const now = new Date().toISOString();
+  let added = 0;
+
+  for (const [u, row] of rows.entries()) {
+    const it = q.items[u];
+    if (!it) {
+      q.items[u] = { status: completed.has(u) ? "done" : "pending", row, attempts: 0, lease_id: null, lease_expires_ts: null, last_error: null, updated_ts: now };
+      added++;
+      continue;
+    }
+    it.row = row;
+    if (completed.has(u) && it.status !== "done") {
+      it.status = "done";
+      it.lease_id = null;
+      it.lease_expires_ts = null;
+      it.updated_ts = now;
+    }
+  }
+
+  // Rows that left the level (rescoped, deferred, aliased) are dropped unless leased.
+  for (const [u, it] of Object.entries(q.items)) {
+    if (!rows.has(u) && it.status !== "leased") delete q.items[u];
+  }
+
+  q.synced_ts = now;
+  return { added };
+}
+
+function queueCounts(q) {
+  const c = { total: 0, pending: 0, leased: 0, done: 0, failed: 0 };
+  for (const it of Object.values(q.items)) {
+    c.total++;
+    c[it.status] = (c[it.status] || 0) + 1;
+  }
+  return c;
+}
+
+/**
+ * Lease up to n pending rows (and failed ones with retryFailed). Caller should hold the domain's "queue" lock.
+ * Returns { lease_id, expires_ts, rows, counts }
+ */
+function leaseRows(cfg, { kind, level, n, leaseMs, runner = null, retryFailed = false }) {
+  const q = loadQueue(cfg, kind, level);
+  expireLeases(q);
+  syncQueue(cfg, q);
+
+  const now = Date.now();
+  const lease_id = `lease_${now}_${crypto.randomBytes(4).toString("hex")}`;
+  const expires_ts = new Date(now + leaseMs).toISOString();
+  const rows = [];
+
+  for (const [u, it] of Object.entries(q.items)) {
+    if (rows.length >= n) break;
+    if (it.status !== "pending" && !(retryFailed && it.status === "failed")) continue;
+    it.status = "leased";
+    it.lease_id = lease_id;
+    it.lease_expires_ts = expires_ts;
+    it.runner = runner;
+    it.attempts = Number(it.attempts || 0) + 1;
+    it.updated_ts = new Date(now).toISOString();
+    rows.push({ ...it.row, url: u, attempt: it.attempts });
+  }
+
+  saveQueue(cfg, q);
+  return { lease_id: rows.length ? lease_id : null, expires_ts: rows.length ? expires_ts : null, rows, counts: queueCounts(q) };
+}
+
+/**
+ * Settle leased rows. status: "done" (ack) | "failed" (nack).
+ * - leaseId: only rows held by this lease (all of them when urls is omitted)
+ * - urls:    explicit rows (without leaseId any non-done row may be settled)
+ * - retry:   nack only; put the rows back to pending instead of failed
+ *
+ * Returns { settled, ignored:[{url, reason}], lease_active, counts }
+ * (lease_active is false when the lease expired or never existed)
+ */
+function settleRows(cfg, { kind, level, leaseId = null, urls = null, status, reason = null, retry = false }) {
+  const q = loadQueue(cfg, kind, level);
+  expireLeases(q);
+  const aliases = loadAliasMap(cfg);
+  const now = new Date().toISOString();
+
+  let targets;
+  if (Array.isArray(urls) && urls.length) {
+    targets = stableUniqUrls(urls.map((x) => (typeof x === "string" ? x : x?.url)).filter(Boolean), aliases);
+  } else {
+    targets = Object.entries(q.items).filter(([, it]) => leaseId && it.lease_id === leaseId).map(([u]) => u);
+  }
+
+  let settled = 0;
+  const ignored = [];
+  for (const u of targets) {
+    const it = q.items[u];
+    if (!it) { ignored.push({ url: u, reason: "not_queued" }); continue; }
+    if (leaseId && it.lease_id !== leaseId) {
+      ignored.push({ url: u, reason: it.status === "done" ? "already_done" : "lease_mismatch" });
+      continue;
+    }
+    if (it.status === "done" && status === "done") { ignored.push({ url: u, reason: "already_done" }); continue; }
+
+    it.status = status === "failed" && retry ? "pending" : status;
+    it.lease_id = null;
+    it.lease_expires_ts = null;
+    if (status === "failed") it.last_error = reason ? String(reason) : "nack";
+    it.updated_ts = now;
+    settled++;
+  }
+
+  saveQueue(cfg, q);
+  const leaseActive = leaseId ? Object.values(q.items).some((it) => it.lease_id === leaseId) || settled > 0 : null;
+  return { settled, ignored, lease_active: leaseActive, counts: queueCounts(q) };
+}
+
+/**
+ * Read-only status (expired leases are reported as pending).
+ */
+function queueStatus(cfg, { kind, level }) {
+  const q = loadQueue(cfg, kind, level);
+  expireLeases(q);
+  const failed = Object.entries(q.items)
+    .filter(([, it]) => it.status === "failed")
+    .map(([url, it]) => ({ url, attempts: it.attempts, last_error: it.last_error, updated_ts: it.updated_ts }));
+  return { kind, level, synced_ts: q.synced_ts, counts: queueCounts(q), failed };
+}
+
+module.exports = { KINDS, leaseRows, settleRows, queueStatus };
@@ -2,7 +2,8 @@ const fs = require("fs");
 const path = require("path");
 
 const { readJsonSafe } = require("./fsx");
-const { stableUniqUrls } = require("./urlnorm");
+const { stableUniqUrls, normalizeUrl, applyAlias } = require("./urlnorm");
+const { loadAliasMap } = require("./aliases");
 const { writeFilesForLevel, writeChunkedFiles } = require("./artifacts");
 
 function nowIso() {
@@ -33,7 +34,7 @@ function listFileLevels(cfg) {
   return out.sort((a, b) => a - b);
 }
 
-function readExpectedFileUrls(cfg, level) {
+function readExpectedFileUrls(cfg, level, aliases) {
   const p = path.join(cfg.ARTIFACT_DIR, `files-level-${level}.json`);
   const arr = readJsonSafe(p, []);
   const urls = Array.isArray(arr)
@@ -42,10 +43,10 @@ function readExpectedFileUrls(cfg, level) {
         .filter(Boolean)
     : [];
   // Important: do NOT drop the first row; treat it like any other URL row.
-  return stableUniqUrls(urls);
+  return stableUniqUrls(urls, aliases);
 }
 
-function readDownloadedFileUrlsForLevel(cfg, level) {
+function readDownloadedFileUrlsForLevel(cfg, level, aliases) {
   const idx = readJsonSafe(cfg.DOWNLOADED_HASH_INDEX_PATH, {});
   const downloaded = new Set();
   for (const rec of Object.values(idx || {})) {
@@ -53,7 +54,7 @@ function readDownloadedFileUrlsForLevel(cfg, level) {
     for (const s of sources) {
       if (!s || !s.url) continue;
       const lvl = Number(s.level);
-      if (Number.isFinite(lvl) && lvl === level) downloaded.add(String(s.url));
+      if (Number.isFinite(lvl) && lvl === level) downloaded.add(applyAlias(aliases, normalizeUrl(s.url)));
     }
   }
   return downloaded;
@@ -61,9 +62,10 @@ function readDownloadedFileUrlsForLevel(cfg, level) {
 
 function reconcileFilesLevel({ cfg, level, chunkSize }) {
   const started_ts = nowIso();
-  const expectedUrls = readExpectedFileUrls(cfg, level);
+  const aliases = loadAliasMap(cfg);
+  const expectedUrls = readExpectedFileUrls(cfg, level, aliases);
   const expectedSet = new Set(expectedUrls);
-  const downloadedSet = readDownloadedFileUrlsForLevel(cfg, level);
+  const downloadedSet = readDownloadedFileUrlsForLevel(cfg, level, aliases);
 
   const remainingUrls = expectedUrls.filter((u) => !downloadedSet.has(u));
 
@@ -100,9 +102,10 @@ function reconcileFilesLevel({ cfg, level, chunkSize }) {
 
 // Read-only status computation (NO writes).
 function computeFilesLevelStatus({ cfg, level }) {
-  const expectedUrls = readExpectedFileUrls(cfg, level);
+  const aliases = loadAliasMap(cfg);
+  const expectedUrls = readExpectedFileUrls(cfg, level, aliases);
   const expectedSet = new Set(expectedUrls);
-  const downloadedSet = readDownloadedFileUrlsForLevel(cfg, level);
+  const downloadedSet = readDownloadedFileUrlsForLevel(cfg, level, aliases);
   const remaining = expectedUrls.filter((u) => !downloadedSet.has(u)).length;
   return {
     domain_key: cfg.domain_key,
@@ -117,6 +120,8 @@ function computeFilesLevelStatus({ cfg, level }) {
 module.exports = {
   listDomainKeys,
   listFileLevels,
+  readExpectedFileUrls,
+  readDownloadedFileUrlsForLevel,
   reconcileFilesLevel,
   computeFilesLevelStatus,
 };
@@ -0,0 +1,283 @@
+const fs = require("fs");
+const path = require("path");
+
+const { readJsonSafe, writeJson } = require("./fsx");
+const { appendJsonl } = require("./jsonl");
+const { normalizeUrl, resolveUrlPolicy, configureUrlPolicies } = require("./urlnorm");
+
+// Re-apply a URL canonicalisation policy to a domain's existing crawl state.
+//
+// Everything the sink persists is keyed by normalized URL, so changing
+// url_policy.json only affects new input. This rewrites what is already on disk:
+//   - artifacts/*.json row lists (url, source_page_url; rows deduped by url)
+//   - state.json (levels[L].visited/pages/files, file_hashes[*].url)
+//   - downloaded_hash_index.json sources
+//   - probe_meta_index.json / page_fingerprint_index.json / url_index.json keys
+//   - aliases.json (keys + targets; self-aliases dropped)
+//   - graph/edges-level-L.json
+//
+// Dry-run by default: reports the merges (several old URLs -> one new URL)
+// the policy would cause without touching any file.
+
+const META_ROW_KEYS = ["_meta", "level", "kind", "total_entries"];
+
+function makeRewriter(policy) {
+  const byNew = new Map(); // new url -> Set(old urls)
+  let changed = 0;
+  const seenOld = new Set();
+
+  const rw = (u) => {
+    if (!u || typeof u !== "string") return u;
+    const next = normalizeUrl(u, policy);
+    if (!seenOld.has(u)) {
+      seenOld.add(u);
+      if (next !== u) changed++;
+      if (!byNew.has(next)) byNew.set(next, new Set());
+      byNew.get(next).add(u);
+    }
+    return next;
+  };
+
+  rw.summary = () => {
+    const merges = [];
+    for (const [to, olds] of byNew.entries()) {
+      if (olds.size > 1) merges.push({ to, from: Array.from(olds).sort() });
+    }
+    merges.sort((a, b) => b.from.length - a.from.length || a.to.localeCompare(b.to));
+    return { urls_seen: seenOld.size, urls_changed: changed, merges };
+  };
+
+  return rw;
+}
+
+// Rewrite one artifact row list. Returns null when the file isn't a row list.
+function rewriteRowList(arr, rw) {
+  if (!Array.isArray(arr) || !arr.length) return null;
+  if (!arr.every((r) => typeof r === "string" || (r && typeof r === "object" && r.url))) return null;
+
+  const first = arr[0] && typeof arr[0] === "object" ? arr[0] : null;
+  const meta = {};
+  if (first?._meta) {
+    for (const k of META_ROW_KEYS) if (k in first) meta[k] = first[k];
+  }
+
+  const seen = new Set();
+  const rows = [];
+  let dropped = 0;
+  for (const r of arr) {
+    if (typeof r === "string") {
+      const u = rw(r);
+      if (seen.has(u)) { dropped++; continue; }
+      seen.add(u);
+      rows.push(u);
+      continue;
+    }
+    const row = { ...r };
+    if (row._meta) for (const k of META_ROW_KEYS) delete row[k];
+    row.url = rw(row.url);
+    if (row.source_page_url) row.source_page_url = rw(row.source_page_url);
+    if (seen.has(row.url)) { dropped++; continue; }
+    seen.add(row.url);
+    rows.push(row);
+  }
+
+  if (first?._meta && rows.length && typeof rows[0] === "object") {
+    if ("total_entries" in meta) meta.total_entries = rows.length;
+    rows[0] = { ...meta, ...rows[0] };
+  }
+  return { rows, dropped };
+}
+
+function rewriteArtifacts(cfg, rw, dryRun) {
+  const out = [];
+  if (!fs.existsSync(cfg.ARTIFACT_DIR)) return out;
+  for (const name of fs.readdirSync(cfg.ARTIFACT_DIR).sort()) {
+    if (!name.endsWith(".json")) continue;
+    const p = path.join(cfg.ARTIFACT_DIR, name);
+    const arr = readJsonSafe(p, null);
+    const res = rewriteRowList(arr, rw);
+    if (!res) continue;
+    const changed = res.dropped > 0 || JSON.stringify(res.rows) !== JSON.stringify(arr);
+    if (!changed) continue;
+    out.push({ file: name, before: arr.length, after: res.rows.length, merged: res.dropped });
+    if (!dryRun) writeJson(p, res.rows);
+  }
+  return out;
+}
+
+function uniqBy(arr, keyFn) {
+  const seen = new Set();
+  const out = [];
+  for (const x of arr) {
+    const k = keyFn(x);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(x);
+  }
+  return out;
+}
+
+function rewriteState(cfg, rw, dryRun) {
+  const st = readJsonSafe(cfg.STATE_PATH, null);
+  if (!st || typeof st !== "object") return null;
+  const before = JSON.stringify(st);
+
+  for (const lvl of Object.values(st.levels || {})) {
+    if (!lvl || typeof lvl !== "object") continue;
+    for (const k of ["visited", "pages"]) {
+      if (Array.isArray(lvl[k])) lvl[k] = uniqBy(lvl[k].map(rw).filter(Boolean), (u) => u);
+    }
+    if (Array.isArray(lvl.files)) {
+      lvl.files = uniqBy(
+        lvl.files.map((f) => (f && typeof f === "object"
+          ? { ...f, url: rw(f.url), ...(f.source_page_url ? { source_page_url: rw(f.source_page_url) } : {}) }
+          : f)),
+        (f) => (f && typeof f === "object" ? f.url : f)
+      );
+    }
+  }
+  for (const rec of Object.values(st.file_hashes || {})) {
+    if (rec && typeof rec === "object" && rec.url) rec.url = rw(rec.url);
+  }
+
+  const changed = JSON.stringify(st) !== before;
+  if (changed && !dryRun) writeJson(cfg.STATE_PATH, st);
+  return { changed };
+}
+
+function rewriteHashIndex(cfg, rw, dryRun) {
+  const idx = readJsonSafe(cfg.DOWNLOADED_HASH_INDEX_PATH, null);
+  if (!idx || typeof idx !== "object") return null;
+  let sourcesBefore = 0;
+  let sourcesAfter = 0;
+  let recordsChanged = 0;
+
+  for (const rec of Object.values(idx)) {
+    if (!rec || !Array.isArray(rec.sources)) continue;
+    const prev = JSON.stringify(rec.sources);
+    sourcesBefore += rec.sources.length;
+    rec.sources = uniqBy(
+      rec.sources.map((s) => ({
+        ...s,
+        url: rw(s?.url),
+        ...(s?.source_page_url ? { source_page_url: rw(s.source_page_url) } : {}),
+      })),
+      (s) => `${s.url}\n${s.source_page_url || ""}\n${s.level ?? ""}`
+    );
+    sourcesAfter += rec.sources.length;
+    if (JSON.stringify(rec.sources) !== prev) recordsChanged++;
+  }
+
+  if (recordsChanged && !dryRun) writeJson(cfg.DOWNLOADED_HASH_INDEX_PATH, idx);
+  return { records_changed: recordsChanged, sources_before: sourcesBefore, sources_after: sourcesAfter };
+}
+
+// Re-key a { url: record } index. On collision the most recently seen record wins.
+function rewriteKeyedIndex(p, rw, dryRun) {
+  const idx = readJsonSafe(p, null);
+  if (!idx || typeof idx !== "object" || Array.isArray(idx)) return null;
+  const next = {};
+  let collisions = 0;
+  const tsOf = (r) => Date.parse(r?.last_seen_ts || r?.ts || "") || 0;
+
+  for (const [k, rec] of Object.entries(idx)) {
+    const nk = rw(k);
+    const nrec = rec && typeof rec === "object" && rec.url ? { ...rec, url: nk } : rec;
+    if (next[nk]) {
+      collisions++;
+      if (tsOf(nrec) <= tsOf(next[nk])) continue;
+    }
+    next[nk] = nrec;
+  }
+
+  const changed = JSON.stringify(next) !== JSON.stringify(idx);
+  if (changed && !dryRun) writeJson(p, next);
+  return { before: Object.keys(idx).length, after: Object.keys(next).length, collisions };
+}
+
+function rewriteAliases(cfg, rw, dryRun) {
+  const raw = readJsonSafe(cfg.ALIASES_PATH, null);
+  if (!raw || typeof raw !== "object") return null;
+  const next = {};
+  let dropped = 0;
+  for (const [from, rec] of Object.entries(raw)) {
+    const to = typeof rec === "string" ? rec : rec?.to;
+    const nf = rw(from);
+    const nt = rw(to);
+    if (!nf || !nt || nf === nt) { dropped++; continue; }
+    next[nf] = typeof rec === "string" ? nt : { ...rec, to: nt };
+  }
+  const changed = JSON.stringify(next) !== JSON.stringify(raw);
+  if (changed && !dryRun) writeJson(cfg.ALIASES_PATH, next);
+  return { before: Object.keys(raw).length, after: Object.keys(next).length, dropped_self_aliases: dropped };
+}
+
+function rewriteGraph(cfg, rw, dryRun) {
+  const out = [];
+  if (!cfg.GRAPH_DIR || !fs.existsSync(cfg.GRAPH_DIR)) return out;
+  for (const name of fs.readdirSync(cfg.GRAPH_DIR).sort()) {
+    if (!/^edges-level-\d+\.json$/i.test(name)) continue;
+    const p = path.join(cfg.GRAPH_DIR, name);
+    const doc = readJsonSafe(p, null);
+    if (!doc || !Array.isArray(doc.edges)) continue;
+    const edges = uniqBy(
+      doc.edges
+        .map((e) => ({ ...e, from: rw(e.from), to: rw(e.to) }))
+        .filter((e) => e.from && e.to && e.from !== e.to),
+      (e) => `${e.from}\n${e.to}\n${e.kind}`
+    );
+    if (JSON.stringify(edges) === JSON.stringify(doc.edges)) continue;
+    out.push({ file: name, before: doc.edges.length, after: edges.length });
+    if (!dryRun) writeJson(p, { ...doc, edges, updated_ts: new Date().toISOString() });
+  }
+  return out;
+}
+
+/**
+ * Rewrite a domain's persisted URLs under `policy` (defaults to the domain's
+ * current url_policy.json).
+ *
+ * - dryRun: report only (default)
+ * - savePolicy: when applying with an explicit policy, persist it as url_policy.json
+ *
+ * Returns the report object.
+ */
+function renormalizeDomain({ cfg, policy = null, dryRun = true, savePolicy = true }) {
+  const raw = policy || readJsonSafe(cfg.URL_POLICY_PATH, null);
+  const pol = resolveUrlPolicy(raw);
+  const rw = makeRewriter(pol);
+
+  const report = {
+    domain_key: cfg.domain_key,
+    dryRun,
+    policy: pol,
+    artifacts: rewriteArtifacts(cfg, rw, dryRun),
+    state: rewriteState(cfg, rw, dryRun),
+    hash_index: rewriteHashIndex(cfg, rw, dryRun),
+    probe_meta_index: rewriteKeyedIndex(cfg.PROBE_META_INDEX_PATH, rw, dryRun),
+    page_fingerprint_index: rewriteKeyedIndex(cfg.PAGE_FINGERPRINT_INDEX_PATH, rw, dryRun),
+    url_index: rewriteKeyedIndex(cfg.URL_INDEX_PATH, rw, dryRun),
+    aliases: rewriteAliases(cfg, rw, dryRun),
+    graph: rewriteGraph(cfg, rw, dryRun),
+    ...rw.summary(),
+  };
+
+  if (!dryRun) {
+    if (policy && savePolicy) {
+      writeJson(cfg.URL_POLICY_PATH, raw);
+      // Drop the cached policy so the running process picks up the new file.
+      configureUrlPolicies({ metaRoot: cfg.META_ROOT });
+    }
+    appendJsonl(cfg.LOG_DEDUPE, {
+      kind: "renormalize",
+      domain_key: cfg.domain_key,
+      urls_changed: report.urls_changed,
+      merges: report.merges.length,
+      ts: new Date().toISOString(),
+    });
+  }
+
+  return report;
+}
+
+module.exports = { renormalizeDomain };
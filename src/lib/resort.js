@@ -4,10 +4,14 @@ const os = require("os");
 const crypto = require("crypto");
 
 const { resolveSavePath } = require("./routing");
+const { loadRoutingProfile } = require("./routing_rules");
 const { loadElectoratesMeta } = require("./electorates");
 const { ensureDir, readJsonSafe, writeJson } = require("./fsx");
 const { appendJsonl } = require("./jsonl");
 const { toAbsolute, toRelative } = require("./paths");
+const { updateLevelManifests } = require("./ingest");
+const { REVISIONS_DIR, isRevisionPath } = require("./url_index");
+const { memberRoute, membershipForUrl } = require("./archives");
 
 function safeStat(absPath) {
   try {
@@ -65,26 +69,6 @@ function pickBestSource(sources) {
   return best;
 }
 
-function updateLevelManifests(cfg, oldRel, newRel, sha256) {
-  if (!fs.existsSync(cfg.LEVEL_FILES_DIR)) return;
-  const files = fs.readdirSync(cfg.LEVEL_FILES_DIR).filter((f) => f.endsWith(".json"));
-  for (const f of files) {
-    const p = path.join(cfg.LEVEL_FILES_DIR, f);
-    const m = readJsonSafe(p, null);
-    if (!m || !Array.isArray(m.files)) continue;
-    let changed = false;
-    for (const ent of m.files) {
-      if (!ent) continue;
-      if (sha256 && ent.sha256 !== sha256) continue;
-      if (ent.saved_to === oldRel) {
-        ent.saved_to = newRel;
-        changed = true;
-      }
-    }
-    if (changed) writeJson(p, m);
-  }
-}
-
 /**
  * Resort already-downloaded files using routing.js.
  *
@@ -97,12 +81,16 @@ function updateLevelManifests(cfg, oldRel, newRel, sha256) {
  *      * different sha:
  *          - if occupant sha is NOT in index: displace occupant to __dupN, then place indexed file.
  *          - if occupant sha IS in index: do not overwrite; suffix this file to __dupN (twin).
+ *  - Files under _revisions/ (older revisions of a URL) stay under _revisions/
+ *    of their routed folder.
+ *  - Extracted ZIP members follow lib/archives.js memberRoute().
  */
 async function resortDownloads({ cfg, downloadsRootOverride, dryRun = true, conflict = "suffix", limit = null }) {
   const downloadsRoot = downloadsRootOverride ? path.resolve(downloadsRootOverride) : cfg.DOWNLOADS_ROOT;
   ensureDir(downloadsRoot);
 
   const electoratesByTerm = loadElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH);
+  const routing = loadRoutingProfile(cfg);
   const idx = readJsonSafe(cfg.DOWNLOADED_HASH_INDEX_PATH, {});
 
   const actions = [];
@@ -144,16 +132,24 @@ async function resortDownloads({ cfg, downloadsRootOverride, dryRun = true, conf
     }
 
     const filenameOverride = path.basename(oldRel);
-    const route = resolveSavePath({
+    const resolved = resolveSavePath({
       downloadsRoot,
       url: src.url,
       ext: rec.ext || null,
       source_page_url: src.source_page_url || null,
       electoratesByTerm,
       filenameOverride,
+      routing,
     });
-
-    const desiredAbs = route.outPath;
+    // ZIP members without a more specific route stay next to their archive.
+    const memberOf = membershipForUrl(rec, src.url, idx);
+    const route = memberOf ? memberRoute(resolved, memberOf) : resolved;
+
+    // Archived revisions (lib/url_index.js) follow their canonical file into
+    // the routed folder's _revisions/ and keep their __rev<N> name.
+    const desiredAbs = isRevisionPath(oldRel)
+      ? path.join(path.dirname(route.outPath), REVISIONS_DIR, filenameOverride)
+      : route.outPath;
     const desiredRel = toRelative(desiredAbs);
     const samePath = path.resolve(oldAbs) === path.resolve(desiredAbs);
 
@@ -0,0 +1,116 @@
+const { URL } = require("url");
+
+const { readJsonSafe } = require("./fsx");
+
+// robots.txt parsing / matching.
+//
+// POST /discover/robots stores the parsed file in _meta/<domain>/robots.json.
+// The rules are advisory: scope.json can opt in with "honour_robots": true
+// (or a user-agent string), in which case disallowed URLs are rejected like any
+// other out-of-scope URL.
+
+/**
+ * Parse robots.txt text.
+ * Returns { groups:[{ agents:[...], allow:[...], disallow:[...], crawl_delay }], sitemaps:[...] }
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let cur = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) continue;
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (key === "sitemap") {
+      if (value && !sitemaps.includes(value)) sitemaps.push(value);
+      continue;
+    }
+
+    if (key === "user-agent") {
+      // Consecutive User-agent lines share one group.
+      if (!cur || !lastWasAgent) {
+        cur = { agents: [], allow: [], disallow: [], crawl_delay: null };
+        groups.push(cur);
+      }
+      cur.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!cur) continue; // rules before any User-agent are ignored
+
+    if (key === "allow" && value) cur.allow.push(value);
+    else if (key === "disallow" && value) cur.disallow.push(value); // empty Disallow = allow all
+    else if (key === "crawl-delay" && Number.isFinite(Number(value))) cur.crawl_delay = Number(value);
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Rules for a user agent: the groups naming it (substring match), else "*".
+ * Returns { allow:[...], disallow:[...], crawl_delay } or null when no group applies.
+ */
+function rulesForAgent(robots, userAgent = "*") {
+  const groups = Array.isArray(robots?.groups) ? robots.groups : [];
+  const ua = String(userAgent || "*").toLowerCase();
+
+  let matched = ua === "*" ? [] : groups.filter((g) => g.agents.some((a) => a !== "*" && ua.includes(a)));
+  if (!matched.length) matched = groups.filter((g) => g.agents.includes("*"));
+  if (!matched.length) return null;
+
+  return {
+    allow: matched.flatMap((g) => g.allow),
+    disallow: matched.flatMap((g) => g.disallow),
+    crawl_delay: matched.map((g) => g.crawl_delay).find((d) => d !== null) ?? null,
+  };
+}
+
+function patternToRegExp(p) {
+  const anchored = p.endsWith("$");
+  const body = (anchored ? p.slice(0, -1) : p)
+    .split("*")
+    .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * True when the URL is disallowed. Longest matching pattern wins; Allow wins ties.
+ */
+function robotsDisallows(rules, url) {
+  if (!rules) return false;
+  let target;
+  try {
+    const U = new URL(String(url));
+    target = `${U.pathname}${U.search}`;
+  } catch {
+    return false;
+  }
+
+  let best = null; // { len, allow }
+  const consider = (list, allow) => {
+    for (const p of list) {
+      if (!patternToRegExp(p).test(target)) continue;
+      const len = p.length;
+      if (!best || len > best.len || (len === best.len && allow)) best = { len, allow };
+    }
+  };
+  consider(rules.disallow || [], false);
+  consider(rules.allow || [], true);
+  return Boolean(best && !best.allow);
+}
+
+function loadRobots(cfg) {
+  const raw = readJsonSafe(cfg.ROBOTS_PATH, null);
+  return raw && typeof raw === "object" ? raw : null;
+}
+
+module.exports = { parseRobots, rulesForAgent, robotsDisallows, loadRobots };
@@ -1,6 +1,19 @@
 const path = require("path");
 const { normalizeUrl, extFromUrl } = require("./urlnorm");
 const { decodeHtmlEntities } = require("./html");
+const { builtinProfile } = require("./routing_rules");
+const { findCalendarEvent, generalElectionBefore, calendarYears } = require("./calendar");
+
+// Where a downloaded file lives. The rules and NZ-specific tables come from a
+// routing profile (lib/routing_rules.js: built-in "nz", or the domain's
+// routing.json); the term / electorate inference below is driven by them.
+//
+// Routing decisions can be explained: every function below takes an optional
+// trace array and records each branch that fired as { step, rule, ...detail }
+// (POST /route/preview). Without a trace they behave exactly the same.
+function note(trace, step, rule, detail = {}) {
+  if (trace) trace.push({ step, rule, ...detail });
+}
 
 function asciiFold(s) {
   return String(s || "")
@@ -26,7 +39,7 @@ function termKeyParts(termKey) {
  * - then infer past/future terms on a 3-year cadence (NZ pattern) if needed
  * - return null if cannot infer safely (caller can fallback to term_extra_(YYYY))
  */
-function inferTermKeyFromEventYear(eventYear, electoratesByTerm) {
+function inferTermKeyFromEventYear(eventYear, electoratesByTerm, trace = null) {
   if (!Number.isFinite(eventYear)) return null;
 
   const terms = Object.keys(electoratesByTerm || {})
@@ -34,7 +47,10 @@ function inferTermKeyFromEventYear(eventYear, electoratesByTerm) {
     .filter((x) => x.p && Number.isFinite(x.p.termNo) && Number.isFinite(x.p.geYear))
     .sort((a, b) => a.p.geYear - b.p.geYear);
 
-  if (!terms.length) return null;
+  if (!terms.length) {
+    note(trace, "term", "no_scraped_terms", { year: eventYear });
+    return null;
+  }
 
   const min = terms[0].p;
   const max = terms[terms.length - 1].p;
@@ -45,7 +61,10 @@ function inferTermKeyFromEventYear(eventYear, electoratesByTerm) {
     if (t.p.geYear <= eventYear) candidate = t;
     else break;
   }
-  if (candidate) return candidate.k;
+  if (candidate) {
+    note(trace, "term", "scraped_term", { year: eventYear, termKey: candidate.k });
+    return candidate.k;
+  }
 
   // Event predates earliest scraped term. Try infer a prior GE year on 3-year cadence.
   // Keep term_extra_(YYYY) fallback if cadence doesn't fit.
@@ -58,6 +77,7 @@ function inferTermKeyFromEventYear(eventYear, electoratesByTerm) {
   if (inferredGeYear <= eventYear && (min.geYear - inferredGeYear) % 3 === 0) {
     const termNo = min.termNo - ((min.geYear - inferredGeYear) / 3);
     if (Number.isFinite(termNo) && termNo > 0) {
+      note(trace, "term", "cadence_before_scraped", { year: eventYear, termKey: `term_${termNo}_(${inferredGeYear})` });
       return `term_${termNo}_(${inferredGeYear})`;
     }
   }
@@ -70,6 +90,7 @@ function inferTermKeyFromEventYear(eventYear, electoratesByTerm) {
     if (inferredGeYearF <= eventYear && (inferredGeYearF - max.geYear) % 3 === 0) {
       const termNo = max.termNo + ((inferredGeYearF - max.geYear) / 3);
       if (Number.isFinite(termNo) && termNo > 0) {
+        note(trace, "term", "cadence_after_scraped", { year: eventYear, termKey: `term_${termNo}_(${inferredGeYearF})` });
         return `term_${termNo}_(${inferredGeYearF})`;
       }
     }
@@ -78,43 +99,71 @@ function inferTermKeyFromEventYear(eventYear, electoratesByTerm) {
   return null;
 }
 
-function termKeyForUrl(u, electoratesByTerm) {
+// First match of any pattern, with its year (named group "year", else group 1).
+function matchYear(patterns, url) {
+  for (const re of patterns) {
+    const m = url.match(re);
+    if (!m) continue;
+    const year = Number(m.groups?.year ?? m[1]);
+    if (Number.isFinite(year)) return { match: m[0], year };
+  }
+  return null;
+}
+
+function termKeyForUrl(u, electoratesByTerm, trace = null, profile = builtinProfile()) {
   const url = String(u || "");
 
-  // GE archive URL: /electionresults_YYYY/
-  let m = url.match(/\/electionresults_(\d{4})\//i);
-  if (m) {
-    const geYear = Number(m[1]);
-    const inferred = inferTermKeyFromEventYear(geYear, electoratesByTerm);
+  // GE archive URL (nz: /electionresults_YYYY/)
+  const ge = matchYear(profile.ge_year_patterns, url);
+  if (ge) {
+    const geYear = ge.year;
+    note(trace, "term", "ge_archive_path", { url, match: ge.match, year: geYear });
+    const inferred = inferTermKeyFromEventYear(geYear, electoratesByTerm, trace);
     if (inferred) return inferred;
+    note(trace, "term", "term_extra", { year: geYear });
     return `term_extra_(${geYear})`;
   }
 
   // by-election / referendum includes event year in path
-  m = url.match(/\/(\d{4})_[^/]*(byelection|by-election|referenda?|referendum)\//i);
-  let eventYear = m ? Number(m[1]) : null;
+  const ev = matchYear(profile.event_year_patterns, url);
+  let eventYear = ev ? ev.year : null;
+  if (ev) note(trace, "term", "event_year_path", { url, match: ev.match, year: eventYear });
+
+  let m;
 
   // fallback: first 4-digit year anywhere
   if (!eventYear) {
     m = url.match(/\b(19\d{2}|20\d{2})\b/);
-    if (m) eventYear = Number(m[1]);
+    if (m) {
+      eventYear = Number(m[1]);
+      note(trace, "term", "first_year_in_url", { url, year: eventYear });
+    }
   }
 
-  if (!eventYear) return "term_unknown";
+  if (!eventYear) {
+    note(trace, "term", "no_year", { url });
+    return "term_unknown";
+  }
 
-  const inferred2 = inferTermKeyFromEventYear(eventYear, electoratesByTerm);
+  const inferred2 = inferTermKeyFromEventYear(eventYear, electoratesByTerm, trace);
   if (inferred2) return inferred2;
 
   // Dedicated bucket for inconsistencies (unknown past/future).
+  note(trace, "term", "term_extra", { year: eventYear });
   return `term_extra_(${eventYear})`;
 }
 
-function termKeyForEvent(eventYear, monthOpt, electoratesByTerm) {
+function termKeyForEvent(eventYear, monthOpt, electoratesByTerm, trace = null) {
   // monthOpt: 1-12, used for by-elections/referenda when we can parse a date.
   // If an event occurs early in a GE year (e.g. Feb 2017), it belongs to the prior term.
-  if (!Number.isFinite(eventYear)) return "term_unknown";
+  if (!Number.isFinite(eventYear)) {
+    note(trace, "term", "no_year");
+    return "term_unknown";
+  }
 
-  const base = inferTermKeyFromEventYear(eventYear, electoratesByTerm) || `term_extra_(${eventYear})`;
+  const inferred = inferTermKeyFromEventYear(eventYear, electoratesByTerm, trace);
+  if (!inferred) note(trace, "term", "term_extra", { year: eventYear });
+  const base = inferred || `term_extra_(${eventYear})`;
   // If we can't parse a month, we still attempt a best-effort correction for
   // state-change events that occur in a GE year (e.g. 2017 by-elections that are
   // almost always *pre*-GE). This avoids misrouting into the *new* term when the
@@ -130,7 +179,10 @@ function termKeyForEvent(eventYear, monthOpt, electoratesByTerm) {
   const idx = terms.findIndex((t) => t.p.geYear === eventYear);
   if (idx > 0) {
     // If month known: only flip for Jan–Jun.
-    if (hasMonth && monthOpt <= 6) return terms[idx - 1].k;
+    if (hasMonth && monthOpt <= 6) {
+      note(trace, "term", "early_ge_year_prior_term", { year: eventYear, month: monthOpt, termKey: terms[idx - 1].k });
+      return terms[idx - 1].k;
+    }
 
     // If month unknown: prefer prior term (conservative for by-elections/referenda).
     // Rationale: these pages are typically organized by the Parliament/term the event
@@ -141,33 +193,66 @@ function termKeyForEvent(eventYear, monthOpt, electoratesByTerm) {
   return base;
 }
 
+const MONTHS = {
+  january: 1,
+  february: 2,
+  march: 3,
+  april: 4,
+  may: 5,
+  june: 6,
+  july: 7,
+  august: 8,
+  september: 9,
+  october: 10,
+  november: 11,
+  december: 12,
+};
+
 function parseMonthFromNameOrUrl(s) {
   const t = decodeHtmlEntities(String(s || ""));
   const m = t.match(
     /\b(\d{1,2})\s+(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{4})\b/i
   );
   if (!m) return null;
-  const monthName = m[2].toLowerCase();
-  const map = {
-    january: 1,
-    february: 2,
-    march: 3,
-    april: 4,
-    may: 5,
-    june: 6,
-    july: 7,
-    august: 8,
-    september: 9,
-    october: 10,
-    november: 11,
-    december: 12,
-  };
-  return map[monthName] || null;
+  return MONTHS[m[2].toLowerCase()] || null;
 }
 
-function electorateFolderFor(termKey, url, electoratesByTerm) {
+// Full date as YYYY-MM-DD: "25 February 2017" or an ISO 2017-02-25.
+function parseDateFromNameOrUrl(s) {
+  const t = decodeHtmlEntities(String(s || ""));
+  let y, mo, d;
+  let m = t.match(
+    /\b(\d{1,2})\s+(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{4})\b/i
+  );
+  if (m) [y, mo, d] = [Number(m[3]), MONTHS[m[2].toLowerCase()], Number(m[1])];
+  else if ((m = t.match(/(?:^|[^0-9])((?:19|20)\d{2})-(\d{2})-(\d{2})(?=[^0-9]|$)/))) [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  else return null;
+  const iso = `${y}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+  const dt = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(dt.getTime()) && dt.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+// Term of a calendar general election: its termKey, else the scraped term for
+// that year. null when neither pins it down (the year logic takes over).
+function termKeyForGeneralElection(ge, electoratesByTerm, trace) {
+  if (!ge) return null;
+  if (ge.termKey) return ge.termKey;
+  const geYear = Number(ge.date.slice(0, 4));
+  const inferred = inferTermKeyFromEventYear(geYear, electoratesByTerm, trace);
+  return inferred && termKeyParts(inferred)?.geYear === geYear ? inferred : null;
+}
+
+function electorateFolderFor(termKey, url, electoratesByTerm, trace = null, profile = builtinProfile()) {
   const t = (electoratesByTerm || {})[termKey];
-  if (!t?.official_order) return null;
+  if (!t?.official_order) {
+    note(trace, "electorate", "no_official_order", { termKey });
+    return null;
+  }
+  const hit = (rule, n, detail = {}) => {
+    const folder = `${String(n).padStart(3, "0")}_${official[String(n)]}`;
+    note(trace, "electorate", rule, { url: String(url || ""), ...detail, electorate: folder });
+    return folder;
+  };
 
   const u = String(url || "");
 
@@ -195,16 +280,16 @@ function electorateFolderFor(termKey, url, electoratesByTerm) {
   const urlFold = asciiFold(u);
   const filenameCompact = compactFold(filenameRaw);
 
-  // IMPORTANT: In GE archive URLs (electionresults_YYYY), the path segment /e9/ is the *election id*,
+  // IMPORTANT: In GE archive URLs (nz: electionresults_YYYY), the path segment /e9/ is the *election id*,
   // not an electorate. Do NOT treat it as electorate 9.
-  const isArchiveElectionIdPath = /\/electionresults_\d{4}\/e\d{1,3}\//i.test(u);
+  const isArchiveElectionIdPath = profile.election_id_path_patterns.some((re) => re.test(u));
 
   // PRIORITY 1: URL path contains /eNN/ (but ignore GE archive election-id paths like /electionresults_1999/e9/)
   let m = u.match(/\/e(\d{1,3})\//i);
   if (m && !isArchiveElectionIdPath) {
     const n = Number(m[1]);
     const name = official[String(n)];
-    if (name) return `${String(n).padStart(3, "0")}_${name}`;
+    if (name) return hit("e_nn_path", n, { match: m[0] });
   }
 
   // SPECIAL: Terms 47–51 exports often look like e9_part8_cand_63.csv
@@ -218,7 +303,7 @@ function electorateFolderFor(termKey, url, electoratesByTerm) {
     if (mm) {
       const n = Number(mm[1]);
       const name = official[String(n)];
-      if (name) return `${String(n).padStart(3, "0")}_${name}`;
+      if (name) return hit("cand_suffix", n, { match: mm[0] });
     }
 
     // party_##
@@ -226,7 +311,7 @@ function electorateFolderFor(termKey, url, electoratesByTerm) {
     if (mm) {
       const n = Number(mm[1]);
       const name = official[String(n)];
-      if (name) return `${String(n).padStart(3, "0")}_${name}`;
+      if (name) return hit("party_suffix", n, { match: mm[0] });
     }
   }
 
@@ -236,7 +321,7 @@ function electorateFolderFor(termKey, url, electoratesByTerm) {
   if (m) {
     const n = Number(m[2]);
     const name = official[String(n)];
-    if (name) return `${String(n).padStart(3, "0")}_${name}`;
+    if (name) return hit("numbered_filename", n, { match: m[0] });
   }
 
   // PRIORITY 2b: suffix -NN / _NN where stem is known to be electorate-numbered
@@ -248,28 +333,20 @@ function electorateFolderFor(termKey, url, electoratesByTerm) {
       .replace(/^-|-$/g, "");
     const n = Number(m2[2]);
 
-    const electorateNumberedStems = new Set([
-      "candidate-votes-by-voting-place",
-      "party-votes-by-voting-place",
-      "split-votes-electorate",
-      "elect-splitvote",
-      "electorate",
-      "voting-place",
-    ]);
-
-    if (electorateNumberedStems.has(stemFold)) {
+    if (profile.electorate_numbered_stems.has(stemFold)) {
       const name = official[String(n)];
-      if (name) return `${String(n).padStart(3, "0")}_${name}`;
+      if (name) return hit("numbered_stem", n, { stem: stemFold });
     }
   }
 
-  // Pattern /YYYY_slug_byelection/
-  m = u.match(/\/\d{4}_([^/]+?)_(?:byelection|by-election)\//i);
-  if (m) {
-    const guess = asciiFold(m[1].replace(/[_-]+/g, " "));
+  // Pattern /YYYY_slug_byelection/ (profile electorate_slug_patterns)
+  for (const re of profile.electorate_slug_patterns) {
+    m = u.match(re);
+    if (!m) continue;
+    const guess = asciiFold(String(m.groups?.slug ?? m[1] ?? "").replace(/[_-]+/g, " "));
     for (const [numStr, name] of Object.entries(official)) {
       if (asciiFold(name) === guess) {
-        return `${String(Number(numStr)).padStart(3, "0")}_${name}`;
+        return hit("byelection_slug", Number(numStr), { match: m[0] });
       }
     }
   }
@@ -285,10 +362,12 @@ function electorateFolderFor(termKey, url, electoratesByTerm) {
 
     if (matchLoose || matchCompact) {
       const n = Number(numStr);
-      return `${String(n).padStart(3, "0")}_${name}`;
+      const where = filenameFold.includes(foldedName) || matchCompact ? "filename" : "url";
+      return hit("name_contains", n, { name, in: where });
     }
   }
 
+  note(trace, "electorate", "no_match", { url: u });
   return null;
 }
 
@@ -318,86 +397,201 @@ function filenameFromUrl(u) {
   }
 }
 
-function resolveSavePath({ downloadsRoot, url, ext, source_page_url, electoratesByTerm, filenameOverride }) {
+// Term for a by-election / referendum. The profile's election calendar
+// (lib/calendar.js) decides first:
+//   1. the event itself, by slug in the URL / source page or by exact date
+//   2. a dated event (day, or month unless the general election was that month)
+//      within the calendar's years: the general election before it
+//   3. a year-only event in a calendar year without a general election
+// Otherwise: event year, plus month when the name or page gives one.
+function termKeyForStateChange({ fileUrl, sourceUrl, fnameForDate, year, isByElection }, electoratesByTerm, trace, profile) {
+  const date =
+    parseDateFromNameOrUrl(fnameForDate) ||
+    (sourceUrl ? parseDateFromNameOrUrl(sourceUrl) : null) ||
+    parseDateFromNameOrUrl(fileUrl);
+  const monthOpt =
+    parseMonthFromNameOrUrl(fnameForDate) ||
+    (sourceUrl ? parseMonthFromNameOrUrl(sourceUrl) : null) ||
+    parseMonthFromNameOrUrl(fileUrl);
+  const calendar = profile.calendar;
+
+  const found = findCalendarEvent(calendar, isByElection ? "by_elections" : "referendums", { urls: [fileUrl, sourceUrl], date });
+  if (found) {
+    const ge = generalElectionBefore(calendar, found.event.date);
+    const tk = termKeyForGeneralElection(ge, electoratesByTerm, trace);
+    note(trace, "term", found.by === "slug" ? "calendar_event_slug" : "calendar_event_date", {
+      date: found.event.date,
+      name: found.event.name || null,
+      general_election: ge?.date || null,
+      ...(tk ? { termKey: tk } : {}),
+    });
+    if (tk) return tk;
+  }
+
+  const years = calendarYears(calendar);
+  const onYear = date ? Number(date.slice(0, 4)) : year;
+  if (years && Number.isFinite(onYear) && onYear >= years.first && onYear <= years.last) {
+    const geMonths = calendar.general_elections.filter((g) => Number(g.date.slice(0, 4)) === onYear).map((g) => Number(g.date.slice(5, 7)));
+    let on = date;
+    if (!on && monthOpt && !geMonths.includes(monthOpt)) on = `${onYear}-${String(monthOpt).padStart(2, "0")}-01`;
+    if (!on && !monthOpt && !geMonths.length) on = `${onYear}-07-01`;
+    const ge = on ? generalElectionBefore(calendar, on) : null;
+    const tk = termKeyForGeneralElection(ge, electoratesByTerm, trace);
+    if (tk) {
+      note(trace, "term", "calendar_general_election", { on, general_election: ge.date, termKey: tk });
+      return tk;
+    }
+  }
+
+  if (monthOpt) note(trace, "term", "event_month", { year, month: monthOpt });
+  return termKeyForEvent(year, monthOpt, electoratesByTerm, trace);
+}
+
+// Expand a template; null when a variable it uses is empty.
+function expandTemplate(tpl, vars) {
+  let empty = false;
+  const out = String(tpl).replace(/\{([a-z0-9_]+)\}/gi, (_, k) => {
+    const v = vars[k];
+    if (v === undefined || v === null || v === "") {
+      empty = true;
+      return "";
+    }
+    return String(v);
+  });
+  return empty ? null : out;
+}
+
+function matchRule(rule, fields) {
+  const vars = {};
+  for (const { key, re } of rule.match) {
+    const values = key === "any" ? [fields.url, fields.source_page_url] : [fields[key]];
+    const m = values.map((v) => (v ? String(v).match(re) : null)).find(Boolean);
+    if (!m) return null;
+    Object.assign(vars, m.groups || {});
+  }
+  return vars;
+}
+
+/**
+ * Decide where a file is saved.
+ *
+ * routing: compiled profile (lib/routing_rules.js loadRoutingProfile(cfg));
+ * defaults to the built-in "nz" profile.
+ * Returns { termKey, electorateFolder, isByElection, isReferendum, rule, termDir,
+ * finalDir, filename, outPath, ext }.
+ */
+function resolveSavePath({ downloadsRoot, url, ext, source_page_url, electoratesByTerm, filenameOverride, routing = null, trace = null }) {
+  const profile = routing || builtinProfile();
   const fileUrl = normalizeUrl(url);
   const sourceUrl = source_page_url ? normalizeUrl(source_page_url) : null;
   const inferredExt = (ext || extFromUrl(fileUrl) || "bin").toLowerCase();
 
-  // State-change bundles
-  const isByElection = /(byelection|by-election)/i.test(fileUrl) || (sourceUrl ? /(byelection|by-election)/i.test(sourceUrl) : false);
-  const isReferendum = /(referenda?|referendum)/i.test(fileUrl) || (sourceUrl ? /(referenda?|referendum)/i.test(sourceUrl) : false);
-  const isStateChange = isByElection || isReferendum;
+  let filename = filenameOverride ? safeFilename(filenameOverride) : filenameFromUrl(fileUrl);
+  const addExt = !/\.[a-z0-9]+$/i.test(filename) && inferredExt;
+  if (addExt) filename += `.${inferredExt}`;
+  filename = safeFilename(filename);
+
+  // First matching rule wins (routing.json rules come before the profile's).
+  const fields = { url: fileUrl, source_page_url: sourceUrl, filename };
+  let rule = null;
+  let captures = {};
+  for (const cand of profile.rules) {
+    const vars = matchRule(cand, fields);
+    if (vars) {
+      rule = cand;
+      captures = vars;
+      break;
+    }
+  }
+  if (!rule) throw new Error(`No routing rule matched ${fileUrl} (add a rule without "match" as a fallback)`);
+  note(trace, "rule", rule.name, { source: rule.source, ...(Object.keys(captures).length ? { captures } : {}) });
 
-  // Parse month for early-year override (e.g. Feb 2017 should be prior term)
-  const fnameForDate = filenameOverride ? String(filenameOverride) : filenameFromUrl(fileUrl);
-  const monthOpt =
-    parseMonthFromNameOrUrl(fnameForDate) ||
-    (sourceUrl ? parseMonthFromNameOrUrl(sourceUrl) : null) ||
-    parseMonthFromNameOrUrl(fileUrl);
+  const isByElection = rule.kind === "by-election";
+  const isReferendum = rule.kind === "referendum";
+  if (isByElection || isReferendum) note(trace, "kind", isByElection ? "by_election" : "referendum");
 
   // Match a 4-digit year that is not part of a longer number.
   // Works for "2016_flag_..." (underscore is fine).
   const yearMatch = fileUrl.match(/(?:^|[^0-9])(19\d{2}|20\d{2})(?=[^0-9]|$)/);
-  const eventYear = yearMatch ? Number(yearMatch[1]) : NaN;
-
-  // Targeted exception: 2017 Mt Albert by-election was pre-GE 2017 (no month in URLs).
-  // Keep it in term 51 even though year is a GE year.
-  const forcedPreGEYears = new Set([
-    2017,
-    2011
-  ]);
-  // (You can add similar targeted exceptions here if needed.)
-  const forcedPreGESlugs = [
-    "mt_albert_byelection",
-    "te_tai_tokerau_byelection",
-    "botany_byelection"
-  ];
-
-  const isBeforeGE =
-    isByElection &&
-    forcedPreGEYears.has(eventYear) &&
-    forcedPreGESlugs.some(slug =>
-      new RegExp(`/${eventYear}_${slug}/`, "i").test(fileUrl)
-    );
-
-  let termKey = isStateChange
-    ? (isBeforeGE
-      ? termKeyForEvent(eventYear, 6, electoratesByTerm)
-      : termKeyForEvent(eventYear, monthOpt, electoratesByTerm))
-    : termKeyForUrl(fileUrl, electoratesByTerm);
-
-
-  if (termKey === "term_unknown" && sourceUrl) {
-    const tk2 = termKeyForUrl(sourceUrl, electoratesByTerm);
-    if (tk2 && tk2 !== "term_unknown") termKey = tk2;
+  const eventYear = captures.year && Number.isFinite(Number(captures.year)) ? Number(captures.year) : yearMatch ? Number(yearMatch[1]) : NaN;
+
+  let termKey;
+  if (rule.term === "url" || rule.term === "event") {
+    if (rule.term === "url") {
+      termKey = termKeyForUrl(fileUrl, electoratesByTerm, trace, profile);
+    } else {
+      // Parse month for early-year override (e.g. Feb 2017 should be prior term)
+      const fnameForDate = filenameOverride ? String(filenameOverride) : filenameFromUrl(fileUrl);
+      termKey = termKeyForStateChange({ fileUrl, sourceUrl, fnameForDate, year: eventYear, isByElection }, electoratesByTerm, trace, profile);
+    }
+    if (termKey === "term_unknown" && sourceUrl) {
+      note(trace, "term", "try_source_page", { source_page_url: sourceUrl });
+      const tk2 = termKeyForUrl(sourceUrl, electoratesByTerm, trace, profile);
+      if (tk2 && tk2 !== "term_unknown") termKey = tk2;
+    }
+  } else if (rule.term === "none") {
+    termKey = "term_unknown";
+  } else {
+    const expanded = expandTemplate(rule.term, { ...captures, year: Number.isFinite(eventYear) ? eventYear : "" });
+    termKey = expanded ? safeFilename(expanded) : "term_unknown";
+    note(trace, "term", "template", { template: rule.term, termKey });
   }
 
+  // Electorate lookup only when the folder template asks for it.
   let electorateFolder = null;
-  if (termKey !== "term_unknown" && !isStateChange) {
-    electorateFolder = electorateFolderFor(termKey, fileUrl, electoratesByTerm);
+  if (/\{electorate\}/.test(rule.folder) && termKey !== "term_unknown") {
+    electorateFolder = electorateFolderFor(termKey, fileUrl, electoratesByTerm, trace, profile);
     if (!electorateFolder && sourceUrl) {
-      electorateFolder = electorateFolderFor(termKey, sourceUrl, electoratesByTerm);
+      note(trace, "electorate", "try_source_page", { source_page_url: sourceUrl });
+      electorateFolder = electorateFolderFor(termKey, sourceUrl, electoratesByTerm, trace, profile);
     }
   }
 
   // If we can't infer a term, keep it at downloads root (not inside term_unknown).
   const termDir = termKey === "term_unknown" ? downloadsRoot : path.join(downloadsRoot, termKey);
 
-  const finalDir = isByElection
-    ? path.join(termDir, "by-elections")
+  let host = "";
+  try {
+    host = new URL(fileUrl).hostname;
+  } catch {}
+  const vars = {
+    ...captures,
+    term: termKey === "term_unknown" ? "" : termKey,
+    electorate: electorateFolder || "",
+    filename,
+    stem: filename.replace(/\.[a-z0-9]+$/i, ""),
+    ext: inferredExt,
+    year: Number.isFinite(eventYear) ? eventYear : "",
+    host,
+  };
+  const segments = String(rule.folder)
+    .split("/")
+    .map((seg) => expandTemplate(seg, vars))
+    .filter((seg) => seg !== null && seg !== "" && seg !== "." && seg !== "..")
+    .map((seg) => safeFilename(seg));
+  if (segments[segments.length - 1] === filename) segments.pop();
+  const finalDir = path.join(downloadsRoot, ...segments);
+
+  const folderStep = isByElection
+    ? "by_elections"
     : isReferendum
-      ? path.join(termDir, "referenda")
-      : (electorateFolder ? path.join(termDir, electorateFolder) : termDir);
-
-  let filename = filenameOverride ? safeFilename(filenameOverride) : filenameFromUrl(fileUrl);
-  if (!/\.[a-z0-9]+$/i.test(filename) && inferredExt) filename += `.${inferredExt}`;
-  filename = safeFilename(filename);
+      ? "referenda"
+      : electorateFolder
+        ? "electorate"
+        : !segments.length
+          ? "downloads_root"
+          : segments.length === 1 && termKey !== "term_unknown"
+            ? "term_root"
+            : "template";
+  note(trace, "folder", folderStep, { termKey, folder: segments.join("/") });
+  note(trace, "filename", filenameOverride ? "override" : "from_url", { filename, ...(addExt ? { appended_ext: inferredExt } : {}) });
 
   return {
     termKey,
     electorateFolder,
     isByElection,
     isReferendum,
+    rule: rule.name,
     termDir,
     finalDir,
     filename,
@@ -0,0 +1,108 @@
+const path = require("path");
+
+const { ensureDir, readJsonSafe, writeJson } = require("./fsx");
+const { resolveSavePath } = require("./routing");
+const { loadRoutingProfile } = require("./routing_rules");
+const { loadElectoratesMeta } = require("./electorates");
+
+// Routing regression corpus (CLI: routing-test).
+//
+// A routing change (routing.js, routing_rules.js or a domain's routing.json)
+// silently reshuffles files on the next resort. The corpus pins what routing
+// decided at some point so a change can be checked before that:
+//
+//   _meta/<domain>/routing_fixtures/
+//     cases.json                { domain_key, recorded_ts, count, cases: [
+//                                 { url, source_page_url, ext, filename, expected } ] }
+//     electorates_by_term.json  pinned copy, so scraping a new term doesn't count as a change
+//
+// expected is the path relative to downloads/<domain>/ ("/" separated).
+// Replays use the pinned electorates and the domain's current routing profile.
+// --record rebuilds both files from every sources[] entry in the hash index,
+// with the file name resort would keep (basename of saved_to).
+
+const CASES_FILE = "cases.json";
+const ELECTORATES_FILE = "electorates_by_term.json";
+
+function caseKey(c) {
+  return JSON.stringify([c.url, c.source_page_url || null, c.ext || null, c.filename || null]);
+}
+
+function routeCase(cfg, c, { electoratesByTerm, routing }) {
+  const route = resolveSavePath({
+    downloadsRoot: cfg.DOWNLOADS_ROOT,
+    url: c.url,
+    ext: c.ext || null,
+    source_page_url: c.source_page_url || null,
+    electoratesByTerm,
+    filenameOverride: c.filename || null,
+    routing,
+  });
+  return path.relative(cfg.DOWNLOADS_ROOT, route.outPath).split(path.sep).join("/");
+}
+
+/**
+ * Record the current routing of every hash-index source as the new baseline
+ * (overwrites cases.json and re-pins electorates_by_term.json).
+ */
+function recordRoutingBaseline(cfg, { dir = cfg.ROUTING_FIXTURES_DIR } = {}) {
+  const idx = readJsonSafe(cfg.DOWNLOADED_HASH_INDEX_PATH, {});
+  const electoratesByTerm = loadElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH);
+  const routing = loadRoutingProfile(cfg);
+
+  const seen = new Set();
+  const cases = [];
+  for (const rec of Object.values(idx)) {
+    if (!rec || typeof rec !== "object" || !rec.saved_to) continue;
+    for (const s of Array.isArray(rec.sources) ? rec.sources : []) {
+      if (!s?.url) continue;
+      const c = {
+        url: s.url,
+        source_page_url: s.source_page_url || null,
+        ext: rec.ext || null,
+        filename: path.basename(rec.saved_to),
+      };
+      const key = caseKey(c);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      cases.push({ ...c, expected: routeCase(cfg, c, { electoratesByTerm, routing }) });
+    }
+  }
+  cases.sort((a, b) => a.url.localeCompare(b.url) || caseKey(a).localeCompare(caseKey(b)));
+
+  ensureDir(dir);
+  writeJson(path.join(dir, ELECTORATES_FILE), electoratesByTerm);
+  const doc = { domain_key: cfg.domain_key, recorded_ts: new Date().toISOString(), count: cases.length, cases };
+  writeJson(path.join(dir, CASES_FILE), doc);
+  return { dir, count: cases.length, recorded_ts: doc.recorded_ts };
+}
+
+/**
+ * Replay cases.json against the current routing.
+ * Returns { dir, recorded_ts, total, passed, failed: [{ ...case, actual }] }.
+ * Throws when there is no corpus yet.
+ */
+function runRoutingFixtures(cfg, { dir = cfg.ROUTING_FIXTURES_DIR } = {}) {
+  const doc = readJsonSafe(path.join(dir, CASES_FILE), null);
+  if (!doc || !Array.isArray(doc.cases)) {
+    throw new Error(`No routing corpus at ${path.join(dir, CASES_FILE)} (record one with --record)`);
+  }
+  const electoratesByTerm = loadElectoratesMeta(path.join(dir, ELECTORATES_FILE));
+  const routing = loadRoutingProfile(cfg);
+
+  const failed = [];
+  for (const c of doc.cases) {
+    if (!c?.url || !c.expected) continue;
+    const actual = routeCase(cfg, c, { electoratesByTerm, routing });
+    if (actual !== c.expected) failed.push({ ...c, actual });
+  }
+  return {
+    dir,
+    recorded_ts: doc.recorded_ts || null,
+    total: doc.cases.length,
+    passed: doc.cases.length - failed.length,
+    failed,
+  };
+}
+
+module.exports = { recordRoutingBaseline, runRoutingFixtures };
@@ -0,0 +1,229 @@
+const { readJsonSafe } = require("./fsx");
+const { BUILTIN_CALENDARS, loadCalendar, mergeCalendars } = require("./calendar");
+
+// Declarative routing profiles for lib/routing.js.
+//
+// A profile is an ordered list of rules plus the tables the term / electorate
+// inference uses. The NZ Electoral Commission layout ships as the built-in
+// "nz" profile, which every domain gets by default. A domain can add its own
+// rules (tried first) or start from "flat" in _meta/<domain>/routing.json:
+//
+//   {
+//     "extends": "nz",                       // or "flat"; default "nz"
+//     "rules": [
+//       {
+//         "name": "council-results",
+//         "match": { "url": "/results/(?<year>\\d{4})/(?<ward>[^/]+)/" },
+//         "term": "{year}",                  // "url" | "event" | "none" | template
+//         "folder": "{term}/{ward}/{filename}"
+//       }
+//     ],
+//     "electorate_numbered_stems": ["..."]   // any table below may be overridden
+//   }
+//
+// match: regexes (case-insensitive) on url, source_page_url, filename, or
+// "any" (url or source page); all given must match and named captures become
+// template variables. The first matching rule wins; a rule without match
+// always matches.
+//
+// term:  "url"   infer from the URL's year (ge_year_patterns, event_year_patterns,
+//                first year anywhere), then the source page; scraped terms in
+//                electorates_by_term.json map years to term keys
+//        "event" by-election / referendum: the election calendar (lib/calendar.js)
+//                by slug or date, then the year / month logic
+//        "none"  no term folder
+//        other   a template, e.g. "{year}" (used as the term folder name)
+//
+// folder: path template under downloads/<domain>/. Variables: {term},
+// {electorate} (NNN_Name, looked up only when used), {filename}, {stem}, {ext},
+// {year}, {host} and the rule's named captures. A segment whose variables are
+// empty is dropped, so "{term}/{electorate}/{filename}" degrades to the term
+// folder, then to the downloads root. {filename} is appended when missing.
+//
+// kind: "file" (default) | "by-election" | "referendum" (reported on the route).
+//
+// Each built-in profile also brings its calendar (BUILTIN_CALENDARS), which the
+// domain's calendar.json extends; loadRoutingProfile() attaches the result.
+
+const NZ_PROFILE = {
+  name: "nz",
+  // GE archive URLs: /electionresults_YYYY/ names the general election year.
+  ge_year_patterns: ["/electionresults_(?<year>\\d{4})/"],
+  // By-election / referendum folders carry the event year.
+  event_year_patterns: ["/(?<year>\\d{4})_[^/]*(?:byelection|by-election|referenda?|referendum)/"],
+  // In GE archive URLs the /eNN/ segment is the election id, not an electorate.
+  election_id_path_patterns: ["/electionresults_\\d{4}/e\\d{1,3}/"],
+  // <stem>-NN / <stem>_NN files numbered by electorate.
+  electorate_numbered_stems: [
+    "candidate-votes-by-voting-place",
+    "party-votes-by-voting-place",
+    "split-votes-electorate",
+    "elect-splitvote",
+    "electorate",
+    "voting-place",
+  ],
+  // /YYYY_<electorate slug>_byelection/
+  electorate_slug_patterns: ["/\\d{4}_(?<slug>[^/]+?)_(?:byelection|by-election)/"],
+  rules: [
+    { name: "by_election", match: { any: "byelection|by-election" }, kind: "by-election", term: "event", folder: "{term}/by-elections/{filename}" },
+    { name: "referendum", match: { any: "referenda?|referendum" }, kind: "referendum", term: "event", folder: "{term}/referenda/{filename}" },
+    { name: "default", term: "url", folder: "{term}/{electorate}/{filename}" },
+  ],
+};
+
+// Everything at the downloads root, no inference.
+const FLAT_PROFILE = {
+  name: "flat",
+  ge_year_patterns: [],
+  event_year_patterns: [],
+  election_id_path_patterns: [],
+  electorate_numbered_stems: [],
+  electorate_slug_patterns: [],
+  rules: [{ name: "default", term: "none", folder: "{filename}" }],
+};
+
+const PROFILES = { nz: NZ_PROFILE, flat: FLAT_PROFILE };
+const DEFAULT_PROFILE = "nz";
+
+const TABLE_KEYS = [
+  "ge_year_patterns",
+  "event_year_patterns",
+  "election_id_path_patterns",
+  "electorate_numbered_stems",
+  "electorate_slug_patterns",
+];
+const MATCH_KEYS = ["url", "source_page_url", "filename", "any"];
+const KINDS = ["file", "by-election", "referendum"];
+
+function compileRegex(src, where, errors) {
+  try {
+    return new RegExp(String(src), "i");
+  } catch (e) {
+    errors.push(`${where}: invalid regex (${e.message})`);
+    return null;
+  }
+}
+
+/**
+ * Check a routing.json document. Returns a list of error strings (empty when valid).
+ */
+function validateRoutingConfig(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return ["routing.json must be an object"];
+  if (doc.extends !== undefined && !PROFILES[doc.extends]) {
+    errors.push(`extends: unknown profile "${doc.extends}" (expected ${Object.keys(PROFILES).join(" | ")})`);
+  }
+  for (const k of TABLE_KEYS) {
+    if (doc[k] === undefined) continue;
+    if (!Array.isArray(doc[k])) {
+      errors.push(`${k}: expected an array`);
+      continue;
+    }
+    if (k !== "electorate_numbered_stems") doc[k].forEach((p, i) => compileRegex(p, `${k}[${i}]`, errors));
+  }
+  if (doc.rules !== undefined && !Array.isArray(doc.rules)) errors.push("rules: expected an array");
+  (Array.isArray(doc.rules) ? doc.rules : []).forEach((rule, i) => {
+    const where = `rules[${i}]${rule?.name ? ` (${rule.name})` : ""}`;
+    if (!rule || typeof rule !== "object") return errors.push(`${where}: expected an object`);
+    if (!rule.folder || typeof rule.folder !== "string") errors.push(`${where}: folder template is required`);
+    else if (rule.folder.split("/").some((seg) => seg === ".." || seg === ".")) errors.push(`${where}: folder may not contain . or ..`);
+    if (rule.kind !== undefined && !KINDS.includes(rule.kind)) errors.push(`${where}: kind must be ${KINDS.join(" | ")}`);
+    if (rule.term !== undefined && typeof rule.term !== "string") errors.push(`${where}: term must be a string`);
+    if (rule.match !== undefined) {
+      if (!rule.match || typeof rule.match !== "object") return errors.push(`${where}: match must be an object`);
+      for (const [k, v] of Object.entries(rule.match)) {
+        if (!MATCH_KEYS.includes(k)) errors.push(`${where}: unknown match key "${k}" (expected ${MATCH_KEYS.join(", ")})`);
+        else compileRegex(v, `${where}.match.${k}`, errors);
+      }
+    }
+  });
+  return errors;
+}
+
+function compileRule(rule, source) {
+  const match = Object.entries(rule.match || {}).map(([key, src]) => ({ key, re: new RegExp(String(src), "i") }));
+  return {
+    name: rule.name || "unnamed",
+    source,
+    kind: rule.kind || "file",
+    term: rule.term || "url",
+    folder: rule.folder,
+    match,
+  };
+}
+
+/**
+ * Build the effective (compiled) profile from an optional routing.json document.
+ * Throws when the document is invalid.
+ */
+function compileProfile(doc = null) {
+  const errors = doc ? validateRoutingConfig(doc) : [];
+  if (errors.length) throw new Error(`Invalid routing.json: ${errors.join("; ")}`);
+
+  const base = PROFILES[doc?.extends || DEFAULT_PROFILE];
+  const pick = (k) => (doc && doc[k] !== undefined ? doc[k] : base[k]);
+  return {
+    name: doc ? `${base.name}+routing.json` : base.name,
+    extends: base.name,
+    ge_year_patterns: pick("ge_year_patterns").map((p) => new RegExp(p, "i")),
+    event_year_patterns: pick("event_year_patterns").map((p) => new RegExp(p, "i")),
+    election_id_path_patterns: pick("election_id_path_patterns").map((p) => new RegExp(p, "i")),
+    electorate_numbered_stems: new Set(pick("electorate_numbered_stems")),
+    electorate_slug_patterns: pick("electorate_slug_patterns").map((p) => new RegExp(p, "i")),
+    calendar: mergeCalendars(BUILTIN_CALENDARS[base.name] || {}),
+    rules: [
+      ...(doc?.rules || []).map((r) => compileRule(r, "routing.json")),
+      ...base.rules.map((r) => compileRule(r, `profile:${base.name}`)),
+    ],
+  };
+}
+
+const builtinCache = new Map();
+
+function builtinProfile(name = DEFAULT_PROFILE) {
+  if (!builtinCache.has(name)) builtinCache.set(name, compileProfile(name === DEFAULT_PROFILE ? null : { extends: name }));
+  return builtinCache.get(name);
+}
+
+/**
+ * The domain's effective routing profile (routing.json over the built-in
+ * default), with its calendar.json merged into the profile's calendar.
+ */
+function loadRoutingProfile(cfg) {
+  const doc = cfg?.ROUTING_PATH ? readJsonSafe(cfg.ROUTING_PATH, null) : null;
+  const profile = doc ? compileProfile(doc) : builtinProfile();
+  return { ...profile, calendar: loadCalendar(cfg, profile.extends) };
+}
+
+// JSON view of a profile (compiled regexes back to source strings).
+function describeProfile(profile) {
+  const src = (arr) => arr.map((re) => re.source);
+  return {
+    name: profile.name,
+    extends: profile.extends,
+    ge_year_patterns: src(profile.ge_year_patterns),
+    event_year_patterns: src(profile.event_year_patterns),
+    election_id_path_patterns: src(profile.election_id_path_patterns),
+    electorate_numbered_stems: [...profile.electorate_numbered_stems],
+    electorate_slug_patterns: src(profile.electorate_slug_patterns),
+    calendar: profile.calendar,
+    rules: profile.rules.map((r) => ({
+      name: r.name,
+      source: r.source,
+      kind: r.kind,
+      term: r.term,
+      folder: r.folder,
+      match: Object.fromEntries(r.match.map((m) => [m.key, m.re.source])),
+    })),
+  };
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  validateRoutingConfig,
+  compileProfile,
+  builtinProfile,
+  loadRoutingProfile,
+  describeProfile,
+};
@@ -0,0 +1,198 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const { readJsonSafe } = require("./fsx");
+const { safeDomainKey } = require("./domain");
+const { parseRunFileName, doneMarkerPath, autoFinalizeTimings } = require("./autofinalize");
+
+// Registry of streaming discovery run buckets:
+//   BFS_crawl/runs/<domain>/discover_level_<N>_<run_id>.jsonl (+ .done marker)
+//
+// Read-only: lets operators see which runs exist, which one Postman was
+// appending to when it crashed, and which ones auto-finalize will pick up.
+// Listing stats the buckets and counts their lines (cached per path, see
+// countLines); contents are parsed per run by summarizeRunBucket().
+
+// path -> { mtimeMs, size, newlines, last }
+const lineCounts = new Map();
+
+function countNewlines(p, from, size) {
+  const fd = fs.openSync(p, "r");
+  const buf = Buffer.alloc(1 << 16);
+  let n = 0;
+  let last = 0x0a;
+  let pos = from;
+  try {
+    while (pos < size) {
+      const read = fs.readSync(fd, buf, 0, Math.min(buf.length, size - pos), pos);
+      if (!read) break;
+      for (let i = 0; i < read; i++) if (buf[i] === 0x0a) n++;
+      last = buf[read - 1];
+      pos += read;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return { newlines: n, last };
+}
+
+/**
+ * Line count of a bucket. Unchanged buckets (same mtime and size) come from the
+ * cache; a bucket that only grew is counted from where the last count stopped,
+ * since buckets are append-only.
+ */
+function countLines(p, st) {
+  if (!st.size) {
+    lineCounts.delete(p);
+    return 0;
+  }
+  let c = lineCounts.get(p);
+  if (!c || c.mtimeMs !== st.mtimeMs || c.size !== st.size) {
+    const from = c && st.size > c.size ? c.size : 0;
+    const tail = countNewlines(p, from, st.size);
+    c = {
+      mtimeMs: st.mtimeMs,
+      size: st.size,
+      newlines: (from ? c.newlines : 0) + tail.newlines,
+      last: tail.last,
+    };
+    lineCounts.set(p, c);
+  }
+  return c.last === 0x0a ? c.newlines : c.newlines + 1; // unterminated last line still counts
+}
+
+/**
+ * Describe one bucket. Returns null when the file isn't a run bucket.
+ */
+function describeRunBucket(baseCfg, domainKey, fileName, now = Date.now()) {
+  const parsed = parseRunFileName(fileName);
+  if (!parsed) return null;
+  const jsonlPath = path.join(baseCfg.RUNS_ROOT, domainKey, fileName);
+
+  let st;
+  try { st = fs.statSync(jsonlPath); } catch { return null; }
+  const lastAppendMs = st.mtimeMs || st.mtime.getTime();
+  const idleMs = Math.max(0, Math.round(now - lastAppendMs));
+
+  const donePath = doneMarkerPath(jsonlPath);
+  const done = fs.existsSync(donePath);
+  const marker = done ? readJsonSafe(donePath, null) : null;
+
+  const af = autoFinalizeTimings(baseCfg);
+  // Mirrors the auto-finalize scan: non-empty, not done, idle past the threshold.
+  const pending = !done && st.size > 0;
+
+  return {
+    domain_key: domainKey,
+    level: parsed.level,
+    run_id: parsed.run_id,
+    path: jsonlPath,
+    size_bytes: st.size,
+    lines: countLines(jsonlPath, st),
+    last_append_ts: new Date(lastAppendMs).toISOString(),
+    idle_ms: idleMs,
+    done,
+    done_ts: marker?.ts || null,
+    auto_finalize: {
+      enabled: af.enabled,
+      idle_threshold_ms: af.idleMs,
+      pending: af.enabled && pending,
+      due: af.enabled && pending && idleMs >= af.idleMs,
+      eligible_in_ms: af.enabled && pending ? Math.max(0, af.idleMs - idleMs) : null,
+    },
+  };
+}
+
+/**
+ * List run buckets, optionally filtered by domain and level.
+ * Sorted by most recent append first.
+ */
+function listRunBuckets(baseCfg, { domainKey = null, level = null } = {}) {
+  const root = baseCfg.RUNS_ROOT;
+  if (!root || !fs.existsSync(root)) return [];
+  const now = Date.now();
+  const wantDomain = domainKey ? safeDomainKey(domainKey) : null;
+
+  const out = [];
+  for (const ent of fs.readdirSync(root, { withFileTypes: true })) {
+    if (!ent.isDirectory()) continue;
+    if (wantDomain && ent.name !== wantDomain) continue;
+    let files;
+    try {
+      files = fs.readdirSync(path.join(root, ent.name), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const f of files) {
+      if (!f.isFile() || !f.name.endsWith(".jsonl")) continue;
+      const info = describeRunBucket(baseCfg, ent.name, f.name, now);
+      if (!info) continue;
+      if (level !== null && info.level !== level) continue;
+      out.push(info);
+    }
+  }
+  return out.sort((a, b) => a.idle_ms - b.idle_ms);
+}
+
+/**
+ * Totals for one bucket without finalizing it: batches, unique visited/pages/files,
+ * first/last append timestamps and batches per source (append, discover-page, sitemap).
+ */
+async function summarizeRunBucket(jsonlPath) {
+  const visited = new Set();
+  const pages = new Set();
+  const files = new Set();
+  const bySource = {};
+  let batches = 0;
+  let badLines = 0;
+  let firstTs = null;
+  let lastTs = null;
+
+  if (!fs.existsSync(jsonlPath)) return null;
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(jsonlPath, { encoding: "utf-8" }),
+    crlfDelay: Infinity,
+  });
+
+  const addUrls = (arr, set) => {
+    if (!Array.isArray(arr)) return;
+    for (const x of arr) {
+      const u = typeof x === "string" ? x : x?.url;
+      if (u) set.add(u);
+    }
+  };
+
+  for await (const line of rl) {
+    const s = String(line || "").trim();
+    if (!s) continue;
+    let obj;
+    try { obj = JSON.parse(s); } catch { badLines++; continue; }
+    if (!obj || typeof obj !== "object") { badLines++; continue; }
+
+    batches++;
+    const src = obj.source || "append";
+    bySource[src] = (bySource[src] || 0) + 1;
+    if (obj.ts) {
+      if (!firstTs || obj.ts < firstTs) firstTs = obj.ts;
+      if (!lastTs || obj.ts > lastTs) lastTs = obj.ts;
+    }
+    addUrls(obj.visited, visited);
+    addUrls(obj.pages, pages);
+    addUrls(obj.files, files);
+  }
+
+  return {
+    batches,
+    bad_lines: badLines,
+    first_append_ts: firstTs,
+    last_append_ts: lastTs,
+    visited: visited.size,
+    pages: pages.size,
+    files: files.size,
+    by_source: bySource,
+  };
+}
+
+module.exports = { listRunBuckets, describeRunBucket, summarizeRunBucket };
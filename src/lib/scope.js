@@ -0,0 +1,138 @@
+const path = require("path");
+const { URL } = require("url");
+
+const { readJsonSafe, unlinkIfExists } = require("./fsx");
+const { writeRowListArtifact } = require("./artifacts");
+const { loadRobots, rulesForAgent, robotsDisallows } = require("./robots");
+
+// Per-domain crawl scope: _meta/<domain>/scope.json
+//
+// {
+//   "include": ["^https://www\\.example\\.org/results/"],  // if non-empty, a URL must match one
+//   "exclude": ["/calendar/", "\\?print=1"],                // any match rejects
+//   "allowed_path_prefixes": ["/results/", "/archive/"],    // if non-empty, pathname must start with one
+//   "query": { "allow": true, "max_params": 3, "max_length": 200 },
+//   "honour_robots": false                                    // true or a user-agent string
+// }
+//
+// Scope is enforced when the next frontier and file list are produced
+// (/dedupe/level and streaming finalize). Rejected URLs are written to
+// urls-out-of-scope-level-L.json instead of entering the frontier.
+
+function compileList(list) {
+  const out = [];
+  for (const p of Array.isArray(list) ? list : []) {
+    try {
+      out.push(new RegExp(String(p), "i"));
+    } catch {
+      // ignore invalid patterns rather than dropping the whole scope file
+    }
+  }
+  return out;
+}
+
+function loadScope(cfg) {
+  const raw = readJsonSafe(cfg.SCOPE_PATH, null);
+  if (!raw || typeof raw !== "object") return null;
+
+  const q = raw.query && typeof raw.query === "object" ? raw.query : {};
+
+  // robots.txt rules (stored by POST /discover/robots) only apply on opt-in.
+  let robots = null;
+  if (raw.honour_robots) {
+    const agent = typeof raw.honour_robots === "string" ? raw.honour_robots : "*";
+    robots = rulesForAgent(loadRobots(cfg), agent);
+  }
+
+  return {
+    include: compileList(raw.include),
+    exclude: compileList(raw.exclude),
+    allowedPathPrefixes: (Array.isArray(raw.allowed_path_prefixes) ? raw.allowed_path_prefixes : [])
+      .map((p) => String(p))
+      .filter(Boolean),
+    query: {
+      allow: q.allow !== false,
+      maxParams: Number.isFinite(Number(q.max_params)) ? Number(q.max_params) : null,
+      maxLength: Number.isFinite(Number(q.max_length)) ? Number(q.max_length) : null,
+    },
+    robots,
+  };
+}
+
+/**
+ * Return null when the URL is in scope, otherwise a short rejection reason.
+ */
+function scopeRejectReason(scope, url) {
+  if (!scope) return null;
+  const u = String(url || "");
+
+  let U;
+  try {
+    U = new URL(u);
+  } catch {
+    return "invalid_url";
+  }
+
+  if (scope.include.length && !scope.include.some((re) => re.test(u))) return "not_included";
+
+  const hit = scope.exclude.find((re) => re.test(u));
+  if (hit) return `excluded:${hit.source}`;
+
+  if (scope.allowedPathPrefixes.length && !scope.allowedPathPrefixes.some((p) => U.pathname.startsWith(p))) {
+    return "path_prefix_not_allowed";
+  }
+
+  const search = U.search.replace(/^\?/, "");
+  if (search) {
+    if (!scope.query.allow) return "query_not_allowed";
+    const params = Array.from(U.searchParams.keys()).length;
+    if (scope.query.maxParams !== null && params > scope.query.maxParams) return "query_too_many_params";
+    if (scope.query.maxLength !== null && search.length > scope.query.maxLength) return "query_too_long";
+  }
+
+  if (scope.robots && robotsDisallows(scope.robots, u)) return "robots_disallow";
+
+  return null;
+}
+
+/**
+ * Apply scope to a frontier (page URL strings) and a file list (row objects).
+ * Writes urls-out-of-scope-level-L.json (removed when nothing was rejected).
+ * scope: a loadScope() result, when the caller already has one.
+ *
+ * Returns { pages, files, rejected, path }
+ */
+function applyScope({ cfg, level, pages, files, scope = loadScope(cfg) }) {
+  const outPath = path.join(cfg.ARTIFACT_DIR, `urls-out-of-scope-level-${level}.json`);
+  if (!scope) {
+    unlinkIfExists(outPath);
+    return { pages, files, rejected: [], path: null };
+  }
+
+  const rejected = [];
+  const keptPages = [];
+  for (const u of pages || []) {
+    const reason = scopeRejectReason(scope, u);
+    if (reason) rejected.push({ url: u, type: "page", reason });
+    else keptPages.push(u);
+  }
+
+  const keptFiles = [];
+  for (const f of files || []) {
+    const reason = scopeRejectReason(scope, f?.url);
+    if (reason) rejected.push({ url: f.url, type: "file", reason, source_page_url: f.source_page_url || null });
+    else keptFiles.push(f);
+  }
+
+  writeRowListArtifact({
+    path: outPath,
+    rows: rejected,
+    kind: "urls-out-of-scope",
+    level,
+    metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW,
+  });
+
+  return { pages: keptPages, files: keptFiles, rejected, path: rejected.length ? outPath : null };
+}
+
+module.exports = { loadScope, scopeRejectReason, applyScope };
@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+
+const { readJsonSafe } = require("./fsx");
+const { normalizeUrl } = require("./urlnorm");
+const { domainKeyFromUrl } = require("./domain");
+
+// Crawl seeds (level 1).
+//
+// The seed set of a domain is urls-level-1.json (the BFS frontier for level 1).
+// POST /seeds writes it; every accepted seed set (plus any sitemap URLs) is also
+// appended to _meta/<domain>/seeds.jsonl so the history of roots survives a
+// replace.
+
+function seedsArtifactPath(cfg) {
+  return path.join(cfg.ARTIFACT_DIR, "urls-level-1.json");
+}
+
+function readSeedUrls(cfg) {
+  const arr = readJsonSafe(seedsArtifactPath(cfg), []);
+  if (!Array.isArray(arr)) return [];
+  return arr.map((r) => (typeof r === "string" ? r : r?.url)).filter(Boolean);
+}
+
+function readSeedHistory(cfg) {
+  const p = cfg.LOG_SEEDS;
+  if (!p || !fs.existsSync(p)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(p, "utf8").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch {}
+  }
+  return out;
+}
+
+/**
+ * Validate seed / sitemap input.
+ * Accepts strings or {url} rows. Every URL must be absolute http(s) and all
+ * must resolve to the same domain key.
+ *
+ * Returns { ok, error?, domain_key, urls, invalid:[{url, reason}] }
+ */
+function validateSeedUrls(list) {
+  const urls = [];
+  const invalid = [];
+  const domains = new Set();
+
+  for (const x of Array.isArray(list) ? list : []) {
+    const raw = typeof x === "string" ? x : x?.url;
+    if (!raw || !String(raw).trim()) continue;
+    let U = null;
+    try { U = new URL(String(raw).trim()); } catch {}
+    if (!U) { invalid.push({ url: String(raw), reason: "unparseable" }); continue; }
+    if (U.protocol !== "http:" && U.protocol !== "https:") { invalid.push({ url: String(raw), reason: "not_http" }); continue; }
+
+    const u = normalizeUrl(U.toString());
+    domains.add(domainKeyFromUrl(u));
+    if (!urls.includes(u)) urls.push(u);
+  }
+
+  if (invalid.length) return { ok: false, error: "Invalid seed URL(s)", domain_key: null, urls, invalid };
+  if (domains.size > 1) {
+    return { ok: false, error: `Seeds span multiple domains (${Array.from(domains).join(", ")})`, domain_key: null, urls, invalid };
+  }
+  return { ok: true, domain_key: domains.size ? Array.from(domains)[0] : null, urls, invalid };
+}
+
+module.exports = { seedsArtifactPath, readSeedUrls, readSeedHistory, validateSeedUrls };
@@ -0,0 +1,122 @@
+const fs = require("fs");
+
+const { readJsonSafe, writeJson } = require("./fsx");
+
+// Per-run batch sequence ledger: <run bucket>.jsonl.seq.json
+//
+// Postman retries a failed pm.sendRequest, which used to append the same batch
+// twice, and a batch that is silently lost went unnoticed. Appends may carry a
+// batch_seq (e.g. the iteration index); the ledger records which sequence
+// numbers arrived as merged ranges, so duplicates are ignored and the gaps can
+// be reported at finalize time.
+//
+// {
+//   "seq_start": 0,                 // first expected sequence number
+//   "ranges": [[0, 41], [43, 99]],  // received, merged, inclusive
+//   "missing": [[42, 42]],          // gaps between seq_start and the highest seen
+//   "duplicates": 3,                // batches ignored as already received
+//   "updated_ts": "..."
+// }
+
+function ledgerPath(jsonlPath) {
+  return `${jsonlPath}.seq.json`;
+}
+
+function emptyLedger(seqStart = 0) {
+  return { seq_start: seqStart, ranges: [], missing: [], duplicates: 0, updated_ts: null };
+}
+
+function loadLedger(jsonlPath) {
+  const raw = readJsonSafe(ledgerPath(jsonlPath), null);
+  if (!raw || typeof raw !== "object") return null;
+  return { ...emptyLedger(), ...raw, ranges: Array.isArray(raw.ranges) ? raw.ranges : [] };
+}
+
+function hasSeq(ranges, seq) {
+  return ranges.some(([a, b]) => seq >= a && seq <= b);
+}
+
+function insertSeq(ranges, seq) {
+  const out = [...ranges.map((r) => [...r]), [seq, seq]].sort((x, y) => x[0] - y[0]);
+  const merged = [];
+  for (const r of out) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1] + 1) last[1] = Math.max(last[1], r[1]);
+    else merged.push(r);
+  }
+  return merged;
+}
+
+function missingRanges(ledger) {
+  const out = [];
+  let next = Number(ledger.seq_start || 0);
+  for (const [a, b] of ledger.ranges) {
+    if (a > next) out.push([next, a - 1]);
+    next = Math.max(next, b + 1);
+  }
+  return out;
+}
+
+// Parse a batch_seq value: non-negative integer, else null.
+function parseBatchSeq(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+/**
+ * True when seq was already received (and counts it as an ignored duplicate).
+ * Caller should hold the run bucket's lock.
+ */
+function isDuplicateBatch(jsonlPath, seq) {
+  const ledger = loadLedger(jsonlPath);
+  if (!ledger || !hasSeq(ledger.ranges, seq)) return false;
+  ledger.duplicates = Number(ledger.duplicates || 0) + 1;
+  ledger.updated_ts = new Date().toISOString();
+  writeJson(ledgerPath(jsonlPath), ledger);
+  return true;
+}
+
+/**
+ * Record a batch sequence number once its rows are appended (so a failed
+ * append is retried rather than ignored as a duplicate). Caller should hold
+ * the run bucket's lock. Returns { duplicate, ledger }.
+ */
+function recordBatchSeq(jsonlPath, seq) {
+  const ledger = loadLedger(jsonlPath) || emptyLedger();
+  if (hasSeq(ledger.ranges, seq)) return { duplicate: true, ledger };
+  ledger.ranges = insertSeq(ledger.ranges, seq);
+  ledger.missing = missingRanges(ledger);
+  ledger.updated_ts = new Date().toISOString();
+  writeJson(ledgerPath(jsonlPath), ledger);
+  return { duplicate: false, ledger };
+}
+
+function resetLedger(jsonlPath, seqStart = 0) {
+  try { fs.unlinkSync(ledgerPath(jsonlPath)); } catch {}
+  if (seqStart !== 0) writeJson(ledgerPath(jsonlPath), emptyLedger(seqStart));
+}
+
+/**
+ * Summary for responses: null when the run never used batch_seq.
+ * expectedLastSeq (optional) also reports batches missing after the highest
+ * one received (e.g. the last iterations of a crashed run).
+ */
+function ledgerSummary(jsonlPath, { expectedLastSeq = null } = {}) {
+  const ledger = loadLedger(jsonlPath);
+  if (!ledger || !ledger.ranges.length) return null;
+  const missing = missingRanges(ledger);
+  const highest = ledger.ranges[ledger.ranges.length - 1][1];
+  if (Number.isInteger(expectedLastSeq) && expectedLastSeq > highest) missing.push([highest + 1, expectedLastSeq]);
+  return {
+    seq_start: ledger.seq_start,
+    received: ledger.ranges.reduce((n, [a, b]) => n + (b - a + 1), 0),
+    highest_seq: highest,
+    duplicates_ignored: Number(ledger.duplicates || 0),
+    missing,
+    missing_count: missing.reduce((n, [a, b]) => n + (b - a + 1), 0),
+    complete: missing.length === 0,
+  };
+}
+
+module.exports = { ledgerPath, parseBatchSeq, isDuplicateBatch, recordBatchSeq, resetLedger, ledgerSummary };
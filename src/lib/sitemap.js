@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { URL } = require("url");
+
+const { readJsonSafe, writeJson } = require("./fsx");
+const { decodeHtmlEntities } = require("./html");
+const { normalizeUrl } = require("./urlnorm");
+const { writeRowListArtifact } = require("./artifacts");
+
+// sitemap.xml ingestion.
+//
+// Supports <urlset> sitemaps, <sitemapindex> files and plain-text sitemaps
+// (one URL per line). Bodies may be sent as text or base64 (gzipped .xml.gz
+// sitemaps are detected by their magic bytes).
+//
+// Every URL seen in a sitemap is tracked in _meta/<domain>/sitemap_index.json
+// with its latest <lastmod>, so recrawls can prioritise recently modified pages.
+
+/**
+ * Decode a posted body: { text } or { base64 } (gunzipped when gzip magic is present).
+ */
+function decodeBody({ text, base64 }) {
+  if (typeof text === "string") return text;
+  if (!base64) return null;
+  let buf = Buffer.from(String(base64), "base64");
+  if (buf.length >= 2 && buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf);
+  return buf.toString("utf8");
+}
+
+function tagValue(block, tag) {
+  const m = block.match(new RegExp(`<(?:[a-z0-9]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[a-z0-9]+:)?${tag}>`, "i"));
+  if (!m) return null;
+  const v = m[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, "$1").trim();
+  return v ? decodeHtmlEntities(v) : null;
+}
+
+/**
+ * Parse a sitemap body.
+ * Returns { type: "urlset"|"sitemapindex"|"text", entries:[{ loc, lastmod, changefreq, priority }] }
+ */
+function parseSitemap(body) {
+  const s = String(body || "").replace(/^\uFEFF/, "");
+
+  if (!/<(?:[a-z0-9]+:)?(urlset|sitemapindex)\b/i.test(s)) {
+    const entries = s.split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter((l) => /^https?:\/\//i.test(l))
+      .map((loc) => ({ loc, lastmod: null, changefreq: null, priority: null }));
+    return { type: "text", entries };
+  }
+
+  const isIndex = /<(?:[a-z0-9]+:)?sitemapindex\b/i.test(s);
+  const tag = isIndex ? "sitemap" : "url";
+  const re = new RegExp(`<(?:[a-z0-9]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[a-z0-9]+:)?${tag}>`, "gi");
+
+  const entries = [];
+  let m;
+  while ((m = re.exec(s)) !== null) {
+    const loc = tagValue(m[1], "loc");
+    if (!loc) continue;
+    const priority = tagValue(m[1], "priority");
+    entries.push({
+      loc,
+      lastmod: tagValue(m[1], "lastmod"),
+      changefreq: tagValue(m[1], "changefreq"),
+      priority: priority !== null && Number.isFinite(Number(priority)) ? Number(priority) : null,
+    });
+  }
+  return { type: isIndex ? "sitemapindex" : "urlset", entries };
+}
+
+function lastmodMs(v) {
+  const t = Date.parse(String(v || ""));
+  return Number.isFinite(t) ? t : null;
+}
+
+/**
+ * Record sitemap entries in sitemap_index.json and sitemap-urls-level-L.json.
+ * rows: [{ url, type, lastmod, changefreq, priority }]
+ *
+ * Returns { total, new_urls, lastmod_changed, path }
+ */
+function recordSitemapEntries({ cfg, level, sitemapUrl, rows }) {
+  if (!Array.isArray(rows) || !rows.length) return { total: 0, new_urls: 0, lastmod_changed: 0, path: null };
+
+  const idx = readJsonSafe(cfg.SITEMAP_INDEX_PATH, {});
+  const now = new Date().toISOString();
+  let newUrls = 0;
+  let lastmodChanged = 0;
+  const out = [];
+
+  for (const r of rows) {
+    const prev = idx[r.url] || null;
+    const changed = Boolean(prev && r.lastmod && prev.lastmod !== r.lastmod
+      && (lastmodMs(r.lastmod) ?? 0) > (lastmodMs(prev.lastmod) ?? 0));
+
+    if (!prev) newUrls++;
+    if (changed) lastmodChanged++;
+
+    const sitemaps = new Set(Array.isArray(prev?.sitemaps) ? prev.sitemaps : []);
+    if (sitemapUrl) sitemaps.add(sitemapUrl);
+
+    idx[r.url] = {
+      url: r.url,
+      type: r.type,
+      lastmod: r.lastmod || prev?.lastmod || null,
+      previous_lastmod: changed ? prev.lastmod : prev?.previous_lastmod || null,
+      changefreq: r.changefreq || prev?.changefreq || null,
+      priority: r.priority ?? prev?.priority ?? null,
+      sitemaps: Array.from(sitemaps),
+      first_seen_ts: prev?.first_seen_ts || now,
+      last_seen_ts: now,
+    };
+
+    out.push({
+      url: r.url,
+      type: r.type,
+      source: "sitemap",
+      sitemap_url: sitemapUrl || null,
+      lastmod: idx[r.url].lastmod,
+      lastmod_changed: changed,
+      ...(changed ? { previous_lastmod: prev.lastmod } : {}),
+    });
+  }
+
+  writeJson(cfg.SITEMAP_INDEX_PATH, idx);
+
+  // Merge into the per-level artifact (newest lastmod first).
+  const outPath = path.join(cfg.ARTIFACT_DIR, `sitemap-urls-level-${level}.json`);
+  const byUrl = new Map();
+  const existing = fs.existsSync(outPath) ? readJsonSafe(outPath, []) : [];
+  for (const r of Array.isArray(existing) ? existing : []) {
+    if (!r?.url) continue;
+    const { _meta, level: _l, kind: _k, ts: _ts, total_entries: _t, ...row } = r;
+    byUrl.set(r.url, row);
+  }
+  for (const r of out) byUrl.set(r.url, r);
+
+  const merged = Array.from(byUrl.values()).sort((a, b) => (lastmodMs(b.lastmod) ?? -1) - (lastmodMs(a.lastmod) ?? -1));
+  writeRowListArtifact({
+    path: outPath,
+    rows: merged,
+    kind: "sitemap-urls",
+    level,
+    metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW,
+  });
+
+  return { total: rows.length, new_urls: newUrls, lastmod_changed: lastmodChanged, path: outPath };
+}
+
+function normalizeSitemapLoc(loc) {
+  try {
+    return normalizeUrl(new URL(String(loc).trim()).toString());
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { decodeBody, parseSitemap, recordSitemapEntries, normalizeSitemapLoc };
@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+
+const { ensureDir, readJsonSafe, writeJson } = require("./fsx");
+
+// Named crawl snapshots: _meta/<domain>/snapshots/<name>/
+//
+// A recrawl patches artifacts/ in place. A snapshot freezes what the crawl
+// looked like at a point in time so two crawls can be compared later:
+//
+//   snapshots/<name>/
+//     snapshot.json                  (manifest: name, created_ts, note, counts)
+//     state.json
+//     downloaded_hash_index.json
+//     url_index.json
+//     routing.json, calendar.json    (when the domain has them)
+//     artifacts/*.json               (level artifacts; chunk part files are skipped)
+//     level_files/*.json
+//
+// The name "current" refers to the live files and can't be used for a snapshot.
+
+const CURRENT = "current";
+
+function safeSnapshotName(v) {
+  const raw = String(v || "").trim();
+  const safe = raw.replace(/[^a-zA-Z0-9._-]+/g, "_").replace(/^[._]+/, "").slice(0, 120);
+  return safe || null;
+}
+
+function defaultSnapshotName() {
+  return new Date().toISOString().replace(/:/g, "-").replace(/\.\d+Z$/, "Z");
+}
+
+function snapshotDir(cfg, name) {
+  return path.join(cfg.SNAPSHOTS_DIR, name);
+}
+
+function isChunkFile(name) {
+  return /\.part-\d+-of-\d+\.json$/i.test(name) || /\.parts\.json$/i.test(name);
+}
+
+function copyJsonFiles(srcDir, dstDir, filter = () => true) {
+  if (!fs.existsSync(srcDir)) return 0;
+  let n = 0;
+  for (const name of fs.readdirSync(srcDir)) {
+    if (!name.endsWith(".json") || name.startsWith(".") || !filter(name)) continue;
+    ensureDir(dstDir);
+    fs.copyFileSync(path.join(srcDir, name), path.join(dstDir, name));
+    n++;
+  }
+  return n;
+}
+
+function copyIfExists(src, dst) {
+  if (!fs.existsSync(src)) return false;
+  ensureDir(path.dirname(dst));
+  fs.copyFileSync(src, dst);
+  return true;
+}
+
+/**
+ * Freeze the domain's current crawl under snapshots/<name>/.
+ * Throws when the name is invalid or already taken.
+ */
+function createSnapshot(cfg, { name, note } = {}) {
+  const snap = name ? safeSnapshotName(name) : defaultSnapshotName();
+  if (!snap || snap === CURRENT) throw new Error(`Invalid snapshot name: ${name}`);
+  const dir = snapshotDir(cfg, snap);
+  if (fs.existsSync(dir)) throw new Error(`Snapshot already exists: ${snap}`);
+
+  ensureDir(dir);
+  const counts = {
+    artifacts: copyJsonFiles(cfg.ARTIFACT_DIR, path.join(dir, "artifacts"), (n) => !isChunkFile(n)),
+    level_files: copyJsonFiles(cfg.LEVEL_FILES_DIR, path.join(dir, "level_files")),
+    state: copyIfExists(cfg.STATE_PATH, path.join(dir, "state.json")),
+    hash_index: copyIfExists(cfg.DOWNLOADED_HASH_INDEX_PATH, path.join(dir, "downloaded_hash_index.json")),
+    url_index: copyIfExists(cfg.URL_INDEX_PATH, path.join(dir, "url_index.json")),
+    routing: copyIfExists(cfg.ROUTING_PATH, path.join(dir, "routing.json")),
+    calendar: copyIfExists(cfg.CALENDAR_PATH, path.join(dir, "calendar.json")),
+  };
+
+  const manifest = {
+    name: snap,
+    domain_key: cfg.domain_key,
+    created_ts: new Date().toISOString(),
+    note: note ? String(note) : null,
+    counts,
+  };
+  writeJson(path.join(dir, "snapshot.json"), manifest);
+  return manifest;
+}
+
+function listSnapshots(cfg) {
+  if (!fs.existsSync(cfg.SNAPSHOTS_DIR)) return [];
+  const out = [];
+  for (const ent of fs.readdirSync(cfg.SNAPSHOTS_DIR, { withFileTypes: true })) {
+    if (!ent.isDirectory()) continue;
+    const m = readJsonSafe(path.join(cfg.SNAPSHOTS_DIR, ent.name, "snapshot.json"), null);
+    out.push(m || { name: ent.name, created_ts: null });
+  }
+  return out.sort((a, b) => String(a.created_ts || "").localeCompare(String(b.created_ts || "")));
+}
+
+function snapshotExists(cfg, name) {
+  if (name === CURRENT) return true;
+  const snap = safeSnapshotName(name);
+  return Boolean(snap && fs.existsSync(path.join(snapshotDir(cfg, snap), "snapshot.json")));
+}
+
+// ---------------------------------------------------------------------------
+// Comparison
+// ---------------------------------------------------------------------------
+
+function urlsOf(arr) {
+  return Array.isArray(arr) ? arr.map((r) => (typeof r === "string" ? r : r?.url)).filter(Boolean) : [];
+}
+
+// url -> sha256 of the most recently observed download of that URL.
+function urlToShaFromHashIndex(idx) {
+  const best = new Map(); // url -> { sha, ts }
+  for (const [sha, rec] of Object.entries(idx || {})) {
+    for (const s of Array.isArray(rec?.sources) ? rec.sources : []) {
+      if (!s?.url) continue;
+      const ts = Date.parse(s.ts || rec.last_seen_ts || "") || 0;
+      const cur = best.get(s.url);
+      if (!cur || ts >= cur.ts) best.set(s.url, { sha: rec.sha256 || sha, ts });
+    }
+  }
+  return new Map(Array.from(best.entries()).map(([u, v]) => [u, v.sha]));
+}
+
+/**
+ * Load a comparable view of a snapshot (or "current"):
+ * { pages: Map(level -> Set(url)), files: Map(level -> Set(url)), sha: Map(url -> sha256) }
+ */
+function loadSnapshotView(cfg, name) {
+  const live = name === CURRENT;
+  const base = live ? null : snapshotDir(cfg, safeSnapshotName(name));
+  const artifactDir = live ? cfg.ARTIFACT_DIR : path.join(base, "artifacts");
+  const hashIndexPath = live ? cfg.DOWNLOADED_HASH_INDEX_PATH : path.join(base, "downloaded_hash_index.json");
+
+  const pages = new Map();
+  const files = new Map();
+  if (fs.existsSync(artifactDir)) {
+    for (const n of fs.readdirSync(artifactDir)) {
+      const mu = n.match(/^urls-level-(\d+)\.json$/i);
+      const mf = n.match(/^files-level-(\d+)\.json$/i);
+      if (!mu && !mf) continue;
+      const level = Number((mu || mf)[1]);
+      const set = new Set(urlsOf(readJsonSafe(path.join(artifactDir, n), [])));
+      (mu ? pages : files).set(level, set);
+    }
+  }
+
+  return { pages, files, sha: urlToShaFromHashIndex(readJsonSafe(hashIndexPath, {})) };
+}
+
+function setDiff(a, b) {
+  const added = [];
+  const removed = [];
+  for (const u of b) if (!a.has(u)) added.push(u);
+  for (const u of a) if (!b.has(u)) removed.push(u);
+  return { added: added.sort(), removed: removed.sort() };
+}
+
+/**
+ * Compare two snapshots (either may be "current").
+ * Per level: pages added/removed (urls-level-N), files added/removed
+ * (files-level-N) and files whose downloaded content changed (different sha256
+ * for the same URL in the two hash indexes).
+ */
+function compareSnapshots(cfg, a, b) {
+  const A = loadSnapshotView(cfg, a);
+  const B = loadSnapshotView(cfg, b);
+
+  const levels = new Set([...A.pages.keys(), ...A.files.keys(), ...B.pages.keys(), ...B.files.keys()]);
+  const out = {};
+  const totals = { pages_added: 0, pages_removed: 0, files_added: 0, files_removed: 0, files_changed: 0 };
+  const empty = new Set();
+
+  for (const level of Array.from(levels).sort((x, y) => x - y)) {
+    const pages = setDiff(A.pages.get(level) || empty, B.pages.get(level) || empty);
+    const fa = A.files.get(level) || empty;
+    const fb = B.files.get(level) || empty;
+    const files = setDiff(fa, fb);
+
+    const changed = [];
+    for (const u of fb) {
+      if (!fa.has(u)) continue;
+      const s1 = A.sha.get(u) || null;
+      const s2 = B.sha.get(u) || null;
+      if (s1 && s2 && s1 !== s2) changed.push({ url: u, from_sha256: s1, to_sha256: s2 });
+    }
+    changed.sort((x, y) => x.url.localeCompare(y.url));
+
+    if (!pages.added.length && !pages.removed.length && !files.added.length && !files.removed.length && !changed.length) continue;
+
+    out[String(level)] = { pages, files: { ...files, changed } };
+    totals.pages_added += pages.added.length;
+    totals.pages_removed += pages.removed.length;
+    totals.files_added += files.added.length;
+    totals.files_removed += files.removed.length;
+    totals.files_changed += changed.length;
+  }
+
+  return { a, b, totals, levels: out };
+}
+
+module.exports = {
+  CURRENT,
+  safeSnapshotName,
+  createSnapshot,
+  listSnapshots,
+  snapshotExists,
+  compareSnapshots,
+};
@@ -0,0 +1,171 @@
+const { sniffIsPdf } = require("./pdfguard");
+
+// Content sniffing: what did the server actually send?
+//
+// Election sites (and Cloudflare in front of them) regularly answer a file URL
+// with an HTML challenge or error page, which then gets saved as .xls/.csv/.zip.
+// sniffContent() classifies the first bytes of an upload by signature; then
+// checkExpectedContent() compares that with the kinds allowed for the file's
+// extension. Only the head of the file is needed (lib/spool.js HEAD_BYTES).
+//
+// Detected kinds: pdf | ole2 | ooxml | zip | gzip | html | text | binary | empty
+
+const SIGNATURES = [
+  { kind: "pdf", test: (b) => sniffIsPdf(b) },
+  // Compound File Binary (legacy Office: xls, doc, ppt)
+  { kind: "ole2", test: (b) => startsWith(b, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+  // Local file header, empty archive, spanned archive
+  { kind: "zip", test: (b) => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) || startsWith(b, [0x50, 0x4b, 0x05, 0x06]) || startsWith(b, [0x50, 0x4b, 0x07, 0x08]) },
+  { kind: "gzip", test: (b) => startsWith(b, [0x1f, 0x8b]) },
+];
+
+// Kinds accepted for each extension. Extensions not listed are not checked.
+const EXPECTED_KINDS = {
+  pdf: ["pdf"],
+  xls: ["ole2", "ooxml"], // an .xlsx served as .xls is still a spreadsheet
+  doc: ["ole2", "ooxml"],
+  ppt: ["ole2", "ooxml"],
+  xlsx: ["ooxml", "zip"],
+  docx: ["ooxml", "zip"],
+  pptx: ["ooxml", "zip"],
+  zip: ["zip", "ooxml"],
+  gz: ["gzip"],
+  tgz: ["gzip"],
+  csv: ["text"],
+  tsv: ["text"],
+  txt: ["text"],
+};
+
+const OOXML_MARKERS = ["[Content_Types].xml", "_rels/.rels", "xl/", "word/", "ppt/"];
+
+const CHALLENGE_MARKERS = [
+  "cf-browser-verification",
+  "cf-chl-",
+  "challenge-platform",
+  "/cdn-cgi/challenge",
+  "attention required! | cloudflare",
+  "just a moment...",
+];
+
+function startsWith(buf, bytes) {
+  if (!buf || buf.length < bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) if (buf[i] !== bytes[i]) return false;
+  return true;
+}
+
+// Valid UTF-8 (a multi-byte sequence cut off by the end of the head is fine).
+function isUtf8(buf) {
+  let i = 0;
+  while (i < buf.length) {
+    const c = buf[i];
+    let n = 0;
+    if (c < 0x80) n = 0;
+    else if (c >= 0xc2 && c <= 0xdf) n = 1;
+    else if (c >= 0xe0 && c <= 0xef) n = 2;
+    else if (c >= 0xf0 && c <= 0xf4) n = 3;
+    else return false;
+    for (let k = 1; k <= n; k++) {
+      if (i + k >= buf.length) return true;
+      if ((buf[i + k] & 0xc0) !== 0x80) return false;
+    }
+    i += n + 1;
+  }
+  return true;
+}
+
+/**
+ * Guess a text encoding from the head bytes.
+ * Returns "utf-8-bom" | "utf-16le" | "utf-16be" | "ascii" | "utf-8" | "windows-1252",
+ * or null when the bytes don't look like text (NULs / control characters).
+ */
+function detectTextEncoding(head) {
+  if (!head || !head.length) return null;
+  if (startsWith(head, [0xef, 0xbb, 0xbf])) return "utf-8-bom";
+  if (startsWith(head, [0xff, 0xfe])) return "utf-16le";
+  if (startsWith(head, [0xfe, 0xff])) return "utf-16be";
+
+  let control = 0;
+  let high = 0;
+  for (const c of head) {
+    if (c === 0) return null;
+    if (c < 0x20 && c !== 0x09 && c !== 0x0a && c !== 0x0d && c !== 0x0c) control++;
+    if (c >= 0x80) high++;
+  }
+  if (control > head.length * 0.02) return null;
+  if (!high) return "ascii";
+  return isUtf8(head) ? "utf-8" : "windows-1252";
+}
+
+function decodeText(head, encoding) {
+  switch (encoding) {
+    case "utf-8-bom": return head.subarray(3).toString("utf8");
+    case "utf-16le": return head.subarray(2).toString("utf16le");
+    case "utf-16be": {
+      const b = Buffer.from(head.subarray(2, 2 + ((head.length - 2) & ~1)));
+      return b.swap16().toString("utf16le");
+    }
+    case "windows-1252": return head.toString("latin1");
+    default: return head.toString("utf8");
+  }
+}
+
+function looksLikeHtmlText(text) {
+  const t = String(text || "").trim().toLowerCase();
+  return t.startsWith("<!doctype html") || t.startsWith("<html") || t.includes("<head") || t.includes("<title") || t.includes("<body");
+}
+
+/**
+ * Classify content by its first bytes.
+ * Returns { kind, encoding?, challenge? } (challenge: "cloudflare" for bot-check pages).
+ */
+function sniffContent(head) {
+  if (!head || !head.length) return { kind: "empty" };
+
+  for (const sig of SIGNATURES) {
+    if (!sig.test(head)) continue;
+    if (sig.kind === "zip") {
+      const names = head.toString("latin1");
+      if (OOXML_MARKERS.some((m) => names.includes(m))) return { kind: "ooxml" };
+    }
+    return { kind: sig.kind };
+  }
+
+  const encoding = detectTextEncoding(head);
+  if (!encoding) return { kind: "binary" };
+
+  const text = decodeText(head, encoding);
+  if (looksLikeHtmlText(text)) {
+    const lower = text.toLowerCase();
+    const challenge = CHALLENGE_MARKERS.some((m) => lower.includes(m)) ? "cloudflare" : null;
+    return { kind: "html", encoding, ...(challenge ? { challenge } : {}) };
+  }
+  return { kind: "text", encoding };
+}
+
+function expectedKindsFor(ext) {
+  return EXPECTED_KINDS[String(ext || "").toLowerCase()] || null;
+}
+
+/**
+ * Compare an upload's head bytes with what its extension promises.
+ * Returns { ok, ext, expected, detected, encoding?, challenge?, reason }.
+ * reason is null when ok, else "bad_<ext>_got_<kind>" (e.g. bad_xls_got_html).
+ */
+function checkExpectedContent(ext, head) {
+  const e = String(ext || "").toLowerCase();
+  const expected = expectedKindsFor(e);
+  const s = sniffContent(head);
+  const base = { ext: e, expected, detected: s.kind };
+  if (s.encoding) base.encoding = s.encoding;
+  if (s.challenge) base.challenge = s.challenge;
+  if (!expected || expected.includes(s.kind)) return { ok: true, ...base, reason: null };
+  return { ok: false, ...base, reason: `bad_${e}_got_${s.kind}` };
+}
+
+module.exports = {
+  EXPECTED_KINDS,
+  sniffContent,
+  detectTextEncoding,
+  expectedKindsFor,
+  checkExpectedContent,
+};
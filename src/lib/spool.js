@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { ensureDir } = require("./fsx");
+
+// Upload content sources for lib/ingest.js.
+//
+// ingestFile() only needs { sha256, bytes, head, save(absPath), discard() }:
+//   - bufferContent(buf): a fully decoded body (base64 /upload/file)
+//   - createSpool(dir):   a temp file written chunk by chunk while hashing
+//                         (streamed /upload/raw), so large files never sit in memory
+//   - fileContent(path):  an already-assembled file (completed upload sessions)
+//
+// head holds the first HEAD_BYTES bytes for the PDF / HTML sniffing.
+
+const HEAD_BYTES = 4096;
+
+function moveInto(srcAbs, destAbs) {
+  ensureDir(path.dirname(destAbs));
+  try {
+    fs.renameSync(srcAbs, destAbs);
+  } catch {
+    // Cross-device (tmp and downloads on different mounts): copy then drop.
+    fs.copyFileSync(srcAbs, destAbs);
+    try { fs.unlinkSync(srcAbs); } catch {}
+  }
+}
+
+function bufferContent(buf) {
+  return {
+    sha256: crypto.createHash("sha256").update(buf).digest("hex"),
+    bytes: buf.length,
+    head: buf,
+    save: (absPath) => fs.writeFileSync(absPath, buf),
+    discard: () => {},
+  };
+}
+
+// Content backed by a finished temp file.
+function tempFileContent(tmpPath, { sha256, bytes, head }) {
+  return {
+    sha256,
+    bytes,
+    head,
+    tmp_path: tmpPath,
+    save: (absPath) => moveInto(tmpPath, absPath),
+    discard: () => { try { fs.unlinkSync(tmpPath); } catch {} },
+  };
+}
+
+/**
+ * Hash an existing file (streamed) and wrap it as a content source; save()
+ * moves the file itself into place.
+ */
+function fileContent(absPath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    const headParts = [];
+    let headLen = 0;
+    let bytes = 0;
+    fs.createReadStream(absPath)
+      .on("data", (chunk) => {
+        hash.update(chunk);
+        bytes += chunk.length;
+        if (headLen < HEAD_BYTES) {
+          const take = chunk.subarray(0, HEAD_BYTES - headLen);
+          headParts.push(Buffer.from(take));
+          headLen += take.length;
+        }
+      })
+      .on("error", reject)
+      .on("end", () => resolve(tempFileContent(absPath, { sha256: hash.digest("hex"), bytes, head: Buffer.concat(headParts) })));
+  });
+}
+
+/**
+ * Open a temp file under dir. write(chunk) hashes as it goes and returns the
+ * underlying stream's backpressure flag (wait for once("drain") when false).
+ * finish() resolves with a content source; abort() drops the temp file.
+ */
+function createSpool(dir) {
+  ensureDir(dir);
+  const tmpPath = path.join(dir, `${Date.now()}-${crypto.randomBytes(6).toString("hex")}.part`);
+  const ws = fs.createWriteStream(tmpPath);
+  const hash = crypto.createHash("sha256");
+  const headParts = [];
+  let headLen = 0;
+  let bytes = 0;
+  let writeError = null;
+  ws.on("error", (e) => { writeError = e; });
+
+  return {
+    path: tmpPath,
+    write(chunk) {
+      hash.update(chunk);
+      bytes += chunk.length;
+      if (headLen < HEAD_BYTES) {
+        const take = chunk.subarray(0, HEAD_BYTES - headLen);
+        headParts.push(Buffer.from(take));
+        headLen += take.length;
+      }
+      return ws.write(chunk);
+    },
+    once: (ev, fn) => ws.once(ev, fn),
+    finish() {
+      return new Promise((resolve, reject) => {
+        if (writeError) return reject(writeError);
+        ws.once("error", reject);
+        ws.end(() => resolve(tempFileContent(tmpPath, {
+          sha256: hash.digest("hex"),
+          bytes,
+          head: Buffer.concat(headParts),
+        })));
+      });
+    },
+    abort() {
+      ws.destroy();
+      try { fs.unlinkSync(tmpPath); } catch {}
+    },
+  };
+}
+
+/**
+ * Stream an HTTP request body into sink (a spool), honouring backpressure.
+ * Resolves with the byte count once the body has ended.
+ */
+function pipeRequestInto(req, sink) {
+  return new Promise((resolve, reject) => {
+    let bytes = 0;
+    let ended = false;
+    req.on("data", (chunk) => {
+      bytes += chunk.length;
+      if (!sink.write(chunk)) {
+        req.pause();
+        sink.once("drain", () => req.resume());
+      }
+    });
+    req.on("end", () => { ended = true; resolve(bytes); });
+    req.on("error", reject);
+    req.on("close", () => { if (!ended) reject(new Error("Upload aborted by client")); });
+  });
+}
+
+module.exports = { HEAD_BYTES, bufferContent, fileContent, createSpool, pipeRequestInto, moveInto };
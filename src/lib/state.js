@@ -1,5 +1,6 @@
 const { readJsonSafe, writeJson } = require("./fsx");
-const { normalizeUrl } = require("./urlnorm");
+const { normalizeUrl, applyAlias } = require("./urlnorm");
+const { urlRowsFromArtifact } = require("./artifacts");
 
 // Helpers for reconstructing state from artifacts (self-aware state cache)
 const fs = require("fs");
@@ -26,11 +27,23 @@ function _extractFilesFromArtifact(arr) {
       url: normalizeUrl(u),
       ext: r.ext || null,
       source_page_url: r.source_page_url || null,
+      ...(r.source ? { source: r.source } : {}),
+      ...(r.lastmod ? { lastmod: r.lastmod } : {}),
     });
   }
   return out;
 }
 
+// url -> {source?, lastmod?} for the rows of a urls artifact that carry them.
+function _extractPageMetaFromArtifact(arr) {
+  const out = {};
+  for (const r of urlRowsFromArtifact(arr)) {
+    const { url, ...meta } = r;
+    if (Object.keys(meta).length) out[normalizeUrl(url)] = meta;
+  }
+  return out;
+}
+
 function _listMaxLevelFromArtifacts(artifactDir) {
   try {
     const names = fs.readdirSync(artifactDir);
@@ -63,7 +76,7 @@ function reconcileStateFromArtifacts(cfg, st, opts = {}) {
 
   // Reconstruct for levels 1..maxLevel based on:
   // - visited(L) = urls-level-L.json minus urls-level-L.remaining.json (if present)
-  // - pages(L)   = urls-level-(L+1).json (discovered pages)
+  // - pages(L)   = urls-level-(L+1).json (discovered pages; page_meta keeps their source/lastmod)
   // - files(L)   = files-level-L.json
   for (let L = 1; L <= maxLevel; L++) {
     const fullPath = path.join(artifactDir, `urls-level-${L}.json`);
@@ -80,11 +93,12 @@ function reconcileStateFromArtifacts(cfg, st, opts = {}) {
       visitedUrls = fullUrls.filter((u) => !remUrls.has(u));
     } else {
       // No remaining file: don't guess. Preserve existing visited if any.
-      visitedUrls = (next.levels[String(L)]?.visited || []).map(normalizeUrl);
+      visitedUrls = (next.levels[String(L)]?.visited || []).map((u) => normalizeUrl(u));
     }
 
     const pagesPath = path.join(artifactDir, `urls-level-${L + 1}.json`);
-    const pagesUrls = fs.existsSync(pagesPath) ? _extractUrlsFromArtifact(readJsonSafe(pagesPath, [])) : [];
+    const pagesArr = fs.existsSync(pagesPath) ? readJsonSafe(pagesPath, []) : [];
+    const pagesUrls = _extractUrlsFromArtifact(pagesArr);
 
     const filesPath = path.join(artifactDir, `files-level-${L}.json`);
     const files = fs.existsSync(filesPath) ? _extractFilesFromArtifact(readJsonSafe(filesPath, [])) : [];
@@ -92,6 +106,7 @@ function reconcileStateFromArtifacts(cfg, st, opts = {}) {
     next.levels[String(L)] = {
       visited: [...new Set(visitedUrls)].sort(),
       pages: [...new Set(pagesUrls)].sort(),
+      page_meta: _extractPageMetaFromArtifact(pagesArr),
       files,
     };
   }
@@ -111,7 +126,9 @@ function saveState(statePath, st) {
   writeJson(statePath, st);
 }
 
-function computeSeenUpTo(st, maxLevelInclusive) {
+// aliases (optional): Map alias -> canonical URL, so a page seen under a
+// redirecting URL counts as seen under its final URL too.
+function computeSeenUpTo(st, maxLevelInclusive, aliases) {
   const seenPages = new Set();
   const seenFiles = new Set();
 
@@ -124,9 +141,9 @@ function computeSeenUpTo(st, maxLevelInclusive) {
     if (L > maxLevelInclusive) break;
     const rec = st.levels[String(L)];
     if (!rec) continue;
-    for (const u of rec.visited || []) seenPages.add(normalizeUrl(u));
-    for (const u of rec.pages || []) seenPages.add(normalizeUrl(u));
-    for (const f of rec.files || []) if (f?.url) seenFiles.add(normalizeUrl(f.url));
+    for (const u of rec.visited || []) seenPages.add(applyAlias(aliases, normalizeUrl(u)));
+    for (const u of rec.pages || []) seenPages.add(applyAlias(aliases, normalizeUrl(u)));
+    for (const f of rec.files || []) if (f?.url) seenFiles.add(applyAlias(aliases, normalizeUrl(f.url)));
   }
 
   return { seenPages, seenFiles };
@@ -0,0 +1,165 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { ensureDir, readJsonSafe, writeJson } = require("./fsx");
+const { pipeRequestInto } = require("./spool");
+
+// Resumable upload sessions for very large files.
+//
+//   _meta/<domain>/upload_sessions/<id>.json   session record (metadata + status)
+//   _meta/<domain>/upload_sessions/<id>.part   bytes received so far
+//
+// The offset of a session is always the size of its .part file, so it survives
+// a sink restart and a chunk cut off mid-way simply leaves a shorter offset for
+// the client to resume from. Completed sessions keep their record (with the
+// ingest result) so a retried /complete is answered idempotently.
+
+const SESSION_ID_RE = /^us_\d+_[0-9a-f]{12}$/;
+
+function isSessionId(id) {
+  return SESSION_ID_RE.test(String(id || ""));
+}
+
+function sessionPaths(cfg, id) {
+  return {
+    json: path.join(cfg.UPLOAD_SESSIONS_DIR, `${id}.json`),
+    part: path.join(cfg.UPLOAD_SESSIONS_DIR, `${id}.part`),
+  };
+}
+
+function sessionOffset(cfg, id) {
+  try {
+    return fs.statSync(sessionPaths(cfg, id).part).size;
+  } catch {
+    return 0;
+  }
+}
+
+function readSession(cfg, id) {
+  if (!isSessionId(id)) return null;
+  const s = readJsonSafe(sessionPaths(cfg, id).json, null);
+  return s && typeof s === "object" ? s : null;
+}
+
+function saveSession(cfg, session) {
+  writeJson(sessionPaths(cfg, session.id).json, { ...session, updated_ts: new Date().toISOString() });
+}
+
+/**
+ * Find which domain holds a session (ids are unique across domains).
+ * Returns the domain key or null.
+ */
+function locateSessionDomain(baseCfg, id) {
+  if (!isSessionId(id) || !baseCfg.META_ROOT || !fs.existsSync(baseCfg.META_ROOT)) return null;
+  for (const ent of fs.readdirSync(baseCfg.META_ROOT, { withFileTypes: true })) {
+    if (!ent.isDirectory()) continue;
+    if (fs.existsSync(path.join(baseCfg.META_ROOT, ent.name, "upload_sessions", `${id}.json`))) return ent.name;
+  }
+  return null;
+}
+
+/**
+ * Open a session. meta is the ingestFile() metadata; totalBytes / sha256 are
+ * optional expectations (checked again at completion).
+ */
+function createSession(cfg, meta, { totalBytes = null, sha256 = null } = {}) {
+  ensureDir(cfg.UPLOAD_SESSIONS_DIR);
+  const id = `us_${Date.now()}_${crypto.randomBytes(6).toString("hex")}`;
+  const now = new Date().toISOString();
+  const session = {
+    id,
+    domain_key: cfg.domain_key,
+    status: "open",
+    created_ts: now,
+    updated_ts: now,
+    meta,
+    total_bytes: totalBytes,
+    expected_sha256: sha256,
+  };
+  fs.writeFileSync(sessionPaths(cfg, id).part, "");
+  writeJson(sessionPaths(cfg, id).json, session);
+  return session;
+}
+
+/**
+ * Append a request body to the session's .part file. Caller checks the offset
+ * and holds the session lock. Resolves with the new offset; if the client
+ * disconnects, whatever arrived stays and the error is rethrown.
+ */
+async function appendChunk(cfg, session, req) {
+  const ws = fs.createWriteStream(sessionPaths(cfg, session.id).part, { flags: "a" });
+  const closed = new Promise((resolve, reject) => {
+    ws.once("close", resolve);
+    ws.once("error", reject);
+  });
+  try {
+    await pipeRequestInto(req, ws);
+  } finally {
+    ws.end();
+    await closed;
+    saveSession(cfg, session);
+  }
+  return sessionOffset(cfg, session.id);
+}
+
+function markCompleted(cfg, session, result) {
+  saveSession(cfg, { ...session, status: "completed", completed_ts: new Date().toISOString(), result });
+  try { fs.unlinkSync(sessionPaths(cfg, session.id).part); } catch {}
+}
+
+function deleteSession(cfg, id) {
+  const p = sessionPaths(cfg, id);
+  for (const f of [p.part, p.json]) {
+    try { fs.unlinkSync(f); } catch {}
+  }
+}
+
+/**
+ * Drop sessions (open or completed) with no activity for ttlMs.
+ * Returns the pruned ids.
+ */
+function pruneSessions(cfg, ttlMs) {
+  const out = [];
+  if (!fs.existsSync(cfg.UPLOAD_SESSIONS_DIR)) return out;
+  const now = Date.now();
+  for (const name of fs.readdirSync(cfg.UPLOAD_SESSIONS_DIR)) {
+    if (!name.endsWith(".json")) continue;
+    const id = name.slice(0, -5);
+    const s = readSession(cfg, id);
+    const t = Date.parse(s?.updated_ts || "") || 0;
+    if (now - t < ttlMs) continue;
+    deleteSession(cfg, id);
+    out.push(id);
+  }
+  return out;
+}
+
+function describeSession(cfg, session) {
+  return {
+    session_id: session.id,
+    domain_key: session.domain_key,
+    status: session.status,
+    offset: session.status === "open" ? sessionOffset(cfg, session.id) : (session.result?.bytes ?? session.total_bytes),
+    total_bytes: session.total_bytes,
+    url: session.meta?.url || null,
+    bfs_level: session.meta?.bfs_level ?? null,
+    created_ts: session.created_ts,
+    updated_ts: session.updated_ts,
+    ...(session.status === "completed" ? { completed_ts: session.completed_ts, result: session.result } : {}),
+  };
+}
+
+module.exports = {
+  isSessionId,
+  sessionPaths,
+  sessionOffset,
+  readSession,
+  locateSessionDomain,
+  createSession,
+  appendChunk,
+  markCompleted,
+  deleteSession,
+  pruneSessions,
+  describeSession,
+};
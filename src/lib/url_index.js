@@ -0,0 +1,158 @@
+const path = require("path");
+
+const { readJsonSafe, writeJson } = require("./fsx");
+
+// Per-URL revision history.
+//
+// downloaded_hash_index.json is keyed by content, so when a results file goes
+// from preliminary to final both SHAs are indexed but nothing says they are
+// versions of one URL. _meta/<domain>/url_index.json does:
+//
+//   { "<canonical url>": {
+//       url, current_sha256, first_seen_ts, last_seen_ts,
+//       revisions: [{ rev, sha256, bytes, first_seen_ts, last_seen_ts, probe_signature }]
+//   } }
+//
+// Revisions are numbered from 1 in the order the URL served them. Locations are
+// not stored here: saved_to is joined from the hash index on read, so resort /
+// promotion moves never leave this file stale.
+//
+// On disk the newest revision keeps the canonical filename; older ones move to
+//   <dir>/_revisions/<name>__rev<N>.<ext>
+// Written by lib/ingest.js under the domain's "index" lock.
+
+const REVISIONS_DIR = "_revisions";
+
+function loadUrlIndex(cfg) {
+  const raw = readJsonSafe(cfg.URL_INDEX_PATH, {});
+  return raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+}
+
+function saveUrlIndex(cfg, idx) {
+  writeJson(cfg.URL_INDEX_PATH, idx);
+}
+
+/**
+ * Where revision `rev` of a canonical file is archived.
+ */
+function revisionPath(canonicalAbs, rev) {
+  const ext = path.extname(canonicalAbs);
+  const base = path.basename(canonicalAbs, ext);
+  return path.join(path.dirname(canonicalAbs), REVISIONS_DIR, `${base}__rev${rev}${ext}`);
+}
+
+function isRevisionPath(p) {
+  return path.basename(path.dirname(String(p || ""))) === REVISIONS_DIR;
+}
+
+function probeSignatureFor(cfg, urls) {
+  const probes = readJsonSafe(cfg.PROBE_META_INDEX_PATH, {});
+  for (const u of urls) {
+    if (u && probes?.[u]?.signature) return probes[u].signature;
+  }
+  return null;
+}
+
+/**
+ * Revisions implied by the hash index alone (files saved before url_index.json
+ * existed): every SHA with a source observation for url, oldest first.
+ */
+function revisionsFromHashIndex(hashIdx, url) {
+  const found = [];
+  for (const [sha256, rec] of Object.entries(hashIdx || {})) {
+    const hits = (rec?.sources || []).filter((s) => s && (s.url === url || s.requested_url === url));
+    if (!hits.length) continue;
+    const ts = hits.map((s) => s.ts).filter(Boolean).sort();
+    found.push({
+      sha256,
+      bytes: rec.bytes ?? null,
+      first_seen_ts: rec.first_seen_ts || ts[0] || null,
+      last_seen_ts: ts[ts.length - 1] || rec.last_seen_ts || null,
+      probe_signature: null,
+    });
+  }
+  found.sort((a, b) => String(a.first_seen_ts || "").localeCompare(String(b.first_seen_ts || "")));
+  return found.map((r, i) => ({ rev: i + 1, ...r }));
+}
+
+/**
+ * The url's entry, seeded from the hash index when it predates url_index.json.
+ * Returns null when the URL has never been saved.
+ */
+function urlEntry(idx, hashIdx, url) {
+  if (idx[url]) return idx[url];
+  const revisions = revisionsFromHashIndex(hashIdx, url);
+  if (!revisions.length) return null;
+  const last = revisions[revisions.length - 1];
+  return {
+    url,
+    current_sha256: last.sha256,
+    first_seen_ts: revisions[0].first_seen_ts,
+    last_seen_ts: last.last_seen_ts,
+    revisions,
+  };
+}
+
+/**
+ * Record that url served sha256 (mutates idx). A repeat of the current SHA only
+ * bumps last_seen_ts; anything else becomes a new revision, including a return
+ * to older content. Returns { entry, revision, previous } where previous is the
+ * revision that was current before (null unless this call added a revision).
+ * probeUrls: extra keys to try in probe_meta_index.json (the requested URL).
+ */
+function recordRevision(cfg, idx, hashIdx, { url, probeUrls = [], sha256, bytes = null, ts = new Date().toISOString() }) {
+  const entry = urlEntry(idx, hashIdx, url) || { url, current_sha256: null, first_seen_ts: ts, last_seen_ts: ts, revisions: [] };
+  const cur = entry.revisions[entry.revisions.length - 1] || null;
+  const probe_signature = probeSignatureFor(cfg, [...probeUrls, url]);
+
+  entry.last_seen_ts = ts;
+  idx[url] = entry;
+
+  if (cur && cur.sha256 === sha256) {
+    cur.last_seen_ts = ts;
+    if (probe_signature) cur.probe_signature = probe_signature;
+    return { entry, revision: cur, previous: null };
+  }
+
+  const revision = {
+    rev: (cur?.rev || 0) + 1,
+    sha256,
+    bytes,
+    first_seen_ts: ts,
+    last_seen_ts: ts,
+    probe_signature,
+  };
+  entry.revisions.push(revision);
+  entry.current_sha256 = sha256;
+  return { entry, revision, previous: cur };
+}
+
+/**
+ * History for one URL with saved_to joined from the hash index, newest first.
+ */
+function describeHistory(entry, hashIdx) {
+  const last = entry.revisions.length - 1;
+  const revisions = entry.revisions
+    .map((r, i) => ({ ...r, current: i === last, saved_to: hashIdx?.[r.sha256]?.saved_to || null }))
+    .reverse();
+  return {
+    url: entry.url,
+    current_sha256: entry.current_sha256,
+    revision_count: entry.revisions.length,
+    first_seen_ts: entry.first_seen_ts,
+    last_seen_ts: entry.last_seen_ts,
+    revisions,
+  };
+}
+
+module.exports = {
+  REVISIONS_DIR,
+  loadUrlIndex,
+  saveUrlIndex,
+  revisionPath,
+  isRevisionPath,
+  revisionsFromHashIndex,
+  urlEntry,
+  recordRevision,
+  describeHistory,
+};
@@ -1,4 +1,6 @@
-const { URL } = require("url");
+const fs = require("fs");
+const path = require("path");
+const { URL, domainToUnicode } = require("url");
 
 // We sometimes ingest URLs scraped from HTML where query separators were
 // HTML-escaped (&amp;) and then double-encoded (e.g. "amp%3B").
@@ -53,20 +55,185 @@ function dedupeIdenticalQueryPairs(U) {
   }
 }
 
-function normalizeUrl(u) {
+// ---------------------------------------------------------------------------
+// Per-domain canonicalisation policy
+// ---------------------------------------------------------------------------
+// The defaults reproduce the historical hardcoded behaviour (strip the hash,
+// collapse /index.html, dedupe identical query pairs). A domain can override
+// them with _meta/<domain>/url_policy.json:
+//
+// {
+//   "strip_hash": true,
+//   "index_files": ["index.html", "index.htm", "default.aspx"], // collapse to "/"
+//   "trailing_slash": "keep",            // keep | add | strip (extensionless paths only)
+//   "strip_params": ["utm_*", "fbclid"], // exact names or prefix* wildcards
+//   "sort_query": false,
+//   "dedupe_query_pairs": true,
+//   "lowercase_path": false,             // case-insensitive (IIS) hosts
+//   "normalize_percent_encoding": false, // decode unreserved, uppercase hex
+//   "idn": "ascii"                       // ascii (punycode) | unicode
+// }
+//
+// After changing a policy, run `node src/index.js renormalize --domain=...`
+// to rewrite existing artifacts/state/indexes under it.
+
+const DEFAULT_URL_POLICY = Object.freeze({
+  strip_hash: true,
+  index_files: ["index.html"],
+  trailing_slash: "keep",
+  strip_params: [],
+  sort_query: false,
+  dedupe_query_pairs: true,
+  lowercase_path: false,
+  normalize_percent_encoding: false,
+  idn: "ascii",
+});
+
+const POLICY_FILE = "url_policy.json";
+const POLICY_RECHECK_MS = 2000;
+
+let policyMetaRoot = null;
+const policyCache = new Map(); // domainKey -> { policy, mtimeMs, checkedAt }
+
+// Called once at startup (server and CLI) so normalizeUrl() can find
+// per-domain policies under META_ROOT/<domain>/url_policy.json.
+function configureUrlPolicies({ metaRoot }) {
+  policyMetaRoot = metaRoot || null;
+  policyCache.clear();
+}
+
+function resolveUrlPolicy(raw) {
+  const p = { ...DEFAULT_URL_POLICY, ...(raw && typeof raw === "object" ? raw : {}) };
+  p.index_files = (Array.isArray(p.index_files) ? p.index_files : []).map((x) => String(x)).filter(Boolean);
+  p.strip_params = (Array.isArray(p.strip_params) ? p.strip_params : []).map((x) => String(x)).filter(Boolean);
+  if (!["keep", "add", "strip"].includes(p.trailing_slash)) p.trailing_slash = "keep";
+  if (!["ascii", "unicode"].includes(p.idn)) p.idn = "ascii";
+  return p;
+}
+
+function policyPathForDomain(domainKey) {
+  if (!policyMetaRoot || !domainKey) return null;
+  return path.join(policyMetaRoot, domainKey, POLICY_FILE);
+}
+
+function loadUrlPolicy(domainKey) {
+  const p = policyPathForDomain(domainKey);
+  if (!p) return resolveUrlPolicy(null);
+
+  const now = Date.now();
+  const cached = policyCache.get(domainKey);
+  if (cached && now - cached.checkedAt < POLICY_RECHECK_MS) return cached.policy;
+
+  let mtimeMs = null;
+  try { mtimeMs = fs.statSync(p).mtimeMs; } catch {}
+  if (cached && cached.mtimeMs === mtimeMs) {
+    cached.checkedAt = now;
+    return cached.policy;
+  }
+
+  let raw = null;
+  if (mtimeMs !== null) {
+    try { raw = JSON.parse(fs.readFileSync(p, "utf8")); } catch {}
+  }
+  const policy = resolveUrlPolicy(raw);
+  policyCache.set(domainKey, { policy, mtimeMs, checkedAt: now });
+  return policy;
+}
+
+function policyForHostname(hostname) {
+  // Same key derivation as lib/domain.js safeDomainKey().
+  const dk = String(hostname || "").toLowerCase().replace(/^www\./, "").replace(/[^a-z0-9.-]+/g, "_").replace(/^_+|_+$/g, "");
+  return loadUrlPolicy(dk || "default");
+}
+
+function paramMatcher(patterns) {
+  const exact = new Set();
+  const prefixes = [];
+  for (const p of patterns) {
+    const k = p.toLowerCase();
+    if (k.endsWith("*")) prefixes.push(k.slice(0, -1));
+    else exact.add(k);
+  }
+  return (key) => {
+    const k = String(key).toLowerCase();
+    return exact.has(k) || prefixes.some((px) => k.startsWith(px));
+  };
+}
+
+// Decode percent-escapes of unreserved characters and uppercase the rest.
+function normalizePercentEncoding(s) {
+  return String(s).replace(/%([0-9a-fA-F]{2})/g, (m, hex) => {
+    const ch = String.fromCharCode(parseInt(hex, 16));
+    return /[A-Za-z0-9\-._~]/.test(ch) ? ch : `%${hex.toUpperCase()}`;
+  });
+}
+
+// Case-sensitive, like the old hard-coded /index.html rule (/INDEX.HTML stays),
+// unless the path was lowercased (lowercase_path), then the names are too.
+function applyIndexFiles(pathname, indexFiles, { ignoreCase = false } = {}) {
+  for (const f of indexFiles) {
+    if (pathname.endsWith(`/${ignoreCase ? f.toLowerCase() : f}`)) {
+      return pathname.slice(0, pathname.length - f.length);
+    }
+  }
+  return pathname;
+}
+
+function applyTrailingSlash(pathname, mode) {
+  if (mode === "keep" || pathname === "/") return pathname;
+  const last = pathname.split("/").pop();
+  if (mode === "add") {
+    // Only directory-like paths (no extension on the last segment).
+    if (last && !/\.[a-z0-9]+$/i.test(last)) return `${pathname}/`;
+    return pathname;
+  }
+  // strip
+  return pathname.endsWith("/") ? pathname.replace(/\/+$/, "") || "/" : pathname;
+}
+
+/**
+ * Normalize a URL.
+ * policy (optional): a url policy object; when omitted the domain's policy
+ * (url_policy.json, or the defaults) is looked up from the URL's hostname.
+ */
+function normalizeUrl(u, policy) {
   try {
     const cleanedInput = cleanAmpArtifacts(u);
     let U = new URL(String(cleanedInput).trim());
+    const pol = policy ? resolveUrlPolicy(policy) : policyForHostname(U.hostname);
+
     // remove hash; keep query
-    U.hash = "";
-    // normalize /index.html to /
-    if (U.pathname.endsWith("/index.html")) U.pathname = U.pathname.replace(/\/index\.html$/, "/");
+    if (pol.strip_hash) U.hash = "";
     // collapse // in path
     U.pathname = U.pathname.replace(/\/\/{2,}/g, "/");
 
+    // Case and escapes first, so index files match what the output looks like
+    // (normalizing the output again must not change it).
+    if (pol.lowercase_path) U.pathname = U.pathname.toLowerCase();
+    if (pol.normalize_percent_encoding) {
+      U.pathname = normalizePercentEncoding(U.pathname);
+      if (U.search) U.search = normalizePercentEncoding(U.search);
+    }
+    // normalize /index.html (and any other configured index files) to /
+    U.pathname = applyIndexFiles(U.pathname, pol.index_files, { ignoreCase: pol.lowercase_path });
+    U.pathname = applyTrailingSlash(U.pathname, pol.trailing_slash);
+
+    if (pol.strip_params.length && U.search) {
+      const strip = paramMatcher(pol.strip_params);
+      for (const k of Array.from(new Set(U.searchParams.keys()))) {
+        if (strip(k)) U.searchParams.delete(k);
+      }
+    }
+
     // Safely dedupe identical repeated query pairs (e.g. start=5&start=5)
-    U = dedupeIdenticalQueryPairs(U);
-    return U.toString();
+    if (pol.dedupe_query_pairs) U = dedupeIdenticalQueryPairs(U);
+    if (pol.sort_query && U.search) U.searchParams.sort();
+
+    let out = U.toString();
+    if (pol.idn === "unicode" && U.hostname.includes("xn--")) {
+      out = out.replace(U.hostname, domainToUnicode(U.hostname));
+    }
+    return out;
   } catch {
     return cleanAmpArtifacts(String(u || "").trim());
   }
@@ -77,11 +244,26 @@ function extFromUrl(u) {
   return m ? m[1].toLowerCase() : "bin";
 }
 
-function stableUniqUrls(urls) {
+// Map a normalized URL through a redirect alias map (Map alias -> target),
+// following chains (a -> b -> c) with a hop cap so cycles can't hang us.
+function applyAlias(aliases, u) {
+  if (!aliases || !u) return u;
+  let cur = u;
+  for (let i = 0; i < 10; i++) {
+    const next = aliases.get(cur);
+    if (!next || next === cur) break;
+    cur = next;
+  }
+  return cur;
+}
+
+// aliases (optional): Map alias -> canonical URL (see lib/aliases.js).
+// When given, redirect aliases collapse onto their canonical URL.
+function stableUniqUrls(urls, aliases) {
   const seen = new Set();
   const out = [];
   for (const x of Array.isArray(urls) ? urls : []) {
-    const u = normalizeUrl(x);
+    const u = applyAlias(aliases, normalizeUrl(x));
     if (!u) continue;
     if (!seen.has(u)) {
       seen.add(u);
@@ -91,4 +273,13 @@ function stableUniqUrls(urls) {
   return out;
 }
 
-module.exports = { normalizeUrl, extFromUrl, stableUniqUrls };
+module.exports = {
+  normalizeUrl,
+  extFromUrl,
+  stableUniqUrls,
+  applyAlias,
+  DEFAULT_URL_POLICY,
+  configureUrlPolicies,
+  resolveUrlPolicy,
+  loadUrlPolicy,
+};
@@ -0,0 +1,157 @@
+const fs = require("fs");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+
+// Minimal ZIP reader (the sink stays dependency-free).
+//
+// Reads the central directory and streams one member at a time straight from
+// the archive file into a sink (a spool), so no member sits in memory. Supports
+// stored and deflated members; ZIP64 and encrypted archives are refused.
+
+const EOCD_SIG = 0x06054b50;
+const CDH_SIG = 0x02014b50;
+const LFH_SIG = 0x04034b50;
+const EOCD_MIN = 22;
+const EOCD_MAX_COMMENT = 0xffff;
+
+// zlib.crc32 only exists from Node 20.15 / 22.2; older runtimes use a table.
+let crcTable = null;
+function tableCrc32(buf, crc = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buf.length; i++) c = crcTable[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+const crc32 = typeof zlib.crc32 === "function" ? zlib.crc32 : tableCrc32;
+
+function readAt(fd, pos, len) {
+  const buf = Buffer.alloc(len);
+  let off = 0;
+  while (off < len) {
+    const n = fs.readSync(fd, buf, off, len - off, pos + off);
+    if (!n) break;
+    off += n;
+  }
+  return off === len ? buf : buf.subarray(0, off);
+}
+
+function findEocd(fd, size) {
+  const len = Math.min(size, EOCD_MIN + EOCD_MAX_COMMENT);
+  const tail = readAt(fd, size - len, len);
+  for (let i = tail.length - EOCD_MIN; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIG) return tail.subarray(i);
+  }
+  return null;
+}
+
+// Member paths come from the archive: keep them relative and inside it.
+function safeMemberPath(name) {
+  const parts = String(name || "")
+    .split(/[\\/]+/)
+    .filter((p) => p && p !== "." && p !== "..");
+  return parts.join("/");
+}
+
+/**
+ * List an archive's members.
+ * Returns [{ name, path, method, flags, crc32, compressed_bytes, bytes, offset, is_dir, encrypted }].
+ * Throws when the file is not a readable ZIP.
+ */
+function listZipEntries(absPath) {
+  const fd = fs.openSync(absPath, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    const eocd = size >= EOCD_MIN ? findEocd(fd, size) : null;
+    if (!eocd) throw new Error("Not a ZIP archive (no end of central directory)");
+
+    const count = eocd.readUInt16LE(10);
+    const cdSize = eocd.readUInt32LE(12);
+    const cdOffset = eocd.readUInt32LE(16);
+    if (count === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
+      throw new Error("ZIP64 archives are not supported");
+    }
+
+    const cd = readAt(fd, cdOffset, cdSize);
+    const out = [];
+    let p = 0;
+    for (let i = 0; i < count; i++) {
+      if (p + 46 > cd.length || cd.readUInt32LE(p) !== CDH_SIG) throw new Error("Corrupt ZIP central directory");
+      const flags = cd.readUInt16LE(p + 8);
+      const nameLen = cd.readUInt16LE(p + 28);
+      const extraLen = cd.readUInt16LE(p + 30);
+      const commentLen = cd.readUInt16LE(p + 32);
+      const rawName = cd.subarray(p + 46, p + 46 + nameLen);
+      // Bit 11: UTF-8 names; otherwise CP437, close enough to latin1 for file names.
+      const name = rawName.toString(flags & 0x800 ? "utf8" : "latin1");
+      out.push({
+        name,
+        path: safeMemberPath(name),
+        method: cd.readUInt16LE(p + 10),
+        flags,
+        crc32: cd.readUInt32LE(p + 16),
+        compressed_bytes: cd.readUInt32LE(p + 20),
+        bytes: cd.readUInt32LE(p + 24),
+        offset: cd.readUInt32LE(p + 42),
+        is_dir: /[\\/]$/.test(name),
+        encrypted: Boolean(flags & 0x1),
+      });
+      p += 46 + nameLen + extraLen + commentLen;
+    }
+    return out;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function memberDataPos(absPath, entry) {
+  const fd = fs.openSync(absPath, "r");
+  try {
+    const lfh = readAt(fd, entry.offset, 30);
+    if (lfh.length < 30 || lfh.readUInt32LE(0) !== LFH_SIG) throw new Error(`Corrupt ZIP local header: ${entry.name}`);
+    return entry.offset + 30 + lfh.readUInt16LE(26) + lfh.readUInt16LE(28);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Stream one member (from listZipEntries) into sink, checking size and CRC.
+ * sink: { write(chunk) -> bool, once("drain", fn) } (lib/spool.js createSpool)
+ * Resolves with the member's byte count.
+ */
+async function streamZipEntry(absPath, entry, sink) {
+  if (entry.encrypted) throw new Error(`Encrypted ZIP member: ${entry.name}`);
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`Unsupported ZIP compression method ${entry.method}: ${entry.name}`);
+  }
+  const dataPos = memberDataPos(absPath, entry);
+
+  let bytes = 0;
+  let crc = 0;
+  if (entry.compressed_bytes > 0) {
+    const stages = [fs.createReadStream(absPath, { start: dataPos, end: dataPos + entry.compressed_bytes - 1 })];
+    if (entry.method === 8) stages.push(zlib.createInflateRaw());
+    await pipeline(...stages, async (source) => {
+      for await (const chunk of source) {
+        bytes += chunk.length;
+        if (bytes > entry.bytes) throw new Error(`ZIP member size mismatch: ${entry.name}`);
+        crc = crc32(chunk, crc);
+        if (!sink.write(chunk)) await new Promise((resolve) => sink.once("drain", resolve));
+      }
+    });
+  }
+
+  if (bytes !== entry.bytes) throw new Error(`ZIP member size mismatch: ${entry.name}`);
+  if (crc !== entry.crc32) throw new Error(`ZIP member CRC mismatch: ${entry.name}`);
+  return bytes;
+}
+
+module.exports = { listZipEntries, streamZipEntry, safeMemberPath };
@@ -0,0 +1,34 @@
+const express = require("express");
+
+const { cfgForReq } = require("../lib/domain");
+const { loadAliases, loadAliasMap } = require("../lib/aliases");
+const { normalizeUrl, applyAlias } = require("../lib/urlnorm");
+
+function makeAliasesRouter(baseCfg) {
+  const r = express.Router();
+
+  // GET /aliases?domain=...
+  //   -> full alias map { "<alias>": { to, status, first_seen_ts, last_seen_ts } }
+  // GET /aliases?url=<url>
+  //   -> the canonical URL that <url> collapses to (following redirect chains)
+  r.get("/aliases", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+
+      if (req.query?.url) {
+        const url = normalizeUrl(String(req.query.url));
+        const canonical = applyAlias(loadAliasMap(cfg), url);
+        return res.json({ ok: true, domain_key: cfg.domain_key, url, canonical, is_alias: canonical !== url });
+      }
+
+      const aliases = loadAliases(cfg);
+      return res.json({ ok: true, domain_key: cfg.domain_key, count: Object.keys(aliases).length, aliases });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+module.exports = { makeAliasesRouter };
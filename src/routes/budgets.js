@@ -0,0 +1,85 @@
+const express = require("express");
+
+const { readJsonSafe } = require("../lib/fsx");
+const { appendJsonl } = require("../lib/jsonl");
+const { withDomainLock } = require("../lib/lock");
+const { cfgForReq } = require("../lib/domain");
+const { loadBudgets, promoteDeferred, readDeferredRows, listDeferredLevels } = require("../lib/budgets");
+const { logEvent } = require("../lib/logger");
+
+function makeBudgetsRouter(baseCfg) {
+  const r = express.Router();
+
+  // GET /budgets?domain=...
+  // The domain's budgets.json plus deferred URL counts per level.
+  r.get("/budgets", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const deferred = {};
+      for (const level of listDeferredLevels(cfg)) {
+        const rows = readDeferredRows(cfg, level);
+        const byReason = {};
+        for (const row of rows) byReason[row.reason || "unknown"] = (byReason[row.reason || "unknown"] || 0) + 1;
+        deferred[String(level)] = { total: rows.length, by_reason: byReason };
+      }
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        budgets: readJsonSafe(cfg.BUDGETS_PATH, null),
+        active: Boolean(loadBudgets(cfg)),
+        deferred,
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // POST /budgets/promote
+  // Body: { domain, level, limit?, prefix?, reason? }
+  // Moves URLs from urls-deferred-level-N.json into urls-level-N.json.
+  r.post("/budgets/promote", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const level = Number(req.body?.level);
+      if (!Number.isFinite(level) || level < 1) {
+        return res.status(400).json({ ok: false, error: "Invalid level" });
+      }
+      const limit = req.body?.limit != null ? Number(req.body.limit) : null;
+      if (limit !== null && (!Number.isFinite(limit) || limit < 1)) {
+        return res.status(400).json({ ok: false, error: "Invalid limit" });
+      }
+
+      return await withDomainLock(cfg, "state", () => {
+        const out = promoteDeferred({
+          cfg,
+          level,
+          limit,
+          prefix: req.body?.prefix ? String(req.body.prefix) : null,
+          reason: req.body?.reason ? String(req.body.reason) : null,
+        });
+
+        appendJsonl(cfg.LOG_DEDUPE, {
+          ts: new Date().toISOString(),
+          kind: "budget_promote",
+          level,
+          promoted: out.promoted.length,
+          remaining_deferred: out.remaining_deferred,
+        });
+        logEvent("BUDGET_PROMOTE", {
+          domain_key: cfg.domain_key,
+          level,
+          promoted: out.promoted.length,
+          remaining_deferred: out.remaining_deferred,
+        });
+
+        return res.json({ ok: true, domain_key: cfg.domain_key, level, ...out });
+      });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+module.exports = { makeBudgetsRouter };
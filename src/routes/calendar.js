@@ -0,0 +1,61 @@
+const express = require("express");
+
+const { cfgForReq } = require("../lib/domain");
+const { readJsonSafe, writeJson } = require("../lib/fsx");
+const { withDomainLock } = require("../lib/lock");
+const { logEvent } = require("../lib/logger");
+const { KINDS, validateCalendar, mergeCalendars } = require("../lib/calendar");
+const { loadRoutingProfile } = require("../lib/routing_rules");
+
+function makeCalendarRouter(baseCfg) {
+  const r = express.Router();
+
+  // GET /meta/calendar?domain=...
+  // The domain's calendar.json and the effective calendar routing uses
+  // (the routing profile's built-in calendar with calendar.json merged over it).
+  r.get("/meta/calendar", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        calendar_json: readJsonSafe(cfg.CALENDAR_PATH, null),
+        calendar: loadRoutingProfile(cfg).calendar,
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // POST /meta/calendar
+  // Body: { domain, general_elections?, by_elections?, referendums?, replace? }
+  // Entries are upserted into calendar.json (same date / slug replaces);
+  // replace: true writes the given lists as the whole file.
+  r.post("/meta/calendar", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const b = req.body || {};
+      const doc = {};
+      for (const kind of KINDS) if (b[kind] !== undefined) doc[kind] = b[kind];
+      if (!Object.keys(doc).length && !b.replace) {
+        return res.status(400).json({ ok: false, error: `Expected one of ${KINDS.join(", ")}` });
+      }
+      const errors = validateCalendar(doc);
+      if (errors.length) return res.status(400).json({ ok: false, error: "Invalid calendar", errors });
+
+      return await withDomainLock(cfg, "index", () => {
+        const next = b.replace ? mergeCalendars(doc) : mergeCalendars(readJsonSafe(cfg.CALENDAR_PATH, {}) || {}, doc);
+        writeJson(cfg.CALENDAR_PATH, next);
+        const counts = Object.fromEntries(KINDS.map((k) => [k, next[k].length]));
+        logEvent("CALENDAR_UPDATED", { domain_key: cfg.domain_key, replace: Boolean(b.replace), ...counts });
+        return res.json({ ok: true, domain_key: cfg.domain_key, counts, calendar: loadRoutingProfile(cfg).calendar });
+      });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+module.exports = { makeCalendarRouter };
@@ -7,7 +7,13 @@ const { loadState, saveState, computeSeenUpTo, reconcileStateFromArtifacts } = r
 const { appendJsonl } = require("../lib/jsonl");
 const { writeUrlArtifact, writeFileArtifact, writeRowListArtifact } = require("../lib/artifacts");
 const { cfgForReq } = require("../lib/domain");
+const { withDomainLock } = require("../lib/lock");
 const { logEvent } = require("../lib/logger");
+const { loadScope, scopeRejectReason, applyScope } = require("../lib/scope");
+const { applyBudgets, deferredUrlsUpTo } = require("../lib/budgets");
+const { edgesFromRows, recordEdges } = require("../lib/graph");
+const { fingerprintsFromRows, recordPageFingerprints } = require("../lib/fingerprints");
+const { aliasPairsFromRows, recordAliases, loadAliasMap } = require("../lib/aliases");
 
 function readUrlArtifactList(p) {
   const raw = readJsonSafe(p, null);
@@ -58,7 +64,7 @@ function makeDedupeRouter(baseCfg) {
   //
   // NOTE: This clears state.json only. Artifacts can be regenerated by re-running
   //       the relevant level/parts. Keeping artifacts intact can help debugging.
-  r.post("/dedupe/reset-level", (req, res) => {
+  r.post("/dedupe/reset-level", async (req, res) => {
     try {
       const cfg = cfgForReq(baseCfg, req);
       const level = Number(req.body?.level);
@@ -66,6 +72,8 @@ function makeDedupeRouter(baseCfg) {
         return res.status(400).json({ ok: false, error: "Invalid level" });
       }
 
+      // ---- Serialize RMW state updates ----
+      return await withDomainLock(cfg, "state", () => {
       const cascade = Boolean(req.body?.cascade);
       // Self-aware state: treat state.json as a cache; reconcile from artifacts
       // so reruns and past buggy runs can't permanently pollute cumulative totals.
@@ -104,12 +112,13 @@ function makeDedupeRouter(baseCfg) {
       });
 
       return res.json({ ok: true, level, cascade, cleared_levels: cleared.sort((a, b) => a - b) });
+      });
     } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
   });
 
-  r.post("/dedupe/level", (req, res) => {
+  r.post("/dedupe/level", async (req, res) => {
     try {
       const cfg = cfgForReq(baseCfg, req);
       const level = Number(req.body?.level);
@@ -117,18 +126,25 @@ function makeDedupeRouter(baseCfg) {
         return res.status(400).json({ ok: false, error: "Invalid level" });
       }
 
+      // ---- Serialize RMW state updates ----
+      return await withDomainLock(cfg, ["state", "aliases"], () => {
+      // Redirects reported on visited rows become aliases; aliases collapse onto final URLs.
+      recordAliases(cfg, aliasPairsFromRows(req.body?.visited));
+      const aliases = loadAliasMap(cfg);
+
       const extractUrlArray = (raw) =>
         stableUniqUrls(
           (Array.isArray(raw) ? raw : [])
             .map((r) => (typeof r === "string" ? r : r?.url))
-            .filter(Boolean)
+            .filter(Boolean),
+          aliases
         );
 
       const visited = extractUrlArray(req.body?.visited || []);
       const pages = extractUrlArray(req.body?.pages || []);
 
       const inFiles = Array.isArray(req.body?.files) ? req.body.files : [];
-      const filesMerged = mergeFilesPreferSource(inFiles);
+      const filesMerged = mergeFilesPreferSource(inFiles, aliases);
 
       let st = loadState(cfg.STATE_PATH);
       st = reconcileStateFromArtifacts(cfg, st, { maxLevel: level + 1 });
@@ -140,25 +156,41 @@ function makeDedupeRouter(baseCfg) {
       const prevPages = Array.isArray(prev?.pages) ? prev.pages : [];
       const prevFiles = Array.isArray(prev?.files) ? prev.files : [];
 
-      const visitedMerged = prev ? stableUniqUrls([...prevVisited, ...visited]) : visited;
-      const pagesMerged = prev ? stableUniqUrls([...prevPages, ...pages]) : pages;
-      const filesMergedAll = prev ? mergeFilesPreferSource([...prevFiles, ...filesMerged]) : filesMerged;
+      const visitedMerged = prev ? stableUniqUrls([...prevVisited, ...visited], aliases) : visited;
+      const pagesMerged = prev ? stableUniqUrls([...prevPages, ...pages], aliases) : pages;
+      const filesMergedAll = prev ? mergeFilesPreferSource([...prevFiles, ...filesMerged], aliases) : filesMerged;
 
       st.levels[String(level)] = { visited: visitedMerged, pages: pagesMerged, files: filesMergedAll };
       saveState(cfg.STATE_PATH, st);
 
-      const { seenPages: seenPagesBefore, seenFiles: seenFilesBefore } = computeSeenUpTo(st, level - 1);
-      const seenForNextPages = new Set([...seenPagesBefore, ...visitedMerged]);
+      const graphInfo = recordEdges({
+        cfg,
+        level,
+        edges: edgesFromRows({ visited: req.body?.visited, pages: req.body?.pages, files: inFiles }),
+        replace,
+      });
+      const fpInfo = recordPageFingerprints({ cfg, level, fingerprints: fingerprintsFromRows(req.body?.visited), reset: replace });
 
-      const nextPages = pagesMerged.filter((u) => !seenForNextPages.has(u));
+      const { seenPages: seenPagesBefore, seenFiles: seenFilesBefore } = computeSeenUpTo(st, level - 1, aliases);
+      const seenForNextPages = new Set([...seenPagesBefore, ...visitedMerged, ...stableUniqUrls(deferredUrlsUpTo(cfg, level), aliases)]);
+
+      const nextPagesAll = pagesMerged.filter((u) => !seenForNextPages.has(u));
       const filesOut = filesMergedAll.filter((f) => !seenFilesBefore.has(f.url));
 
-      const filesForArtifact = filesOut.map((f) => ({
+      const filesForArtifactAll = filesOut.map((f) => ({
         url: f.url,
         ext: (f.ext || extFromUrl(f.url) || "bin").toLowerCase(),
         source_page_url: f.source_page_url || null,
       }));
 
+      // Per-domain scope (scope.json): out-of-scope URLs never enter the frontier.
+      const scope = loadScope(cfg);
+      const scoped = applyScope({ cfg, level, pages: nextPagesAll, files: filesForArtifactAll, scope });
+      // Crawl budgets (budgets.json): overflow goes to urls-deferred-level-(L+1).json.
+      const budgeted = applyBudgets({ cfg, level, pages: scoped.pages });
+      const nextPages = budgeted.pages;
+      const filesForArtifact = scoped.files;
+
       const nextLevel = level + 1;
       const nextUrlsPath = path.join(cfg.ARTIFACT_DIR, `urls-level-${nextLevel}.json`);
       const filesPath = path.join(cfg.ARTIFACT_DIR, `files-level-${level}.json`);
@@ -209,8 +241,12 @@ function makeDedupeRouter(baseCfg) {
       if (doUpdateDiff) {
         ensureDir(cfg.ARTIFACT_DIR);
 
-        const oldUrls = readUrlArtifactList(nextUrlsPath);
-        const oldFiles = readFileArtifactList(filesPath);
+        // Rows written before scope.json existed (or changed) are dropped here,
+        // so they show up in the removed artifacts instead of being patched back in.
+        // The same goes for rows now deferred by budgets.json.
+        const oldUrls = readUrlArtifactList(nextUrlsPath)
+          .filter((u) => !scopeRejectReason(scope, u) && !budgeted.deferredSet.has(u));
+        const oldFiles = readFileArtifactList(filesPath).filter((f) => !scopeRejectReason(scope, f.url));
 
         const { added: addedUrls, removed: removedUrls } = diffByUrl(oldUrls, nextPages);
         const { added: addedFiles, removed: removedFiles } = diffByUrl(oldFiles, filesForArtifact);
@@ -303,7 +339,7 @@ function makeDedupeRouter(baseCfg) {
             .map((u) => (typeof u === "string" ? u : u?.url))
             .filter(Boolean);
 
-          let patchedUrls = stableUniqUrls([...(oldUrls || []), ...addedUrlStrings]);
+          let patchedUrls = stableUniqUrls([...(oldUrls || []), ...addedUrlStrings], aliases);
           if (pruneDuringPatch) {
             const removedSet = new Set(
               removedUrls
@@ -320,7 +356,7 @@ function makeDedupeRouter(baseCfg) {
             .filter((f) => f && f.url);
           const oldFileObjs = (oldFiles || []).map((f) => (typeof f === "string" ? { url: f } : f));
 
-          let patchedFiles = mergeFilesPreferSource([...oldFileObjs, ...addedFileObjs]);
+          let patchedFiles = mergeFilesPreferSource([...oldFileObjs, ...addedFileObjs], aliases);
           if (pruneDuringPatch) {
             const removedFileSet = new Set((removedFiles || []).map((f) => f?.url).filter(Boolean));
             patchedFiles = patchedFiles.filter((f) => !removedFileSet.has(f.url));
@@ -346,6 +382,8 @@ function makeDedupeRouter(baseCfg) {
         pages_in: pages.length,
         next_pages: finalNextPages.length,
         files_out: finalFilesForArtifact.length,
+        out_of_scope: scoped.rejected.length,
+        deferred: budgeted.deferred.length,
         update: doUpdateDiff ? true : false,
         wrote_next_urls: nextUrlsPath,
         wrote_files: filesPath,
@@ -365,6 +403,8 @@ function makeDedupeRouter(baseCfg) {
         urls_removed,
         files_added,
         files_removed,
+        out_of_scope: scoped.rejected.length,
+        deferred: budgeted.deferred.length,
       });
 
       res.json({
@@ -375,6 +415,13 @@ function makeDedupeRouter(baseCfg) {
         wrote_files: filesOut.length,
         next_urls_path: finalNextPages.length ? nextUrlsPath : null,
         files_path: filesOut.length ? filesPath : null,
+        out_of_scope: scoped.rejected.length,
+        out_of_scope_path: scoped.path,
+        deferred: budgeted.deferred.length,
+        deferred_path: budgeted.path,
+        graph_edges_path: graphInfo.path,
+        pages_changed: fpInfo.changed,
+        pages_changed_path: fpInfo.path,
         update: doUpdateDiff
           ? {
               urls_added,
@@ -390,8 +437,9 @@ function makeDedupeRouter(baseCfg) {
             }
           : null,
       });
+      });
     } catch (e) {
-      res.status(500).json({ ok: false, error: String(e?.message || e) });
+      res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
   });
 
@@ -0,0 +1,279 @@
+const express = require("express");
+const crypto = require("crypto");
+
+const { writeJson } = require("../lib/fsx");
+const { appendJsonl } = require("../lib/jsonl");
+const { withDomainLock, runLockResource } = require("../lib/lock");
+const { cfgForReq, domainKeyFromUrl } = require("../lib/domain");
+const { normalizeUrl, extFromUrl } = require("../lib/urlnorm");
+const { loadDiscoverRules, extractLinks, classifyUrl } = require("../lib/extract");
+const { parseRobots, rulesForAgent } = require("../lib/robots");
+const { decodeBody, parseSitemap, recordSitemapEntries, normalizeSitemapLoc } = require("../lib/sitemap");
+const { logEvent } = require("../lib/logger");
+const { safeRunId, runJsonlPath } = require("./runs");
+
+function makeDiscoverRouter(baseCfg) {
+  const r = express.Router();
+
+  // POST /discover/page
+  // Body:
+  //  - url          (required) the URL Postman requested (becomes visited + source_page_url)
+  //  - final_url    (optional) URL after redirects; used to resolve relative links
+  //  - status       (optional) HTTP status of the final response
+  //  - html         (required) raw response body (its SHA-256 becomes the page fingerprint)
+  //  - level        (required)
+  //  - run_id       (required) streaming run bucket to append to
+  //  - append       (optional, default true) set false to only return the extraction
+  //
+  // Extracted links are appended to the same JSONL bucket that /runs/append/urls
+  // writes, so /runs/finalize/urls (or auto-finalize) produces the usual artifacts.
+  r.post("/discover/page", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const body = req.body || {};
+      const url = body.url ? String(body.url) : null;
+      const finalUrl = body.final_url ? String(body.final_url) : null;
+      const status = body.status != null && body.status !== "" ? Number(body.status) : null;
+      const html = typeof body.html === "string" ? body.html : null;
+      const level = Number(body.level);
+      const doAppend = body.append !== false;
+
+      if (!url) return res.status(400).json({ ok: false, error: "Missing url" });
+      if (html === null) return res.status(400).json({ ok: false, error: "Missing html" });
+      if (!Number.isFinite(level) || level < 1) {
+        return res.status(400).json({ ok: false, error: "Invalid level" });
+      }
+      if (doAppend && !body.run_id) {
+        return res.status(400).json({ ok: false, error: "Missing run_id" });
+      }
+      const run_id = safeRunId(body.run_id);
+
+      // Error pages still count as visited (so they are not re-queued forever),
+      // but their links are not trusted.
+      const okStatus = status === null || (status >= 200 && status < 400);
+      const rules = loadDiscoverRules(cfg);
+      const extracted = okStatus
+        ? extractLinks({ html, pageUrl: url, finalUrl, rules })
+        : { pages: [], files: [], skipped: {} };
+
+      const visitedRow = { url: normalizeUrl(url), sha256: crypto.createHash("sha256").update(html).digest("hex") };
+      if (finalUrl) visitedRow.final_url = finalUrl;
+      if (status !== null) visitedRow.status = status;
+
+      const payload = {
+        ts: new Date().toISOString(),
+        level,
+        run_id,
+        source: "discover-page",
+        visited: [visitedRow],
+        // source_page_url on page rows feeds the link graph (page -> page edges).
+        pages: extracted.pages.map((pg) => ({ ...pg, source_page_url: visitedRow.url })),
+        files: extracted.files,
+      };
+
+      const result = {
+        ok: true,
+        level,
+        run_id,
+        url: visitedRow.url,
+        status,
+        appended: doAppend,
+        pages: extracted.pages.length,
+        files: extracted.files.length,
+        skipped: extracted.skipped,
+      };
+
+      if (!doAppend) {
+        return res.json({ ...result, extracted: { pages: extracted.pages, files: extracted.files } });
+      }
+
+      return await withDomainLock(cfg, runLockResource(level, run_id), () => {
+        const p = runJsonlPath(cfg, level, run_id);
+        appendJsonl(p, payload);
+        logEvent("DISCOVER_PAGE", {
+          domain_key: cfg.domain_key,
+          level,
+          run_id,
+          url: visitedRow.url,
+          status: status ?? undefined,
+          pages: payload.pages.length,
+          files: payload.files.length,
+          jsonl: p,
+        });
+        return res.json(result);
+      });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // POST /discover/robots
+  // Body:
+  //  - url          (required) robots.txt URL (e.g. https://www.example.com/robots.txt)
+  //  - body         (required) robots.txt text (or body_base64)
+  //  - user_agent   (optional) agent to report effective rules for (default "*")
+  //
+  // Stores the parsed rules in _meta/<domain>/robots.json and returns the
+  // Sitemap: URLs it lists, so Postman can fetch them and POST /discover/sitemap.
+  // Rules are only enforced when scope.json sets "honour_robots".
+  r.post("/discover/robots", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const body = req.body || {};
+      const url = body.url ? String(body.url) : null;
+      if (!url) return res.status(400).json({ ok: false, error: "Missing url" });
+
+      let text;
+      try {
+        text = decodeBody({ text: body.body ?? body.text, base64: body.body_base64 });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: `Cannot decode body: ${String(e?.message || e)}` });
+      }
+      if (text === null) return res.status(400).json({ ok: false, error: "Missing body" });
+
+      const parsed = parseRobots(text);
+      const rec = {
+        url: normalizeUrl(url),
+        fetched_ts: new Date().toISOString(),
+        sha256: crypto.createHash("sha256").update(text).digest("hex"),
+        sitemaps: parsed.sitemaps,
+        groups: parsed.groups,
+      };
+      writeJson(cfg.ROBOTS_PATH, rec);
+      logEvent("DISCOVER_ROBOTS", {
+        domain_key: cfg.domain_key,
+        url: rec.url,
+        groups: parsed.groups.length,
+        sitemaps: parsed.sitemaps.length,
+      });
+
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        url: rec.url,
+        groups: parsed.groups.length,
+        sitemaps: parsed.sitemaps,
+        rules: rulesForAgent(parsed, body.user_agent || "*"),
+        wrote: cfg.ROBOTS_PATH,
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // POST /discover/sitemap
+  // Body:
+  //  - url          (required) sitemap URL
+  //  - body         sitemap XML / text, or
+  //  - body_base64  raw bytes (gzipped .xml.gz is detected and inflated)
+  //  - level        (required) sitemap URLs join the frontier of level+1, like links found at level
+  //  - run_id       (required when appending) streaming run bucket to append to
+  //  - append       (optional, default true) set false to only return the parsed entries
+  //
+  // <urlset>: entries are classified into pages/files and appended to the run
+  //   bucket tagged source:"sitemap"; lastmod values are tracked in
+  //   sitemap_index.json and reported in sitemap-urls-level-L.json.
+  // <sitemapindex>: nothing is appended; the child sitemaps are returned for
+  //   Postman to fetch next.
+  r.post("/discover/sitemap", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const body = req.body || {};
+      const url = body.url ? normalizeUrl(String(body.url)) : null;
+      const level = Number(body.level);
+      const doAppend = body.append !== false;
+
+      if (!url) return res.status(400).json({ ok: false, error: "Missing url" });
+      if (!Number.isFinite(level) || level < 1) {
+        return res.status(400).json({ ok: false, error: "Invalid level" });
+      }
+      if (doAppend && !body.run_id) {
+        return res.status(400).json({ ok: false, error: "Missing run_id" });
+      }
+      const run_id = safeRunId(body.run_id);
+
+      let text;
+      try {
+        text = decodeBody({ text: body.body ?? body.text, base64: body.body_base64 });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: `Cannot decode body: ${String(e?.message || e)}` });
+      }
+      if (text === null) return res.status(400).json({ ok: false, error: "Missing body" });
+
+      const parsed = parseSitemap(text);
+
+      if (parsed.type === "sitemapindex") {
+        const sitemaps = parsed.entries
+          .map((e) => ({ url: normalizeSitemapLoc(e.loc), lastmod: e.lastmod }))
+          .filter((e) => e.url);
+        return res.json({ ok: true, domain_key: cfg.domain_key, url, type: parsed.type, level, appended: false, sitemaps });
+      }
+
+      const rules = loadDiscoverRules(cfg);
+      const pages = [];
+      const files = [];
+      const rows = [];
+      const skipped = { unresolvable: 0, other_origin: 0, junk: 0, duplicate: 0 };
+      const seen = new Set();
+
+      for (const e of parsed.entries) {
+        const u = normalizeSitemapLoc(e.loc);
+        if (!u) { skipped.unresolvable++; continue; }
+        if (seen.has(u)) { skipped.duplicate++; continue; }
+        seen.add(u);
+        if (!rules.allowOtherOrigins && domainKeyFromUrl(u) !== cfg.domain_key) { skipped.other_origin++; continue; }
+
+        const type = classifyUrl(u, rules);
+        if (type === "junk") { skipped.junk++; continue; }
+        if (type === "file") files.push({ url: u, ext: extFromUrl(u), source_page_url: url, source: "sitemap", lastmod: e.lastmod });
+        else pages.push({ url: u, source: "sitemap", lastmod: e.lastmod });
+        rows.push({ url: u, type, lastmod: e.lastmod, changefreq: e.changefreq, priority: e.priority });
+      }
+
+      const result = {
+        ok: true,
+        domain_key: cfg.domain_key,
+        url,
+        type: parsed.type,
+        level,
+        run_id,
+        appended: doAppend,
+        pages: pages.length,
+        files: files.length,
+        skipped,
+      };
+
+      if (!doAppend) {
+        return res.json({ ...result, extracted: { pages, files } });
+      }
+
+      return await withDomainLock(cfg, [runLockResource(level, run_id), "sitemap"], () => {
+        const p = runJsonlPath(cfg, level, run_id);
+        appendJsonl(p, { ts: new Date().toISOString(), level, run_id, source: "sitemap", sitemap_url: url, visited: [], pages, files });
+        const lm = recordSitemapEntries({ cfg, level, sitemapUrl: url, rows });
+        logEvent("DISCOVER_SITEMAP", {
+          domain_key: cfg.domain_key,
+          level,
+          run_id,
+          url,
+          pages: pages.length,
+          files: files.length,
+          lastmod_changed: lm.lastmod_changed,
+          jsonl: p,
+        });
+        return res.json({
+          ...result,
+          new_urls: lm.new_urls,
+          lastmod_changed: lm.lastmod_changed,
+          wrote: { jsonl: p, sitemap_urls: lm.path },
+        });
+      });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+module.exports = { makeDiscoverRouter };
@@ -1,43 +1,104 @@
 const express = require("express");
 const { appendJsonl } = require("../lib/jsonl");
-const { cleanElectorateName, loadElectoratesMeta, saveElectoratesMeta } = require("../lib/electorates");
+const {
+  loadElectoratesMeta,
+  saveElectoratesMeta,
+  setTermElectorates,
+  termElectorateVersions,
+  resolveTermElectorates,
+  diffElectorates,
+} = require("../lib/electorates");
+const { parseElectorateIndex } = require("../lib/electorate_index");
 const { cfgForReq } = require("../lib/domain");
+const { withDomainLock } = require("../lib/lock");
+
+function truthy(v) {
+  return [true, 1, "1", "true"].includes(v);
+}
+
+// 400 for a list that failed the ingest checks (lib/electorates.js checkTermElectorates).
+function rejected(res, out) {
+  return res.status(400).json({
+    ok: false,
+    error: `Electorate list for ${out.termKey} failed validation (pass force: true to store it anyway)`,
+    termKey: out.termKey,
+    count: out.count,
+    issues: out.issues,
+  });
+}
 
 function makeElectoratesRouter(baseCfg) {
   const r = express.Router();
 
-  r.post("/meta/electorates", (req, res) => {
-    const cfg = cfgForReq(baseCfg, req);
-    const { termKey, official_order, alphabetical_order } = req.body || {};
-    if (!termKey || !official_order || !alphabetical_order) {
-      return res.status(400).json({ ok: false, error: "Expected { termKey, official_order, alphabetical_order }" });
-    }
-
-    const meta = loadElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH);
+  // POST /meta/electorates
+  // Body: { domain, termKey, official_order, alphabetical_order, force? }
+  // The list is checked (gaps, duplicates, short list, HTML residue) and stored
+  // as a new version of the term; with issues it is rejected unless force.
+  // Version numbering reads the history, so the write holds the "electorates" lock.
+  r.post("/meta/electorates", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const { termKey, official_order, alphabetical_order } = req.body || {};
+      if (!termKey || !official_order || !alphabetical_order) {
+        return res.status(400).json({ ok: false, error: "Expected { termKey, official_order, alphabetical_order }" });
+      }
 
-    const cleanedOfficial = {};
-    for (const [num, name] of Object.entries(official_order)) {
-      const n = Number(num);
-      if (!Number.isFinite(n) || n <= 0 || !Number.isInteger(n)) continue;
-      const clean = cleanElectorateName(name);
-      if (clean) cleanedOfficial[String(n)] = clean;
+      const out = await withDomainLock(cfg, "electorates", () =>
+        setTermElectorates(cfg, termKey, official_order, { force: truthy(req.body?.force), source: "post" })
+      );
+      if (!out.stored) return rejected(res, out);
+      return res.json({ ok: true, termKey, count: out.count, version: out.version, issues: out.issues });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
+  });
 
-    const names = Object.values(cleanedOfficial);
-    const alpha = [...names].sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
-    const rebuiltAlpha = {};
-    alpha.forEach((nm, i) => (rebuiltAlpha[nm] = i + 1));
-
-    meta[termKey] = { official_order: cleanedOfficial, alphabetical_order: rebuiltAlpha };
-    saveElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH, meta);
+  // POST /meta/electorates/parse
+  // Body: { domain, url, html, termKey?, format?, dry_run?, force? }
+  // Parses an electorate index page (electorateindex.html, electorate-status.html,
+  // 1999 e9_partVIII.html, 1996 pollingplaces.html; see lib/electorate_index.js)
+  // and stores its numbered list like POST /meta/electorates. dry_run: parse and check only.
+  r.post("/meta/electorates/parse", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const { url, html, termKey, format } = req.body || {};
+      if (!html || typeof html !== "string") return res.status(400).json({ ok: false, error: "Expected { url, html }" });
 
-    appendJsonl(cfg.LOG_ELECTORATES_INGEST, {
-      ts: new Date().toISOString(),
-      termKey,
-      count: Object.keys(cleanedOfficial).length,
-    });
+      let parsed;
+      try {
+        parsed = parseElectorateIndex(html, { url: url ? String(url) : null, termKey: termKey ? String(termKey) : null, format: format || null });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: String(e?.message || e) });
+      }
+      if (!parsed.count) {
+        return res.status(400).json({ ok: false, error: `No electorates parsed (${parsed.format})`, termKey: parsed.termKey, format: parsed.format });
+      }
 
-    res.json({ ok: true, termKey, count: Object.keys(cleanedOfficial).length });
+      const dryRun = truthy(req.body?.dry_run);
+      const out = await withDomainLock(cfg, "electorates", () =>
+        setTermElectorates(cfg, parsed.termKey, parsed.official_order, {
+          dryRun,
+          force: truthy(req.body?.force),
+          source: "parse",
+          url: url || null,
+          format: parsed.format,
+        })
+      );
+      if (!dryRun && !out.stored) return rejected(res, out);
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        dry_run: dryRun,
+        termKey: parsed.termKey,
+        format: parsed.format,
+        count: out.count,
+        version: out.version,
+        issues: out.issues,
+        official_order: out.official_order,
+      });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
   });
 
   r.get("/meta/electorates", (req, res) => {
@@ -45,11 +106,57 @@ function makeElectoratesRouter(baseCfg) {
     res.json(loadElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH));
   });
 
-  r.post("/meta/electorates/reset", (req, res) => {
-    const cfg = cfgForReq(baseCfg, req);
-    saveElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH, {});
-    appendJsonl(cfg.LOG_ELECTORATES_INGEST, { ts: new Date().toISOString(), action: "reset" });
-    res.json({ ok: true });
+  // GET /meta/electorates/history?termKey=...
+  // Accepted versions of a term (oldest first), without their lists.
+  r.get("/meta/electorates/history", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const termKey = req.query?.termKey ? String(req.query.termKey) : null;
+      if (!termKey) return res.status(400).json({ ok: false, error: "Expected termKey" });
+      const versions = termElectorateVersions(cfg, termKey).map(({ official_order, payload, ...v }) => v);
+      return res.json({ ok: true, domain_key: cfg.domain_key, termKey, count: versions.length, versions });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // GET /meta/electorates/diff?from=term_52_(2017)&to=term_53_(2020)
+  // Renamed / added / removed / renumbered electorates between two terms, or two
+  // versions of one term (term_53_(2020)@2; plain termKey = current list).
+  r.get("/meta/electorates/diff", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const { from, to } = req.query || {};
+      if (!from || !to) return res.status(400).json({ ok: false, error: "Expected from and to (termKey or termKey@version)" });
+      const a = resolveTermElectorates(cfg, String(from));
+      const b = resolveTermElectorates(cfg, String(to));
+      if (!a || !b) return res.status(400).json({ ok: false, error: `Unknown term or version: ${!a ? from : to}` });
+
+      const diff = diffElectorates(a.official_order, b.official_order);
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        from: { termKey: a.termKey, version: a.version, count: Object.keys(a.official_order).length },
+        to: { termKey: b.termKey, version: b.version, count: Object.keys(b.official_order).length },
+        changes: diff.renamed.length + diff.added.length + diff.removed.length + diff.renumbered.length,
+        ...diff,
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  r.post("/meta/electorates/reset", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      await withDomainLock(cfg, "electorates", () => {
+        saveElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH, {});
+        appendJsonl(cfg.LOG_ELECTORATES_INGEST, { ts: new Date().toISOString(), action: "reset" });
+      });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
   });
 
   return r;
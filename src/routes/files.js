@@ -0,0 +1,84 @@
+const fs = require("fs");
+const express = require("express");
+
+const { cfgForReq } = require("../lib/domain");
+const { readJsonSafe } = require("../lib/fsx");
+const { loadAliasMap } = require("../lib/aliases");
+const { normalizeUrl, applyAlias } = require("../lib/urlnorm");
+const { loadUrlIndex, urlEntry, describeHistory } = require("../lib/url_index");
+const { extractArchive } = require("../lib/ingest");
+const { toAbsolute } = require("../lib/paths");
+
+function makeFilesRouter(baseCfg) {
+  const r = express.Router();
+
+  // GET /files/history?url=<file url>[&domain=...]
+  //   -> revisions of that URL, newest first:
+  //      [{ rev, sha256, bytes, first_seen_ts, last_seen_ts, probe_signature, saved_to, current }]
+  // Aliases collapse onto the final URL. URLs saved before url_index.json
+  // existed are answered from the hash index (derived: true).
+  r.get("/files/history", (req, res) => {
+    try {
+      if (!req.query?.url) return res.status(400).json({ ok: false, error: "Missing url" });
+      const cfg = cfgForReq(baseCfg, req);
+      const requested = normalizeUrl(String(req.query.url));
+      const url = applyAlias(loadAliasMap(cfg), requested);
+
+      const urlIdx = loadUrlIndex(cfg);
+      const hashIdx = readJsonSafe(cfg.DOWNLOADED_HASH_INDEX_PATH, {});
+      const entry = urlEntry(urlIdx, hashIdx, url);
+      if (!entry) return res.status(400).json({ ok: false, error: `No downloads recorded for url: ${url}` });
+
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        requested_url: requested !== url ? requested : undefined,
+        derived: !urlIdx[url] || undefined,
+        ...describeHistory(entry, hashIdx),
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // POST /files/extract { sha256 | url, domain?, bfs_level? }
+  //   Extract (or re-extract) an already-downloaded .zip and ingest its members,
+  //   e.g. archives saved before ZIP_EXTRACT_ENABLED was turned on. A url picks
+  //   its current revision. bfs_level defaults to the archive's latest source level.
+  r.post("/files/extract", async (req, res) => {
+    try {
+      const b = req.body || {};
+      if (!b.sha256 && !b.url) return res.status(400).json({ ok: false, error: "Missing sha256 or url" });
+      const cfg = cfgForReq(baseCfg, req);
+      const hashIdx = readJsonSafe(cfg.DOWNLOADED_HASH_INDEX_PATH, {});
+
+      let sha256 = b.sha256 ? String(b.sha256).toLowerCase() : null;
+      if (!sha256) {
+        const url = applyAlias(loadAliasMap(cfg), normalizeUrl(String(b.url)));
+        sha256 = urlEntry(loadUrlIndex(cfg), hashIdx, url)?.current_sha256 || null;
+      }
+      const rec = sha256 ? hashIdx[sha256] : null;
+      if (!rec?.saved_to) return res.status(400).json({ ok: false, error: "No downloaded file for that sha256/url" });
+      if (!fs.existsSync(toAbsolute(rec.saved_to))) return res.status(400).json({ ok: false, error: `File missing on disk: ${rec.saved_to}` });
+      if (!/\.zip$/i.test(rec.saved_to) && rec.ext !== "zip") return res.status(400).json({ ok: false, error: `Not a .zip: ${rec.saved_to}` });
+
+      const sources = (rec.sources || []).filter((s) => s?.url);
+      const src = sources[sources.length - 1] || null;
+      if (!src) return res.status(400).json({ ok: false, error: "Archive has no source url" });
+      const bfs_level = b.bfs_level != null && b.bfs_level !== "" ? Number(b.bfs_level) : Number(src.level);
+      if (!Number.isFinite(bfs_level) || bfs_level < 1) return res.status(400).json({ ok: false, error: "Missing/invalid bfs_level" });
+
+      const archive = await extractArchive({
+        cfg,
+        archive: { sha256, saved_to: rec.saved_to, url: src.url, source_page_url: src.source_page_url || null, bfs_level },
+      });
+      return res.json({ ok: true, domain_key: cfg.domain_key, sha256, saved_to: rec.saved_to, archive });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+module.exports = { makeFilesRouter };
@@ -0,0 +1,69 @@
+const express = require("express");
+
+const { cfgForReq } = require("../lib/domain");
+const { loadGraph, shortestPath, toDot, toGraphml } = require("../lib/graph");
+
+function makeGraphRouter(baseCfg) {
+  const r = express.Router();
+
+  // GET /graph?domain=...&format=json|dot|graphml[&level=L][&path_to=<url>]
+  //
+  // - format: export format for the whole graph (default json)
+  // - level:  only edges recorded while deduping/finalizing level L
+  // - path_to: instead of the graph, return the shortest path from a crawl
+  //            root (urls-level-1.json) to that page/file URL
+  r.get("/graph", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const format = String(req.query?.format || "json").toLowerCase();
+      const level = req.query?.level != null && req.query.level !== "" ? Number(req.query.level) : null;
+      if (level !== null && (!Number.isFinite(level) || level < 1)) {
+        return res.status(400).json({ ok: false, error: "Invalid level" });
+      }
+
+      const graph = loadGraph(cfg, { level });
+
+      if (req.query?.path_to) {
+        const target = String(req.query.path_to);
+        const p = shortestPath(graph, target);
+        return res.json({
+          ok: true,
+          domain_key: cfg.domain_key,
+          target,
+          reachable: Boolean(p),
+          hops: p ? p.length - 1 : null,
+          path: p,
+        });
+      }
+
+      if (format === "dot") {
+        res.type("text/vnd.graphviz");
+        return res.send(toDot(graph, cfg.domain_key));
+      }
+      if (format === "graphml") {
+        res.type("application/xml");
+        return res.send(toGraphml(graph));
+      }
+      if (format !== "json") {
+        return res.status(400).json({ ok: false, error: "Invalid format (json|dot|graphml)" });
+      }
+
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        level,
+        roots: graph.roots,
+        node_count: graph.nodes.length,
+        edge_count: graph.edges.length,
+        nodes: graph.nodes,
+        edges: graph.edges,
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+module.exports = { makeGraphRouter };
@@ -1,5 +1,6 @@
 const express = require("express");
 const { cfgForReq } = require("../lib/domain");
+const { lockStats, readDomainLockfile } = require("../lib/lock");
 
 function makeHealthRouter(baseCfg) {
   const r = express.Router();
@@ -15,6 +16,24 @@ function makeHealthRouter(baseCfg) {
       ARTIFACT_META_FIRST_ROW: cfg.ARTIFACT_META_FIRST_ROW,
     });
   });
+
+  // GET /locks?domain=...
+  // Per-key lock metrics (waiting, held, wait/hold times, timeouts) and, with a
+  // domain, the advisory _meta/<domain>/.writer.lock currently on disk.
+  r.get("/locks", (req, res) => {
+    try {
+      if (!req.query?.domain && !req.query?.domain_key) return res.json({ ok: true, ...lockStats() });
+      const cfg = cfgForReq(baseCfg, req);
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        ...lockStats({ domainKey: cfg.domain_key }),
+        lockfile: readDomainLockfile(cfg.META_DIR, { staleMs: cfg.LOCK_STALE_MS }),
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
   return r;
 }
 
@@ -5,6 +5,7 @@ const { ensureDir, readJsonSafe, writeJson } = require("../lib/fsx");
 const { appendJsonl } = require("../lib/jsonl");
 const { writeRowListArtifact } = require("../lib/artifacts");
 const { cfgForReq } = require("../lib/domain");
+const { withDomainLock } = require("../lib/lock");
 
 function inferExtFromUrl(url) {
   try {
@@ -94,7 +95,7 @@ function makeProbeRouter(baseCfg) {
   //  - appends raw record to jsonl log
   //  - updates cfg.PROBE_META_INDEX_PATH (per-url latest signature)
   //  - emits files-meta-diff-level-L.json when a change is detected (for Postman Runner)
-  r.post("/probe/meta", (req, res) => {
+  r.post("/probe/meta", async (req, res) => {
     try {
       const cfg = cfgForReq(baseCfg, req);
       const body = req.body || {};
@@ -106,6 +107,8 @@ function makeProbeRouter(baseCfg) {
         return res.status(400).json({ ok: false, error: "Invalid level" });
       }
 
+      // ---- Serialize RMW state updates ----
+      return await withDomainLock(cfg, "probe", () => {
       // Persist raw probe record
       appendJsonl(cfg.LOG_META_PROBES, { ts: new Date().toISOString(), ...body, url, level });
 
@@ -198,8 +201,9 @@ function makeProbeRouter(baseCfg) {
       }
 
       return res.json({ ok: true, url, level, changed, diff_path: diffPath });
+      });
     } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
   });
 
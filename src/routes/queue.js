@@ -0,0 +1,114 @@
+const express = require("express");
+
+const { withDomainLock } = require("../lib/lock");
+const { cfgForReq } = require("../lib/domain");
+const { KINDS, leaseRows, settleRows, queueStatus } = require("../lib/queue");
+const { logEvent } = require("../lib/logger");
+
+// Parameters may come from the query string or the JSON body.
+function param(req, k) {
+  const v = req.query?.[k];
+  return v !== undefined && v !== "" ? v : req.body?.[k];
+}
+
+function truthy(v) {
+  return v === true || ["1", "true", "yes"].includes(String(v || "").toLowerCase());
+}
+
+function parseKindLevel(req) {
+  const kind = String(param(req, "kind") || "").toLowerCase();
+  if (!KINDS.includes(kind)) return { error: "Invalid kind (urls|files)" };
+  const level = Number(param(req, "level"));
+  if (!Number.isFinite(level) || level < 1) return { error: "Invalid level" };
+  return { kind, level };
+}
+
+function makeQueueRouter(baseCfg) {
+  const r = express.Router();
+
+  // POST /queue/lease?domain=...&kind=urls|files&level=L&n=50[&lease_ms=600000][&runner=name][&retry_failed=1]
+  // -> { lease_id, expires_ts, rows:[{url, ...}], counts }
+  r.post("/queue/lease", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const kl = parseKindLevel(req);
+      if (kl.error) return res.status(400).json({ ok: false, error: kl.error });
+
+      const n = param(req, "n") != null ? Number(param(req, "n")) : 50;
+      if (!Number.isInteger(n) || n < 1) return res.status(400).json({ ok: false, error: "Invalid n" });
+      const leaseMs = param(req, "lease_ms") != null ? Number(param(req, "lease_ms")) : Number(baseCfg.QUEUE_LEASE_MS || 600000);
+      if (!Number.isFinite(leaseMs) || leaseMs < 1000) return res.status(400).json({ ok: false, error: "Invalid lease_ms" });
+
+      return await withDomainLock(cfg, "queue", () => {
+        const out = leaseRows(cfg, {
+          ...kl,
+          n,
+          leaseMs,
+          runner: param(req, "runner") ? String(param(req, "runner")) : null,
+          retryFailed: truthy(param(req, "retry_failed")),
+        });
+        logEvent("QUEUE_LEASE", { domain_key: cfg.domain_key, ...kl, lease_id: out.lease_id, rows: out.rows.length, ...out.counts });
+        return res.json({ ok: true, domain_key: cfg.domain_key, ...kl, ...out });
+      });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // POST /queue/ack   { domain, kind, level, lease_id, urls? }
+  // POST /queue/nack  { domain, kind, level, lease_id, urls?, reason, retry? }
+  // Without urls the whole lease is settled. nack marks rows failed (retry:true
+  // puts them straight back to pending).
+  const settle = (status) => async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const kl = parseKindLevel(req);
+      if (kl.error) return res.status(400).json({ ok: false, error: kl.error });
+
+      const leaseId = param(req, "lease_id") ? String(param(req, "lease_id")) : null;
+      const urls = Array.isArray(req.body?.urls) ? req.body.urls : null;
+      if (!leaseId && !(urls && urls.length)) {
+        return res.status(400).json({ ok: false, error: "Missing lease_id or urls" });
+      }
+
+      return await withDomainLock(cfg, "queue", () => {
+        const out = settleRows(cfg, {
+          ...kl,
+          leaseId,
+          urls,
+          status,
+          reason: param(req, "reason") || null,
+          retry: truthy(param(req, "retry")),
+        });
+        logEvent(status === "done" ? "QUEUE_ACK" : "QUEUE_NACK", {
+          domain_key: cfg.domain_key,
+          ...kl,
+          lease_id: leaseId,
+          settled: out.settled,
+          ignored: out.ignored.length,
+        });
+        return res.json({ ok: true, domain_key: cfg.domain_key, ...kl, lease_id: leaseId, ...out });
+      });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  };
+  r.post("/queue/ack", settle("done"));
+  r.post("/queue/nack", settle("failed"));
+
+  // GET /queue?domain=...&kind=urls|files&level=L -> counts + failed rows
+  r.get("/queue", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const kl = parseKindLevel(req);
+      if (kl.error) return res.status(400).json({ ok: false, error: kl.error });
+      return res.json({ ok: true, domain_key: cfg.domain_key, ...queueStatus(cfg, kl) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+module.exports = { makeQueueRouter };
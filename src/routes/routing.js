@@ -0,0 +1,179 @@
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+
+const { cfgForReq } = require("../lib/domain");
+const { readJsonSafe, writeJson } = require("../lib/fsx");
+const { withDomainLock } = require("../lib/lock");
+const { logEvent } = require("../lib/logger");
+const { toRelative } = require("../lib/paths");
+const { resolveSavePath } = require("../lib/routing");
+const { loadRoutingProfile, compileProfile, validateRoutingConfig, describeProfile } = require("../lib/routing_rules");
+const { loadElectoratesMeta } = require("../lib/electorates");
+const { loadAliasMap } = require("../lib/aliases");
+const { normalizeUrl, applyAlias } = require("../lib/urlnorm");
+const { REVISIONS_DIR, loadUrlIndex, urlEntry, isRevisionPath } = require("../lib/url_index");
+const { memberRoute, membershipForUrl } = require("../lib/archives");
+
+function truthy(v) {
+  return v === true || ["1", "true", "yes"].includes(String(v || "").toLowerCase());
+}
+
+function makeRoutingRouter(baseCfg) {
+  const r = express.Router();
+
+  // POST /route/preview
+  // Single:  { url, source_page_url?, ext?, filename? }
+  // Batch:   { rows: [url | { url, source_page_url?, ext?, filename? }, ...] }
+  //          { level: L }   (every row of artifacts/files-level-L.json)
+  // Options: trace (default true), only_moved (rows whose current file is in another folder),
+  //          summary (counts per folder, no rows)
+  //
+  // Nothing is written: returns what resolveSavePath() would decide (termKey,
+  // electorate folder, saved_to) plus the trace of routing rules that fired, and
+  // for files already downloaded where the current revision actually is.
+  r.post("/route/preview", (req, res) => {
+    try {
+      const b = req.body || {};
+      const cfg = cfgForReq(baseCfg, req);
+      const withTrace = b.trace === undefined ? true : truthy(b.trace);
+
+      let rows;
+      let batch = true;
+      if (Array.isArray(b.rows)) {
+        rows = b.rows.map((x) => (typeof x === "string" ? { url: x } : x)).filter((x) => x && x.url);
+      } else if (b.level != null && b.level !== "") {
+        const level = Number(b.level);
+        if (!Number.isFinite(level) || level < 1) return res.status(400).json({ ok: false, error: "Invalid level" });
+        const arr = readJsonSafe(path.join(cfg.ARTIFACT_DIR, `files-level-${level}.json`), null);
+        if (!Array.isArray(arr)) return res.status(400).json({ ok: false, error: `No files-level-${level}.json for ${cfg.domain_key}` });
+        // Meta-first artifacts: row 0 is a real row carrying the meta fields too.
+        rows = arr.map((x) => (typeof x === "string" ? { url: x } : x)).filter((x) => x && x.url);
+      } else if (b.url) {
+        rows = [b];
+        batch = false;
+      } else {
+        return res.status(400).json({ ok: false, error: "Expected url, rows or level" });
+      }
+
+      const electoratesByTerm = loadElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH);
+      const routing = loadRoutingProfile(cfg);
+      const aliases = loadAliasMap(cfg);
+      const urlIdx = loadUrlIndex(cfg);
+      const hashIdx = readJsonSafe(cfg.DOWNLOADED_HASH_INDEX_PATH, {});
+
+      const out = rows.map((row) => {
+        const trace = withTrace ? [] : null;
+        const resolved = resolveSavePath({
+          downloadsRoot: cfg.DOWNLOADS_ROOT,
+          url: String(row.url),
+          ext: row.ext || null,
+          source_page_url: row.source_page_url || null,
+          electoratesByTerm,
+          filenameOverride: row.filename || null,
+          routing,
+          trace,
+        });
+        const entry = urlEntry(urlIdx, hashIdx, applyAlias(aliases, normalizeUrl(String(row.url))));
+        const rec = entry ? hashIdx[entry.current_sha256] || null : null;
+        const current = rec?.saved_to || null;
+
+        // Same adjustments as resort: ZIP members stay by their archive unless
+        // routed somewhere more specific, archived revisions stay in _revisions/.
+        const memberOf = rec ? membershipForUrl(rec, String(row.url), hashIdx) : null;
+        const route = memberOf ? memberRoute(resolved, memberOf) : resolved;
+        const savedTo = toRelative(
+          current && isRevisionPath(current)
+            ? path.join(path.dirname(route.outPath), REVISIONS_DIR, path.basename(current))
+            : route.outPath
+        );
+        return {
+          url: String(row.url),
+          rule: route.rule,
+          termKey: route.termKey,
+          electorateFolder: route.electorateFolder || null,
+          kind: route.isByElection ? "by-election" : route.isReferendum ? "referendum" : "file",
+          filename: route.filename,
+          saved_to: savedTo,
+          current_saved_to: current,
+          // Resort keeps file names, so only a different folder counts as a move.
+          moved: Boolean(current && path.dirname(current) !== path.dirname(savedTo)),
+          ...(trace ? { trace } : {}),
+        };
+      });
+
+      if (!batch) return res.json({ ok: true, domain_key: cfg.domain_key, ...out[0] });
+
+      const selected = truthy(b.only_moved) ? out.filter((x) => x.moved) : out;
+      const folders = {};
+      for (const x of selected) {
+        const dir = path.posix.dirname(x.saved_to.split(path.sep).join("/"));
+        folders[dir] = (folders[dir] || 0) + 1;
+      }
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        count: selected.length,
+        total: out.length,
+        moved: out.filter((x) => x.moved).length,
+        folders,
+        ...(truthy(b.summary) ? {} : { rows: selected }),
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // GET /route/rules?domain=...
+  // The effective routing profile (routing.json rules first, then the built-in
+  // profile it extends) and the raw routing.json, if any.
+  r.get("/route/rules", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const doc = readJsonSafe(cfg.ROUTING_PATH, null);
+      const errors = doc ? validateRoutingConfig(doc) : [];
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        routing_json: doc,
+        ...(errors.length ? { errors } : { profile: describeProfile(compileProfile(doc)) }),
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // PUT /route/rules
+  // Body: { domain, routing }  (routing.json document; null removes it)
+  // Validated before it is written; run /resort to move files already saved.
+  r.put("/route/rules", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const doc = req.body?.routing;
+      if (doc === undefined) return res.status(400).json({ ok: false, error: "Expected routing (object or null)" });
+      if (doc !== null) {
+        const errors = validateRoutingConfig(doc);
+        if (errors.length) return res.status(400).json({ ok: false, error: "Invalid routing.json", errors });
+      }
+
+      return await withDomainLock(cfg, "index", () => {
+        if (doc === null) fs.rmSync(cfg.ROUTING_PATH, { force: true });
+        else writeJson(cfg.ROUTING_PATH, doc);
+        const profile = describeProfile(compileProfile(doc));
+        logEvent("ROUTING_RULES_UPDATED", {
+          domain_key: cfg.domain_key,
+          removed: doc === null,
+          rules: doc?.rules?.length || 0,
+          extends: profile.extends,
+        });
+        return res.json({ ok: true, domain_key: cfg.domain_key, routing_json: doc, profile });
+      });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+module.exports = { makeRoutingRouter };
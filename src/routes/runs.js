@@ -5,14 +5,21 @@ const path = require("path");
 const { ensureDir, readJsonSafe, writeJson } = require("../lib/fsx");
 const { appendJsonl } = require("../lib/jsonl");
 const { toAbsolute } = require("../lib/paths");
-const { withLock } = require("../lib/lock");
+const { withDomainLock, runLockResource } = require("../lib/lock");
 const { cfgForReq, domainCfg, ensureDomainFolders } = require("../lib/domain");
-const { stableUniqUrls, extFromUrl } = require("../lib/urlnorm");
+const { stableUniqUrls, extFromUrl, normalizeUrl, applyAlias } = require("../lib/urlnorm");
 const { mergeFilesPreferSource } = require("../lib/dedupe");
 const { loadState, saveState, computeSeenUpTo, reconcileStateFromArtifacts } = require("../lib/state");
-const { writeUrlArtifact, writeFileArtifact, writeUrlsForLevel, writeChunkedUrls } = require("../lib/artifacts");
+const { writeUrlArtifact, writeFileArtifact, writeUrlsForLevel, writeChunkedUrls, urlRowsFromArtifact } = require("../lib/artifacts");
 const { logEvent } = require("../lib/logger");
+const { applyScope } = require("../lib/scope");
+const { applyBudgets, deferredUrlsUpTo } = require("../lib/budgets");
+const { batchSourcePage, edgesFromRows, recordEdges } = require("../lib/graph");
+const { fingerprintsFromRows, recordPageFingerprints } = require("../lib/fingerprints");
+const { aliasPairsFromRows, recordAliases, loadAliasMap } = require("../lib/aliases");
 const { listDomainKeys, listFileLevels, reconcileFilesLevel } = require("../lib/reconcile_files");
+const { listRunBuckets, describeRunBucket, summarizeRunBucket } = require("../lib/run_registry");
+const { parseBatchSeq, isDuplicateBatch, recordBatchSeq, resetLedger, ledgerSummary } = require("../lib/seq_ledger");
 
 const readline = require("readline");
 
@@ -25,9 +32,12 @@ const readline = require("readline");
 //
 // Workflow:
 //  1) POST /runs/start/urls    { level, run_id }
-//  2) POST /runs/append/urls   { level, run_id, visited:[{url}], pages:[{url}], files:[{url,ext,source_page_url}] }
+//  2) POST /runs/append/urls   { level, run_id, visited:[{url,sha256?,final_url?,redirect_chain?}], pages:[{url,source_page_url?}], files:[{url,ext,source_page_url}] }
 //  3) POST /runs/finalize/urls { level, run_id }
 //
+// Appends may carry batch_seq (e.g. pm.info.iteration): retried batches are
+// ignored and gaps are reported by finalize (see lib/seq_ledger.js).
+//
 // The sink stores run events as JSONL and dedupes at finalize time.
 // A coarse global lock serializes appends/finalization to avoid race conditions.
 
@@ -81,13 +91,25 @@ function locateRunJsonlAcrossDomains(baseCfg, level, runId) {
   return best;
 }
 
+// Page metadata from sitemap rows: the first source seen is kept, the latest lastmod wins.
+function mergePageMeta(cur, m) {
+  const source = cur?.source || m?.source;
+  const lastmod = m?.lastmod || cur?.lastmod;
+  return { ...(source ? { source } : {}), ...(lastmod ? { lastmod } : {}) };
+}
+
 async function readDiscoveryJsonl(p) {
-  // Returns { visited:Set, pages:Set, files: Map(url->fileObj) }
+  // Returns { visited:Set, pages:Set, pageMeta: Map(url->{source?,lastmod?}), files: Map(url->fileObj),
+  //           edges:[{from,to,kind}], fingerprints: Map(url->sha256), aliasPairs:[{from,to,status}] }
   const visited = new Set();
   const pages = new Set();
+  const pageMeta = new Map();
   const files = new Map();
+  const edges = [];
+  const fingerprints = new Map();
+  const aliasPairs = [];
 
-  if (!fs.existsSync(p)) return { visited, pages, files };
+  if (!fs.existsSync(p)) return { visited, pages, pageMeta, files, edges, fingerprints, aliasPairs };
 
   const rl = readline.createInterface({
     input: fs.createReadStream(p, { encoding: "utf-8" }),
@@ -111,6 +133,13 @@ async function readDiscoveryJsonl(p) {
 
     addUrls(obj.visited, visited);
     addUrls(obj.pages, pages);
+    for (const pg of Array.isArray(obj.pages) ? obj.pages : []) {
+      if (!pg?.url || (!pg.source && !pg.lastmod)) continue;
+      pageMeta.set(pg.url, mergePageMeta(pageMeta.get(pg.url), pg));
+    }
+    edges.push(...edgesFromRows({ visited: obj.visited, pages: obj.pages, files: obj.files }));
+    fingerprintsFromRows(obj.visited, fingerprints);
+    aliasPairs.push(...aliasPairsFromRows(obj.visited));
 
     if (Array.isArray(obj.files)) {
       for (const f of obj.files) {
@@ -122,21 +151,26 @@ async function readDiscoveryJsonl(p) {
     }
   }
 
-  return { visited, pages, files };
+  return { visited, pages, pageMeta, files, edges, fingerprints, aliasPairs };
 }
 
 // Finalize helper used by both HTTP endpoint and the auto-finalize watchdog.
-// IMPORTANT: Caller should hold withLock() if needed.
-async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, replace = false }) {
+// IMPORTANT: Caller should hold the domain's state, aliases and run-bucket locks (withDomainLock).
+async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, replace = false, expectedLastSeq = null }) {
   ensureDomainFolders(cfg);
 
   const p = jsonlPath || runJsonlPath(cfg, level, run_id);
   const acc = await readDiscoveryJsonl(p);
-  const visited = stableUniqUrls(Array.from(acc.visited));
-  const pages = stableUniqUrls(Array.from(acc.pages));
+
+  // Redirects seen in this run become aliases; aliases collapse onto final URLs.
+  recordAliases(cfg, acc.aliasPairs);
+  const aliases = loadAliasMap(cfg);
+
+  const visited = stableUniqUrls(Array.from(acc.visited), aliases);
+  const pages = stableUniqUrls(Array.from(acc.pages), aliases);
 
   const inFiles = Array.from(acc.files.values());
-  const filesMerged = mergeFilesPreferSource(inFiles);
+  const filesMerged = mergeFilesPreferSource(inFiles, aliases);
 
   // Self-aware state: reconcile from artifacts so we don't rely on a running total.
   let st = loadState(cfg.STATE_PATH);
@@ -158,25 +192,47 @@ async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, re
   const prevPages = Array.isArray(prev?.pages) ? prev.pages : [];
   const prevFiles = Array.isArray(prev?.files) ? prev.files : [];
 
-  const visitedMerged = prev ? stableUniqUrls([...prevVisited, ...visited]) : visited;
-  const pagesMerged = prev ? stableUniqUrls([...prevPages, ...pages]) : pages;
-  const filesMergedAll = prev ? mergeFilesPreferSource([...prevFiles, ...filesMerged]) : filesMerged;
+  const visitedMerged = prev ? stableUniqUrls([...prevVisited, ...visited], aliases) : visited;
+  const pagesMerged = prev ? stableUniqUrls([...prevPages, ...pages], aliases) : pages;
+  const filesMergedAll = prev ? mergeFilesPreferSource([...prevFiles, ...filesMerged], aliases) : filesMerged;
+
+  // source/lastmod of discovered pages (sitemap rows) ride along into urls-level-(L+1).json.
+  const pageMeta = new Map(Object.entries(prev?.page_meta || {}));
+  for (const [u, m] of acc.pageMeta) {
+    const key = applyAlias(aliases, normalizeUrl(u));
+    if (!key) continue;
+    pageMeta.set(key, mergePageMeta(pageMeta.get(key), m));
+  }
+  const pageMetaMerged = Object.fromEntries(pagesMerged.filter((u) => pageMeta.has(u)).map((u) => [u, pageMeta.get(u)]));
 
-  st.levels[String(level)] = { visited: visitedMerged, pages: pagesMerged, files: filesMergedAll };
+  st.levels[String(level)] = { visited: visitedMerged, pages: pagesMerged, page_meta: pageMetaMerged, files: filesMergedAll };
   saveState(cfg.STATE_PATH, st);
 
-  const { seenPages: seenPagesBefore, seenFiles: seenFilesBefore } = computeSeenUpTo(st, level - 1);
-  const seenForNextPages = new Set([...seenPagesBefore, ...visitedMerged]);
+  const graphInfo = recordEdges({ cfg, level, edges: acc.edges, replace });
+  const fpInfo = recordPageFingerprints({ cfg, level, fingerprints: acc.fingerprints, reset: replace });
+
+  const { seenPages: seenPagesBefore, seenFiles: seenFilesBefore } = computeSeenUpTo(st, level - 1, aliases);
+  const seenForNextPages = new Set([...seenPagesBefore, ...visitedMerged, ...stableUniqUrls(deferredUrlsUpTo(cfg, level), aliases)]);
 
-  const nextPages = pagesMerged.filter((u) => !seenForNextPages.has(u));
+  const nextPagesAll = pagesMerged.filter((u) => !seenForNextPages.has(u));
   const filesOut = filesMergedAll.filter((f) => !seenFilesBefore.has(f.url));
 
-  const filesForArtifact = filesOut.map((f) => ({
+  const filesForArtifactAll = filesOut.map((f) => ({
     url: f.url,
     ext: (f.ext || extFromUrl(f.url) || "bin").toLowerCase(),
     source_page_url: f.source_page_url || null,
+    ...(f.source ? { source: f.source } : {}),
+    ...(f.lastmod ? { lastmod: f.lastmod } : {}),
   }));
 
+  // Per-domain scope (scope.json): out-of-scope URLs never enter the frontier.
+  const scoped = applyScope({ cfg, level, pages: nextPagesAll, files: filesForArtifactAll });
+  // Crawl budgets (budgets.json): overflow is deferred, not dropped.
+  const budgeted = applyBudgets({ cfg, level, pages: scoped.pages });
+  const nextPages = budgeted.pages;
+  const nextPageRows = nextPages.map((url) => ({ url, ...pageMetaMerged[url] }));
+  const filesForArtifact = scoped.files;
+
   const nextLevel = level + 1;
   const nextUrlsPath = path.join(cfg.ARTIFACT_DIR, `urls-level-${nextLevel}.json`);
   const filesPath = path.join(cfg.ARTIFACT_DIR, `files-level-${level}.json`);
@@ -189,7 +245,7 @@ async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, re
     jsonl: p,
   });
 
-  writeUrlArtifact({ path: nextUrlsPath, urls: nextPages, nextLevel, metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW });
+  writeUrlArtifact({ path: nextUrlsPath, urls: nextPageRows, nextLevel, metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW });
   writeFileArtifact({ path: filesPath, files: filesForArtifact, level, metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW });
 
   // -------------------------------------------------------------------
@@ -200,7 +256,7 @@ async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, re
   const chunkSize = Number(baseCfg.ARTIFACT_CHUNK_SIZE || 6169);
   const nextChunkInfo = writeChunkedUrls({
     basePath: nextUrlsPath,
-    urls: nextPages,
+    urls: nextPageRows,
     level: nextLevel,
     metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW,
     chunkSize,
@@ -209,20 +265,20 @@ async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, re
   // 2) Produce a remaining list for the *current level* so a crash can be
   //    resumed by crawling only what was not visited.
   //    Prefer the input artifact for this level if present.
-  let inputUrls = [];
+  let inputRows = [];
   try {
     const inPath = path.join(cfg.ARTIFACT_DIR, `urls-level-${level}.json`);
-    const arr = readJsonSafe(inPath, []);
-    if (Array.isArray(arr)) {
-      inputUrls = arr.map((r) => (typeof r === "string" ? r : r?.url)).filter(Boolean);
-    }
+    inputRows = urlRowsFromArtifact(readJsonSafe(inPath, []));
   } catch {}
+  const inputMeta = new Map(inputRows.map(({ url, ...meta }) => [applyAlias(aliases, normalizeUrl(url)), meta]));
 
   // If input artifact isn't available (rare), we can still create remaining
   // by treating the discovered 'visited' set as the whole input.
   const visitedSet = new Set(visitedMerged);
-  const remaining = (inputUrls && inputUrls.length)
-    ? stableUniqUrls(inputUrls).filter((u) => !visitedSet.has(u))
+  const remaining = inputRows.length
+    ? stableUniqUrls(inputRows.map((r) => r.url), aliases)
+      .filter((u) => !visitedSet.has(u))
+      .map((url) => ({ url, ...inputMeta.get(url) }))
     : [];
 
   const remainingPath = path.join(cfg.ARTIFACT_DIR, `urls-level-${level}.remaining.json`);
@@ -235,6 +291,10 @@ async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, re
     chunkSize,
   });
 
+  // Sequenced appends: report batches that never arrived, so they can be
+  // re-run before the next-level artifact is trusted.
+  const sequence = ledgerSummary(p, { expectedLastSeq });
+
   appendJsonl(cfg.LOG_DEDUPE, {
     ts: new Date().toISOString(),
     level,
@@ -245,6 +305,10 @@ async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, re
     next_pages: nextPages.length,
     files_in: inFiles.length,
     files_out: filesForArtifact.length,
+    out_of_scope: scoped.rejected.length,
+    deferred: budgeted.deferred.length,
+    pages_changed: fpInfo.changed,
+    missing_batches: sequence ? sequence.missing : undefined,
   });
 
   markRunDone(p, { level, run_id, domain_key: cfg.domain_key, wrote: { next_urls: nextUrlsPath, files: filesPath } });
@@ -258,7 +322,10 @@ async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, re
     pages: pages.length,
     next_pages: nextPages.length,
     files_out: filesForArtifact.length,
+    out_of_scope: scoped.rejected.length,
+    deferred: budgeted.deferred.length,
     remaining: remaining.length,
+    missing_batches: sequence ? sequence.missing_count : undefined,
     wrote_next_urls: nextUrlsPath,
     wrote_files: filesPath,
   });
@@ -271,7 +338,11 @@ async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, re
     pages: pages.length,
     next_pages: nextPages.length,
     files: filesForArtifact.length,
+    out_of_scope: scoped.rejected.length,
+    deferred: budgeted.deferred.length,
+    pages_changed: fpInfo.changed,
     remaining: remaining.length,
+    sequence,
     wrote: {
       next_urls: nextUrlsPath,
       next_urls_parts: nextChunkInfo.chunk_files,
@@ -280,6 +351,10 @@ async function finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath, re
       remaining_urls: remainingPath,
       remaining_urls_parts: remainingChunkInfo.chunk_files,
       remaining_urls_parts_manifest: remainingChunkInfo.manifest_path,
+      out_of_scope: scoped.path,
+      deferred: budgeted.path,
+      graph_edges: graphInfo.path,
+      pages_changed: fpInfo.path,
     },
   };
 }
@@ -310,8 +385,54 @@ function makeRunsRouter(baseCfg) {
   // URL discovery runs (streaming, memory-safe for very large levels)
   // ---------------------------------------------------------------------
 
+  // Run registry (read-only).
+  // GET /runs?domain=...&level=N
+  //   -> every discovery bucket: run_id, size, lines, last append / idle time,
+  //      .done marker, and whether auto-finalize is about to pick it up.
+  r.get("/runs", (req, res) => {
+    try {
+      const domainKey = req.query?.domain || req.query?.domain_key || null;
+      const level = req.query?.level != null && req.query.level !== "" ? Number(req.query.level) : null;
+      if (level !== null && (!Number.isFinite(level) || level < 1)) {
+        return res.status(400).json({ ok: false, error: "Invalid level" });
+      }
+      const runs = listRunBuckets(baseCfg, { domainKey, level });
+      return res.json({
+        ok: true,
+        count: runs.length,
+        open: runs.filter((x) => !x.done).length,
+        due_for_auto_finalize: runs.filter((x) => x.auto_finalize.due).length,
+        runs,
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // GET /runs/:domain/:level/:run_id
+  //   -> bucket info plus totals (unique visited/pages/files, batches per source)
+  //      computed from the JSONL without finalizing.
+  r.get("/runs/:domain/:level/:run_id", async (req, res) => {
+    try {
+      const level = Number(req.params.level);
+      if (!Number.isFinite(level) || level < 1) {
+        return res.status(400).json({ ok: false, error: "Invalid level" });
+      }
+      const cfg = domainCfg(baseCfg, req.params.domain);
+      const run_id = safeRunId(req.params.run_id);
+      const info = describeRunBucket(baseCfg, cfg.domain_key, `discover_level_${level}_${run_id}.jsonl`);
+      if (!info) {
+        return res.status(404).json({ ok: false, error: `Unknown run: ${cfg.domain_key} level ${level} ${run_id}` });
+      }
+      const totals = await summarizeRunBucket(info.path);
+      return res.json({ ok: true, ...info, totals, sequence: ledgerSummary(info.path) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
   // Start (or reset) a discovery run bucket for a given level.
-  // Body: { level: number, run_id?: string }
+  // Body: { level: number, run_id?: string, seq_start?: number }
   r.post("/runs/start/urls", async (req, res) => {
     try {
       const cfg = cfgForReq(baseCfg, req);
@@ -320,12 +441,17 @@ function makeRunsRouter(baseCfg) {
         return res.status(400).json({ ok: false, error: "Invalid level" });
       }
       const run_id = safeRunId(req.body?.run_id);
+      const seqStart = parseBatchSeq(req.body?.seq_start);
+      if (Number.isNaN(seqStart)) {
+        return res.status(400).json({ ok: false, error: "Invalid seq_start" });
+      }
 
-      return await withLock(() => {
+      return await withDomainLock(cfg, runLockResource(level, run_id), () => {
         const p = runJsonlPath(cfg, level, run_id);
         ensureDir(path.dirname(p));
         // Hard reset: overwrite file
         fs.writeFileSync(p, "", { encoding: "utf-8" });
+        resetLedger(p, seqStart ?? 0);
         // Clear any prior done marker for this run bucket.
         try { if (fs.existsSync(runDoneMarkerPath(p))) fs.unlinkSync(runDoneMarkerPath(p)); } catch {}
         appendJsonl(cfg.LOG_LEVEL_RESETS, {
@@ -344,12 +470,15 @@ function makeRunsRouter(baseCfg) {
         return res.json({ ok: true, level, run_id, path: p });
       });
     } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
   });
 
   // Append a batch of discoveries.
-  // Body: { level, run_id, visited?:[{url}], pages?:[{url}], files?:[...] }
+  // Body: { level, run_id, batch_seq?, visited?:[{url}], pages?:[{url}], files?:[...] }
+  // A batch_seq that was already received is acknowledged but not appended again.
+  // Rows without a source_page_url get the batch's page when it visited exactly
+  // one; otherwise they are kept as they are (no link-graph edge).
   r.post("/runs/append/urls", async (req, res) => {
     try {
       const cfg = cfgForReq(baseCfg, req);
@@ -358,6 +487,10 @@ function makeRunsRouter(baseCfg) {
         return res.status(400).json({ ok: false, error: "Invalid level" });
       }
       const run_id = safeRunId(req.body?.run_id);
+      const batchSeq = parseBatchSeq(req.body?.batch_seq);
+      if (Number.isNaN(batchSeq)) {
+        return res.status(400).json({ ok: false, error: "Invalid batch_seq (non-negative integer)" });
+      }
 
       const visited = Array.isArray(req.body?.visited) ? req.body.visited : [];
       const pages = Array.isArray(req.body?.pages) ? req.body.pages : [];
@@ -377,10 +510,20 @@ function makeRunsRouter(baseCfg) {
         pages: toRows(pages),
         files: files.filter((f) => f && f.url),
       };
+      const sourcePage = batchSourcePage(payload.visited);
+      const withSource = (r) => (r.source_page_url || !sourcePage ? r : { ...r, source_page_url: sourcePage });
+      payload.pages = payload.pages.map(withSource);
+      payload.files = payload.files.map(withSource);
+      if (batchSeq !== null) payload.batch_seq = batchSeq;
 
-      return await withLock(() => {
+      return await withDomainLock(cfg, runLockResource(level, run_id), () => {
         const p = runJsonlPath(cfg, level, run_id);
+        if (batchSeq !== null && isDuplicateBatch(p, batchSeq)) {
+          logEvent("RUN_APPEND_URLS_DUPLICATE", { domain_key: cfg.domain_key, level, run_id, batch_seq: batchSeq });
+          return res.json({ ok: true, level, run_id, batch_seq: batchSeq, duplicate: true, appended: { visited: 0, pages: 0, files: 0 } });
+        }
         appendJsonl(p, payload);
+        if (batchSeq !== null) recordBatchSeq(p, batchSeq);
         logEvent("RUN_APPEND_URLS", {
           domain_key: cfg.domain_key,
           level,
@@ -390,19 +533,21 @@ function makeRunsRouter(baseCfg) {
           appended_files: payload.files.length,
           jsonl: p,
         });
-        return res.json({ ok: true, level, run_id, appended: {
+        return res.json({ ok: true, level, run_id, ...(batchSeq !== null ? { batch_seq: batchSeq, duplicate: false } : {}), appended: {
           visited: payload.visited.length,
           pages: payload.pages.length,
           files: payload.files.length,
         }});
       });
     } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
   });
 
   // Finalize a discovery run: dedupe, update state, and write artifacts.
-  // Body: { level, run_id }
+  // Body: { level, run_id, expected_last_seq? }
+  // When appends carried batch_seq, the result includes sequence.missing
+  // ([from, to] ranges); expected_last_seq also catches missing trailing batches.
   r.post("/runs/finalize/urls", async (req, res) => {
     try {
       const level = Number(req.body?.level);
@@ -410,6 +555,10 @@ function makeRunsRouter(baseCfg) {
         return res.status(400).json({ ok: false, error: "Invalid level" });
       }
       const run_id = safeRunId(req.body?.run_id);
+      const expectedLastSeq = parseBatchSeq(req.body?.expected_last_seq);
+      if (Number.isNaN(expectedLastSeq)) {
+        return res.status(400).json({ ok: false, error: "Invalid expected_last_seq" });
+      }
 
       // Resolve domain config. If the request doesn't contain any URL/domain hints,
       // cfgForReq() will fall back to 'default'. In streaming mode, appends are
@@ -430,7 +579,7 @@ function makeRunsRouter(baseCfg) {
         }
       }
 
-      return await withLock(async () => {
+      return await withDomainLock(cfg, ["state", "aliases", runLockResource(level, run_id)], async () => {
         // Prefer the resolved domain-scoped file; if missing, fall back to any located file.
         let p = runJsonlPath(cfg, level, run_id);
         if (!fs.existsSync(p)) {
@@ -438,7 +587,7 @@ function makeRunsRouter(baseCfg) {
           if (found?.path && fs.existsSync(found.path)) p = found.path;
         }
 
-        const result = await finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath: p, replace: Boolean(req.body?.replace) });
+        const result = await finalizeDiscoveryRun({ baseCfg, cfg, level, run_id, jsonlPath: p, replace: Boolean(req.body?.replace), expectedLastSeq });
         logEvent("RUN_FINALIZE_URLS", {
           domain_key: cfg.domain_key,
           level,
@@ -447,11 +596,12 @@ function makeRunsRouter(baseCfg) {
           next_pages: result?.next_pages,
           files: result?.files,
           remaining: result?.remaining,
+          missing_batches: result?.sequence ? result.sequence.missing_count : undefined,
         });
         return res.json(result);
       });
     } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
   });
 
@@ -496,7 +646,7 @@ function makeRunsRouter(baseCfg) {
       if (!Number.isFinite(level) || level < 1) {
         return res.status(400).json({ ok: false, error: "Invalid level" });
       }
-      return await withLock(() => {
+      return await withDomainLock(cfg, ["index", "manifests"], () => {
         ensureDir(cfg.LEVEL_FILES_DIR);
 
       const mPath = manifestPath(cfg, level);
@@ -581,7 +731,7 @@ function makeRunsRouter(baseCfg) {
       });
       });
     } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
   });
 
@@ -604,18 +754,19 @@ function makeRunsRouter(baseCfg) {
       const domains = domain ? [domain] : listDomainKeys(baseCfg);
       const results = [];
 
-      return await withLock(() => {
-        for (const dk of domains) {
-          const cfg = domainCfg(baseCfg, dk);
-          ensureDomainFolders(cfg);
+      for (const dk of domains) {
+        const cfg = domainCfg(baseCfg, dk);
+        ensureDomainFolders(cfg);
 
-          // Only reconcile if the expected artifact exists.
-          const expectedPath = path.join(cfg.ARTIFACT_DIR, `files-level-${level}.json`);
-          if (!fs.existsSync(expectedPath)) {
-            results.push({ domain_key: cfg.domain_key, level, ok: false, status: "MISSING_EXPECTED", expected_path: expectedPath });
-            continue;
-          }
+        // Only reconcile if the expected artifact exists.
+        const expectedPath = path.join(cfg.ARTIFACT_DIR, `files-level-${level}.json`);
+        if (!fs.existsSync(expectedPath)) {
+          results.push({ domain_key: cfg.domain_key, level, ok: false, status: "MISSING_EXPECTED", expected_path: expectedPath });
+          continue;
+        }
 
+        // One domain at a time, so a sweep never holds every domain at once.
+        await withDomainLock(cfg, ["manifests", "state"], () => {
           const r1 = reconcileFilesLevel({ cfg, level, chunkSize });
           // Print reconciliation result to console (with timestamps)
           console.log(`[${new Date().toISOString()}] [RECONCILE files] domain=${cfg.domain_key} level=${level}`);
@@ -626,11 +777,11 @@ function makeRunsRouter(baseCfg) {
           console.log(`  parts:      ${Array.isArray(r1.wrote?.parts) ? r1.wrote.parts.length : 0}`);
           console.log(`  status:     ${r1.status}`);
           results.push({ ok: true, ...r1 });
-        }
-        return res.json({ ok: true, level, chunk_size: chunkSize, results });
-      });
+        });
+      }
+      return res.json({ ok: true, level, chunk_size: chunkSize, results });
     } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
   });
 
@@ -644,10 +795,10 @@ function makeRunsRouter(baseCfg) {
       const domains = domain ? [domain] : listDomainKeys(baseCfg);
       const results = [];
 
-      return await withLock(() => {
-        for (const dk of domains) {
-          const cfg = domainCfg(baseCfg, dk);
-          ensureDomainFolders(cfg);
+      for (const dk of domains) {
+        const cfg = domainCfg(baseCfg, dk);
+        ensureDomainFolders(cfg);
+        await withDomainLock(cfg, ["manifests", "state"], () => {
           const levels = listFileLevels(cfg);
           for (const level of levels) {
             const r1 = reconcileFilesLevel({ cfg, level, chunkSize });
@@ -663,15 +814,15 @@ function makeRunsRouter(baseCfg) {
               results.push({ ok: true, ...r1 });
             }
           }
-        }
-        return res.json({ ok: true, chunk_size: chunkSize, results, incomplete_count: results.length });
-      });
+        });
+      }
+      return res.json({ ok: true, chunk_size: chunkSize, results, incomplete_count: results.length });
     } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
   });
 
   return r;
 }
 
-module.exports = { makeRunsRouter, finalizeDiscoveryRun };
+module.exports = { makeRunsRouter, finalizeDiscoveryRun, safeRunId, runJsonlPath };
@@ -0,0 +1,133 @@
+const express = require("express");
+
+const { appendJsonl } = require("../lib/jsonl");
+const { withDomainLock } = require("../lib/lock");
+const { cfgForReq, domainCfg, ensureDomainFolders, safeDomainKey } = require("../lib/domain");
+const { writeUrlArtifact } = require("../lib/artifacts");
+const { logEvent } = require("../lib/logger");
+const { loadScope, scopeRejectReason } = require("../lib/scope");
+const { seedsArtifactPath, readSeedUrls, readSeedHistory, validateSeedUrls } = require("../lib/seeds");
+
+function asList(v) {
+  if (v == null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function makeSeedsRouter(baseCfg) {
+  const r = express.Router();
+
+  // POST /seeds
+  // Body:
+  //  {
+  //    seeds: ["https://www.example.com/", ...]   (or crawl_root / crawl_roots)
+  //    sitemaps?: ["https://www.example.com/sitemap.xml"]
+  //    mode?: "replace" | "merge"                 (default replace)
+  //    domain?: "example.com"                     (optional; must match the seeds)
+  //  }
+  //
+  // Writes _meta/<domain>/artifacts/urls-level-1.json (meta-first-row format)
+  // and appends the seed set and its sitemaps to _meta/<domain>/seeds.jsonl.
+  // Sitemaps are recorded, not fetched: POST their contents to /discover/sitemap.
+  r.post("/seeds", async (req, res) => {
+    try {
+      const body = req.body || {};
+      const input = [...asList(body.seeds), ...asList(body.crawl_roots), ...asList(body.crawl_root)];
+      if (!input.length) return res.status(400).json({ ok: false, error: "Missing seeds" });
+
+      const mode = String(body.mode || "replace").toLowerCase();
+      if (mode !== "replace" && mode !== "merge") {
+        return res.status(400).json({ ok: false, error: "Invalid mode (replace|merge)" });
+      }
+
+      const seeds = validateSeedUrls(input);
+      if (!seeds.ok) return res.status(400).json({ ok: false, error: seeds.error, invalid: seeds.invalid });
+      if (!seeds.urls.length) return res.status(400).json({ ok: false, error: "Missing seeds" });
+
+      const sitemaps = validateSeedUrls(asList(body.sitemaps));
+      if (!sitemaps.ok) return res.status(400).json({ ok: false, error: `Sitemaps: ${sitemaps.error}`, invalid: sitemaps.invalid });
+      if (sitemaps.domain_key && sitemaps.domain_key !== seeds.domain_key) {
+        return res.status(400).json({ ok: false, error: `Sitemaps belong to ${sitemaps.domain_key}, seeds to ${seeds.domain_key}` });
+      }
+
+      const explicit = body.domain_key || body.domain;
+      if (explicit && safeDomainKey(explicit) !== seeds.domain_key) {
+        return res.status(400).json({ ok: false, error: `Seeds belong to ${seeds.domain_key}, not ${safeDomainKey(explicit)}` });
+      }
+
+      const cfg = domainCfg(baseCfg, seeds.domain_key);
+      ensureDomainFolders(cfg);
+
+      const scope = loadScope(cfg);
+      const outOfScope = sitemaps.urls
+        .map((url) => ({ url, reason: scopeRejectReason(scope, url) }))
+        .filter((x) => x.reason);
+      if (outOfScope.length) {
+        return res.status(400).json({ ok: false, error: "Sitemaps out of scope", invalid: outOfScope });
+      }
+
+      return await withDomainLock(cfg, "state", () => {
+        const previous = readSeedUrls(cfg);
+        const urls = mode === "merge" ? [...new Set([...previous, ...seeds.urls])] : seeds.urls;
+        let sitemapUrls = sitemaps.urls;
+        if (mode === "merge") {
+          const history = readSeedHistory(cfg);
+          const last = history.length ? history[history.length - 1] : null;
+          sitemapUrls = [...new Set([...(Array.isArray(last?.sitemaps) ? last.sitemaps : []), ...sitemaps.urls])];
+        }
+        const outPath = seedsArtifactPath(cfg);
+
+        writeUrlArtifact({ path: outPath, urls, nextLevel: 1, metaFirstRow: cfg.ARTIFACT_META_FIRST_ROW });
+
+        const entry = {
+          ts: new Date().toISOString(),
+          domain_key: cfg.domain_key,
+          mode,
+          seeds: urls,
+          sitemaps: sitemapUrls,
+          previous,
+        };
+        appendJsonl(cfg.LOG_SEEDS, entry);
+        logEvent("SEEDS", { domain: cfg.domain_key, mode, seeds: urls.length, sitemaps: sitemapUrls.length, previous: previous.length });
+
+        return res.json({
+          ok: true,
+          domain_key: cfg.domain_key,
+          mode,
+          seeds: urls,
+          sitemaps: sitemapUrls,
+          previous_count: previous.length,
+          wrote: { urls_level_1: outPath, seeds_log: cfg.LOG_SEEDS },
+        });
+      });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // GET /seeds?domain=...[&history=1]
+  // Current seeds (urls-level-1.json) and the sitemaps of the latest seed set.
+  r.get("/seeds", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const history = readSeedHistory(cfg);
+      const last = history.length ? history[history.length - 1] : null;
+      const withHistory = ["1", "true", "yes"].includes(String(req.query?.history || "").toLowerCase());
+
+      return res.json({
+        ok: true,
+        domain_key: cfg.domain_key,
+        seeds: readSeedUrls(cfg),
+        sitemaps: Array.isArray(last?.sitemaps) ? last.sitemaps : [],
+        updated_ts: last?.ts || null,
+        history_count: history.length,
+        ...(withHistory ? { history } : {}),
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+module.exports = { makeSeedsRouter };
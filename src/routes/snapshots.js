@@ -0,0 +1,87 @@
+const express = require("express");
+
+const { appendJsonl } = require("../lib/jsonl");
+const { withDomainLock } = require("../lib/lock");
+const { cfgForReq } = require("../lib/domain");
+const { createSnapshot, listSnapshots, snapshotExists, compareSnapshots } = require("../lib/snapshots");
+const { logEvent } = require("../lib/logger");
+
+function makeSnapshotsRouter(baseCfg) {
+  const r = express.Router();
+
+  // POST /snapshots
+  // Body: { domain, name?, note? }  (name defaults to the current UTC timestamp)
+  // Freezes state.json, artifacts, level_files and the hash index under
+  // _meta/<domain>/snapshots/<name>/.
+  r.post("/snapshots", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const name = req.body?.name ? String(req.body.name) : null;
+      if (name && (name === "current" || !/^[a-zA-Z0-9._-]+$/.test(name))) {
+        return res.status(400).json({ ok: false, error: "Invalid name (letters, digits, . _ -; not \"current\")" });
+      }
+
+      return await withDomainLock(cfg, ["state", "index", "manifests"], () => {
+        let manifest;
+        try {
+          manifest = createSnapshot(cfg, { name, note: req.body?.note });
+        } catch (e) {
+          return res.status(400).json({ ok: false, error: String(e?.message || e) });
+        }
+        appendJsonl(cfg.LOG_DEDUPE, { ts: manifest.created_ts, kind: "snapshot", name: manifest.name, counts: manifest.counts });
+        logEvent("SNAPSHOT", { domain_key: cfg.domain_key, name: manifest.name, ...manifest.counts });
+        return res.json({ ok: true, domain_key: cfg.domain_key, snapshot: manifest });
+      });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // GET /snapshots?domain=...
+  r.get("/snapshots", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const snapshots = listSnapshots(cfg);
+      return res.json({ ok: true, domain_key: cfg.domain_key, count: snapshots.length, snapshots });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // GET /snapshots/:a/compare/:b?domain=...[&summary=1]
+  // Either side may be "current" (the live artifacts). Per level: pages and
+  // files added/removed, and files whose downloaded content (sha256) changed.
+  r.get("/snapshots/:a/compare/:b", (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const { a, b } = req.params;
+      for (const n of [a, b]) {
+        if (!snapshotExists(cfg, n)) return res.status(400).json({ ok: false, error: `Unknown snapshot: ${n}` });
+      }
+
+      const cmp = compareSnapshots(cfg, a, b);
+      const summary = ["1", "true", "yes"].includes(String(req.query?.summary || "").toLowerCase());
+      if (summary) {
+        const levels = {};
+        for (const [L, d] of Object.entries(cmp.levels)) {
+          levels[L] = {
+            pages_added: d.pages.added.length,
+            pages_removed: d.pages.removed.length,
+            files_added: d.files.added.length,
+            files_removed: d.files.removed.length,
+            files_changed: d.files.changed.length,
+          };
+        }
+        return res.json({ ok: true, domain_key: cfg.domain_key, a, b, totals: cmp.totals, levels });
+      }
+
+      return res.json({ ok: true, domain_key: cfg.domain_key, ...cmp });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
+
+module.exports = { makeSnapshotsRouter };
@@ -1,124 +1,70 @@
 const express = require("express");
-const path = require("path");
-const fs = require("fs");
-const crypto = require("crypto");
 
-const { resolveSavePath } = require("../lib/routing");
-const { loadElectoratesMeta, ensureTermElectorateFolders } = require("../lib/electorates");
-const { ensureDir, readJsonSafe, writeJson } = require("../lib/fsx");
-const { sniffIsPdf, looksLikeHtml } = require("../lib/pdfguard");
-const { appendJsonl } = require("../lib/jsonl");
-const { toAbsolute, toRelative } = require("../lib/paths");
-const { withLock } = require("../lib/lock");
-const { cfgForReq } = require("../lib/domain");
-
-function asArrayUniqueStrings(v) {
-  const arr = Array.isArray(v) ? v : (v ? [v] : []);
-  const out = [];
-  const seen = new Set();
-  for (const x of arr) {
-    if (x === null || x === undefined) continue;
-    const s = String(x);
-    if (!s) continue;
-    if (!seen.has(s)) { seen.add(s); out.push(s); }
-  }
-  return out;
+const { cfgForReq, domainCfg, ensureDomainFolders } = require("../lib/domain");
+const { ingestFile } = require("../lib/ingest");
+const { withDomainLock } = require("../lib/lock");
+const { logEvent } = require("../lib/logger");
+const { bufferContent, fileContent, createSpool, pipeRequestInto } = require("../lib/spool");
+const {
+  isSessionId,
+  readSession,
+  locateSessionDomain,
+  createSession,
+  appendChunk,
+  markCompleted,
+  deleteSession,
+  pruneSessions,
+  sessionOffset,
+  sessionPaths,
+  describeSession,
+} = require("../lib/upload_sessions");
+const { boundaryFromContentType, readMultipart } = require("../lib/multipart");
+
+// extract=1|0 overrides ZIP_EXTRACT_ENABLED for one upload; absent -> null (default).
+function extractFlag(v) {
+  if (v === undefined || v === null || v === "") return null;
+  return v === true || ["1", "true", "yes"].includes(String(v).toLowerCase());
 }
 
-function asArrayUniqueNumbers(v) {
-  // Accept legacy { "2": true } objects as well as arrays.
-  let arr = [];
-  if (Array.isArray(v)) arr = v;
-  else if (v && typeof v === "object") arr = Object.keys(v);
-  else if (v !== null && v !== undefined) arr = [v];
-  const out = [];
-  const seen = new Set();
-  for (const x of arr) {
-    const n = Number(x);
-    if (!Number.isFinite(n)) continue;
-    if (!seen.has(n)) { seen.add(n); out.push(n); }
-  }
-  out.sort((a,b)=>a-b);
-  return out;
+// Upload metadata for /upload/raw: query parameter, else X-<Name> header
+// (bfs_level -> X-Bfs-Level), else a multipart text field.
+function rawUploadParam(req, fields, name) {
+  const q = req.query?.[name];
+  if (q !== undefined && q !== null && q !== "") return String(q);
+  const h = req.headers[`x-${name.replace(/_/g, "-")}`];
+  if (h) return String(h);
+  const f = fields?.[name];
+  if (f !== undefined && f !== null && f !== "") return String(f);
+  return null;
 }
 
-function normalizeHashRec(rec) {
-  if (!rec || typeof rec !== "object") return null;
-  // Sources is the authoritative provenance list.
-  // Legacy compatibility: migrate old plural fields into sources best-effort,
-  // then drop the redundant aggregates.
-  const legacyUrls = asArrayUniqueStrings(rec.urls || rec.url);
-  const legacySourcePages = asArrayUniqueStrings(rec.source_page_urls || rec.source_page_url);
-  const legacyLevels = asArrayUniqueNumbers(rec.levels);
-
-  rec.sources = Array.isArray(rec.sources) ? rec.sources : [];
-
-  // Remove any redundant saved_to fields inside sources (hash record already has canonical saved_to).
-  for (const s of rec.sources) {
-    if (s && typeof s === "object" && "saved_to" in s) delete s.saved_to;
-  }
-
-  if (rec.sources.length === 0 && (legacyUrls.length || legacySourcePages.length || legacyLevels.length)) {
-    const u0 = legacyUrls[0] || null;
-    const sp0 = legacySourcePages[0] || null;
-    if (legacyLevels.length) {
-      for (const lvl of legacyLevels) {
-        rec.sources.push({
-          url: u0,
-          source_page_url: sp0,
-          level: lvl,
-          ts: rec.first_seen_ts || rec.last_seen_ts || new Date().toISOString(),
-        });
-      }
-    } else if (u0 || sp0) {
-      rec.sources.push({
-        url: u0,
-        source_page_url: sp0,
-        level: null,
-        ts: rec.first_seen_ts || rec.last_seen_ts || new Date().toISOString(),
-      });
+function rawUploadMeta(req, fields) {
+  const get = (name) => rawUploadParam(req, fields, name);
+  let redirect_chain = null;
+  const chainRaw = get("redirect_chain");
+  if (chainRaw) {
+    try {
+      redirect_chain = JSON.parse(chainRaw);
+    } catch {
+      return { error: "Invalid redirect_chain (expected a JSON array)" };
     }
+    if (!Array.isArray(redirect_chain)) return { error: "Invalid redirect_chain (expected a JSON array)" };
   }
-
-  // Drop redundant aggregates; can be derived from sources.
-  delete rec.urls;
-  delete rec.url;
-  delete rec.source_page_urls;
-  delete rec.source_page_url;
-  delete rec.levels;
-  return rec;
-}
-
-function addSourceObservation(rec, obs) {
-  // obs: { url, source_page_url, level, ts }
-  if (!rec) return;
-  const key = `${obs.url}::${obs.source_page_url || ""}::${obs.level}`;
-  const seen = new Set((rec.sources||[]).map(s => `${s.url}::${s.source_page_url || ""}::${s.level}`));
-  if (!seen.has(key)) {
-    rec.sources.push({
-      url: obs.url,
-      source_page_url: obs.source_page_url || null,
-      level: obs.level,
-      ts: obs.ts
-    });
-  }
-}
-
-
-function manifestPath(cfg, level) {
-  return path.join(cfg.LEVEL_FILES_DIR, `${String(level)}.json`);
-}
-
-function appendToLevelManifest(cfg, level, entry) {
-  ensureDir(cfg.LEVEL_FILES_DIR);
-  const p = manifestPath(cfg, level);
-  const m = readJsonSafe(p, { level, files: [] });
-  const key = `${entry.sha256}::${entry.saved_to}`;
-  const seen = new Set((m.files || []).map((x) => `${x.sha256}::${x.saved_to}`));
-  if (!seen.has(key)) {
-    m.files.push(entry);
-    writeJson(p, m);
-  }
+  const meta = {
+    url: get("url"),
+    ext: get("ext"),
+    filenameOverride: get("filename"),
+    source_page_url: get("source_page_url"),
+    bfs_level: Number(get("bfs_level")),
+    final_url: get("final_url"),
+    redirect_chain,
+    extract: extractFlag(get("extract")),
+    domain: get("domain") || get("domain_key"),
+    crawl_root: get("crawl_root"),
+  };
+  if (!Number.isFinite(meta.bfs_level) || meta.bfs_level < 1) return { error: "Missing/invalid bfs_level" };
+  if (!meta.url) return { error: "Missing url" };
+  return { meta };
 }
 
 function makeUploadRouter(baseCfg) {
@@ -132,6 +78,8 @@ function makeUploadRouter(baseCfg) {
   //  - source_page_url (optional)
   //  - bfs_level (required)
   //  - content_base64 (required)
+  //  - final_url / redirect_chain (optional) redirects Postman followed; recorded as aliases
+  //  - extract (optional) 1|0: extract a .zip's members (default ZIP_EXTRACT_ENABLED)
   r.post("/upload/file", async (req, res) => {
     try {
       const cfg = cfgForReq(baseCfg, req);
@@ -141,6 +89,8 @@ function makeUploadRouter(baseCfg) {
       const filenameOverride = req.body?.filename ? String(req.body.filename) : null;
       const source_page_url = req.body?.source_page_url ? String(req.body.source_page_url) : null;
       const bfs_level = Number(req.body?.bfs_level);
+      const final_url = req.body?.final_url ? String(req.body.final_url) : null;
+      const redirect_chain = Array.isArray(req.body?.redirect_chain) ? req.body.redirect_chain : null;
 
       if (!Number.isFinite(bfs_level) || bfs_level < 1) {
         return res.status(400).json({ ok: false, error: "Missing/invalid bfs_level" });
@@ -149,178 +99,232 @@ function makeUploadRouter(baseCfg) {
         return res.status(400).json({ ok: false, error: "Missing url or content_base64" });
       }
 
-      const electoratesByTerm = loadElectoratesMeta(cfg.ELECTORATES_BY_TERM_PATH);
-
       // Decode bytes + hash by content
-      const buf = Buffer.from(String(b64), "base64");
-      const sha256 = crypto.createHash("sha256").update(buf).digest("hex");
-
-      // ---- Serialize RMW state updates (hash index + manifests) ----
-      return await withLock(() => {
-      // Load global hash index (stores relative paths)
-      const idx = readJsonSafe(cfg.DOWNLOADED_HASH_INDEX_PATH, {});
-      const existing = normalizeHashRec(idx[sha256]);
-
-      // Resolve intended save path for THIS occurrence
-      const route = resolveSavePath({
-        downloadsRoot: cfg.DOWNLOADS_ROOT,
-        url,
-        ext,
-        source_page_url,
-        electoratesByTerm,
-        filenameOverride,
+      const content = bufferContent(Buffer.from(String(b64), "base64"));
+      const out = await ingestFile({
+        cfg,
+        meta: { url, ext, filenameOverride, source_page_url, bfs_level, final_url, redirect_chain, extract: extractFlag(req.body?.extract) },
+        content,
       });
+      return res.json(out);
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
 
-      // Ensure canonical electorate folders exist for the term
-      if (route.termKey && route.termKey !== "term_unknown") {
-        ensureTermElectorateFolders({
-          downloadsRoot: cfg.DOWNLOADS_ROOT,
-          termKey: route.termKey,
-          electoratesByTerm,
-        });
+  // POST /upload/raw
+  // Same save/dedupe path as /upload/file, but the file arrives as the raw
+  // request body instead of base64 inside JSON:
+  //  - Content-Type: application/octet-stream (or any non-JSON type): the body is the file
+  //  - Content-Type: multipart/form-data: the first file part (or part named "file");
+  //    text parts may carry metadata
+  // Metadata (url, bfs_level, ext, filename, source_page_url, final_url,
+  // redirect_chain as JSON, domain) comes from query parameters, X-<Name>
+  // headers (X-Bfs-Level, X-Source-Page-Url, ...) or multipart fields.
+  // The body is hashed while it is spooled to a temp file, then moved into place.
+  r.post("/upload/raw", async (req, res) => {
+    let spool = null;
+    try {
+      const contentType = String(req.headers["content-type"] || "");
+      if (/^application\/json/i.test(contentType)) {
+        return res.status(400).json({ ok: false, error: "JSON bodies go to /upload/file; send the file bytes here" });
+      }
+      const multipart = /^multipart\/form-data/i.test(contentType);
+      const boundary = multipart ? boundaryFromContentType(contentType) : null;
+      if (multipart && !boundary) {
+        return res.status(400).json({ ok: false, error: "Missing multipart boundary" });
       }
 
-      const shouldBePdf = route.ext === "pdf" || route.filename.toLowerCase().endsWith(".pdf");
-
-      // If already saved, just mark membership for this level and record in manifest.
-      if (existing?.saved_to) {
-        const existingAbs = toAbsolute(existing.saved_to);
-        if (fs.existsSync(existingAbs)) {
-          existing.last_seen_ts = new Date().toISOString();
-          if (!existing.first_seen_ts) existing.first_seen_ts = existing.last_seen_ts;
-
-          // If we can now route it into an electorate folder whereas it previously lived in term root,
-          // upgrade location (more specific beats less specific).
-          // We ONLY upgrade if the new target is more specific (has electorateFolder) and
-          // the existing saved_to is NOT already inside that electorate folder.
-          const wantElect = !!route.electorateFolder;
-          const haveElect = existing.electorateFolder ? true : false;
-          if (wantElect && !haveElect) {
-            // Move canonical file to new location.
-            let targetAbs = route.outPath;
-            let note = "promoted_to_electorate";
-            if (shouldBePdf && !sniffIsPdf(buf)) {
-              note = looksLikeHtml(buf) ? "promoted_bad_pdf_got_html" : "promoted_bad_pdf_not_pdf";
-              const badDir = path.join(route.termDir, "_bad");
-              ensureDir(badDir);
-              const base = route.filename.replace(/\.pdf$/i, "");
-              const badName = `${base}__${note}.html`.replace(/[\/\\]/g, "_");
-              targetAbs = path.join(badDir, badName);
-            }
-
-            ensureDir(path.dirname(targetAbs));
-            try {
-              fs.renameSync(existingAbs, targetAbs);
-            } catch {
-              fs.copyFileSync(existingAbs, targetAbs);
-              try { fs.unlinkSync(existingAbs); } catch {}
-            }
-
-            existing.saved_to = toRelative(targetAbs);
-            existing.termKey = route.termKey;
-            existing.electorateFolder = route.electorateFolder || null;
-            existing.ext = route.ext;
-            existing.note = note;
-          }
-
-          addSourceObservation(existing, { url, source_page_url, level: bfs_level, ts: new Date().toISOString() });
-          idx[sha256] = existing;
-          writeJson(cfg.DOWNLOADED_HASH_INDEX_PATH, idx);
-
-          appendToLevelManifest(cfg, bfs_level, { sha256, saved_to: existing.saved_to });
-
-          appendJsonl(cfg.LOG_FILE_SAVES, {
-            ts: new Date().toISOString(),
-            url,
-            source_page_url,
-            termKey: existing.termKey || route.termKey,
-            electorateFolder: existing.electorateFolder || route.electorateFolder || null,
-            saved_to: existing.saved_to,
-            bytes: buf.length,
-            ext: existing.ext || route.ext,
-            note: "duplicate_content_skipped",
-            sha256,
-            bfs_level,
-          });
+      // Without multipart fields all metadata is known up front: reject before reading the body.
+      if (!multipart) {
+        const early = rawUploadMeta(req, null);
+        if (early.error) return res.status(400).json({ ok: false, error: early.error });
+      }
 
-          return res.json({
-            ok: true,
-            skipped: true,
-            note: "duplicate_content_skipped",
-            saved_to: existing.saved_to,
-            sha256,
-          });
+      spool = createSpool(baseCfg.UPLOAD_TMP_DIR);
+      let fields = null;
+      if (multipart) {
+        const parsed = await readMultipart(req, boundary, spool);
+        if (!parsed.file) {
+          spool.abort();
+          return res.status(400).json({ ok: false, error: "Missing file part" });
         }
-        // If record exists but file missing, fall through and re-save.
+        fields = parsed.fields;
+      } else {
+        await pipeRequestInto(req, spool);
       }
+      const content = await spool.finish();
+      spool = null;
 
-      // Save new canonical file
-      ensureDir(route.finalDir);
+      const { meta, error } = rawUploadMeta(req, fields);
+      if (error) {
+        content.discard();
+        return res.status(400).json({ ok: false, error });
+      }
 
-      let outAbs = route.outPath;
-      let note = "ok";
-      if (shouldBePdf && !sniffIsPdf(buf)) {
-        note = looksLikeHtml(buf) ? "bad_pdf_got_html" : "bad_pdf_not_pdf";
-        const badDir = path.join(route.termDir, "_bad");
-        ensureDir(badDir);
-        const base = route.filename.replace(/\.pdf$/i, "");
-        const badName = `${base}__${note}.html`.replace(/[\/\\]/g, "_");
-        outAbs = path.join(badDir, badName);
+      const cfg = cfgForReq(baseCfg, { body: { domain: meta.domain, crawl_root: meta.crawl_root, url: meta.url } });
+      let out;
+      try {
+        out = await ingestFile({ cfg, meta, content });
+      } finally {
+        // Saved files were moved out of the temp dir; anything left there is garbage.
+        content.discard();
       }
+      return res.json(out);
+    } catch (e) {
+      if (spool) spool.abort();
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
 
-      fs.writeFileSync(outAbs, buf);
-      const outRel = toRelative(outAbs);
+  // ---------------------------------------------------------------------
+  // Resumable upload sessions (large archives)
+  // ---------------------------------------------------------------------
+  // POST /upload/session                 { url, bfs_level, ext?, filename?, source_page_url?,
+  //                                        final_url?, redirect_chain?, extract?, total_bytes?, sha256? }
+  //   -> { session_id, offset: 0 }
+  // PUT  /upload/session/:id?offset=N    raw chunk body; N must equal the current offset
+  //   -> { offset }  (409 with the current offset when N doesn't match)
+  // GET  /upload/session/:id             -> { status, offset, ... } (resume after a failure)
+  // POST /upload/session/:id/complete    { sha256, size } -> same response as /upload/file
+  // DELETE /upload/session/:id
+  // Sessions live in _meta/<domain>/upload_sessions/ and survive a sink restart.
+
+  // Resolve a session id to its domain cfg + record (null when unknown).
+  const sessionCtx = (id) => {
+    if (!isSessionId(id)) return null;
+    const dk = locateSessionDomain(baseCfg, id);
+    if (!dk) return null;
+    const cfg = domainCfg(baseCfg, dk);
+    ensureDomainFolders(cfg);
+    const session = readSession(cfg, id);
+    return session ? { cfg, session } : null;
+  };
+  const sessionLock = (id) => `upload:${id}`;
+
+  r.post("/upload/session", async (req, res) => {
+    try {
+      const cfg = cfgForReq(baseCfg, req);
+      const b = req.body || {};
+      const bfs_level = Number(b.bfs_level);
+      if (!Number.isFinite(bfs_level) || bfs_level < 1) {
+        return res.status(400).json({ ok: false, error: "Missing/invalid bfs_level" });
+      }
+      if (!b.url) return res.status(400).json({ ok: false, error: "Missing url" });
+      const totalBytes = b.total_bytes != null ? Number(b.total_bytes) : null;
+      if (totalBytes !== null && (!Number.isInteger(totalBytes) || totalBytes < 0)) {
+        return res.status(400).json({ ok: false, error: "Invalid total_bytes" });
+      }
+      const sha256 = b.sha256 ? String(b.sha256).toLowerCase() : null;
+      if (sha256 && !/^[0-9a-f]{64}$/.test(sha256)) {
+        return res.status(400).json({ ok: false, error: "Invalid sha256" });
+      }
 
-      idx[sha256] = {
-        sha256,
-        saved_to: outRel,
-        bytes: buf.length,
-        ext: route.ext,
-        termKey: route.termKey,
-        electorateFolder: route.electorateFolder || null,
-        last_seen_ts: new Date().toISOString(),
-        first_seen_ts: new Date().toISOString(),
-        sources: [
-          {
-            url: String(url),
-            source_page_url: source_page_url ? String(source_page_url) : null,
-            level: Number(bfs_level),
-            ts: new Date().toISOString()
-          }
-        ],
-        note
-      };
-      idx[sha256] = normalizeHashRec(idx[sha256]);
-      writeJson(cfg.DOWNLOADED_HASH_INDEX_PATH, idx);
+      const pruned = pruneSessions(cfg, Number(baseCfg.UPLOAD_SESSION_TTL_MS || 7 * 24 * 3600 * 1000));
+      const session = createSession(cfg, {
+        url: String(b.url),
+        ext: b.ext,
+        filenameOverride: b.filename ? String(b.filename) : null,
+        source_page_url: b.source_page_url ? String(b.source_page_url) : null,
+        bfs_level,
+        final_url: b.final_url ? String(b.final_url) : null,
+        redirect_chain: Array.isArray(b.redirect_chain) ? b.redirect_chain : null,
+        extract: extractFlag(b.extract),
+      }, { totalBytes, sha256 });
+      logEvent("UPLOAD_SESSION_OPEN", { domain_key: cfg.domain_key, session_id: session.id, url: session.meta.url, total_bytes: totalBytes, pruned: pruned.length });
+      return res.json({ ok: true, ...describeSession(cfg, session) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
 
-      appendToLevelManifest(cfg, bfs_level, { sha256, saved_to: outRel });
+  r.get("/upload/session/:id", (req, res) => {
+    try {
+      const ctx = sessionCtx(req.params.id);
+      if (!ctx) return res.status(400).json({ ok: false, error: "Unknown upload session" });
+      return res.json({ ok: true, ...describeSession(ctx.cfg, ctx.session) });
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
 
-      appendJsonl(cfg.LOG_FILE_SAVES, {
-        ts: new Date().toISOString(),
-        url,
-        source_page_url,
-        termKey: route.termKey,
-        electorateFolder: route.electorateFolder || null,
-        saved_to: outRel,
-        bytes: buf.length,
-        ext: route.ext,
-        note,
-        sha256,
-        bfs_level,
+  r.put("/upload/session/:id", async (req, res) => {
+    try {
+      if (/^application\/json/i.test(String(req.headers["content-type"] || ""))) {
+        return res.status(400).json({ ok: false, error: "Send chunk bytes (application/octet-stream), not JSON" });
+      }
+      const offset = Number(req.query?.offset);
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ ok: false, error: "Missing/invalid offset" });
+      }
+      const ctx = sessionCtx(req.params.id);
+      if (!ctx) return res.status(400).json({ ok: false, error: "Unknown upload session" });
+      const { cfg } = ctx;
+
+      return await withDomainLock(cfg, sessionLock(req.params.id), async () => {
+        const session = readSession(cfg, req.params.id);
+        if (!session || session.status !== "open") {
+          return res.status(400).json({ ok: false, error: `Upload session is ${session ? session.status : "gone"}` });
+        }
+        const current = sessionOffset(cfg, session.id);
+        if (offset !== current) {
+          return res.status(409).json({ ok: false, error: `Offset mismatch (session is at ${current})`, offset: current });
+        }
+        const next = await appendChunk(cfg, session, req);
+        return res.json({ ok: true, session_id: session.id, offset: next, received: next - current, total_bytes: session.total_bytes });
       });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
 
-      return res.json({
-        ok: true,
-        saved_to: outRel,
-        bytes: buf.length,
-        termKey: route.termKey,
-        electorateFolder: route.electorateFolder || null,
-        note,
-        sha256,
+  r.post("/upload/session/:id/complete", async (req, res) => {
+    try {
+      const ctx = sessionCtx(req.params.id);
+      if (!ctx) return res.status(400).json({ ok: false, error: "Unknown upload session" });
+      const { cfg } = ctx;
+
+      return await withDomainLock(cfg, sessionLock(req.params.id), async () => {
+        const session = readSession(cfg, req.params.id);
+        if (!session) return res.status(400).json({ ok: false, error: "Unknown upload session" });
+        // A retried /complete (lost response) gets the original answer.
+        if (session.status === "completed") return res.json({ ...session.result, session_id: session.id, already_completed: true });
+
+        const expectedSha = String(req.body?.sha256 || session.expected_sha256 || "").toLowerCase();
+        const expectedSize = req.body?.size != null ? Number(req.body.size) : session.total_bytes;
+        if (!/^[0-9a-f]{64}$/.test(expectedSha)) return res.status(400).json({ ok: false, error: "Missing/invalid sha256" });
+        if (!Number.isInteger(expectedSize) || expectedSize < 0) return res.status(400).json({ ok: false, error: "Missing/invalid size" });
+
+        const offset = sessionOffset(cfg, session.id);
+        if (offset !== expectedSize) {
+          return res.status(400).json({ ok: false, error: `Size mismatch: received ${offset} of ${expectedSize} bytes`, offset });
+        }
+        const content = await fileContent(sessionPaths(cfg, session.id).part);
+        if (content.sha256 !== expectedSha) {
+          // Keep the session: the client can DELETE it and start over.
+          return res.status(400).json({ ok: false, error: "sha256 mismatch", sha256: content.sha256, expected_sha256: expectedSha, offset });
+        }
+
+        const out = await ingestFile({ cfg, meta: session.meta, content });
+        markCompleted(cfg, session, out);
+        logEvent("UPLOAD_SESSION_COMPLETE", { domain_key: cfg.domain_key, session_id: session.id, bytes: content.bytes, saved_to: out.saved_to, note: out.note });
+        return res.json({ ...out, session_id: session.id });
       });
+    } catch (e) {
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  r.delete("/upload/session/:id", async (req, res) => {
+    try {
+      const ctx = sessionCtx(req.params.id);
+      if (!ctx) return res.status(400).json({ ok: false, error: "Unknown upload session" });
+      return await withDomainLock(ctx.cfg, sessionLock(req.params.id), () => {
+        deleteSession(ctx.cfg, req.params.id);
+        return res.json({ ok: true, session_id: req.params.id, deleted: true });
       });
     } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e?.message || e) });
+      return res.status(e?.code === "LOCK_TIMEOUT" ? 503 : 500).json({ ok: false, error: String(e?.message || e) });
     }
   });
 
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { parseElectorateIndex } = require("../src/lib/electorate_index");
+
+// One trimmed sample page per electionresults.govt.nz index format.
+const FIXTURES = path.join(__dirname, "fixtures", "electorate_index");
+const BASE = "https://www.electionresults.govt.nz";
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf8");
+}
+
+test("details (2017+): nested markup and multi-line anchors", () => {
+  const out = parseElectorateIndex(fixture("details_2017.html"), { url: `${BASE}/electionresults_2017/electorate-status.html` });
+  assert.equal(out.format, "details");
+  assert.equal(out.termKey, "term_52_(2017)");
+  assert.deepEqual(out.official_order, { 1: "Auckland Central", 2: "Bay of Plenty", 3: "Botany", 65: "Te Tai Tokerau" });
+});
+
+test("numbered (2002-2014): notable suffixes and ^ markers", () => {
+  const out = parseElectorateIndex(fixture("numbered_2008.html"), { url: `${BASE}/electionresults_2008/electorateindex.html` });
+  assert.equal(out.format, "numbered");
+  assert.equal(out.termKey, "term_49_(2008)");
+  assert.deepEqual(out.official_order, { 1: "Auckland Central", 2: "Bay of Plenty", 3: "Botany", 65: "Te Tai Tokerau" });
+});
+
+test("part_viii (1999): only the Candidate Vote Details section", () => {
+  const out = parseElectorateIndex(fixture("part_viii_1999.html"), { url: `${BASE}/electionresults_1999/e9/html/e9_partVIII.html` });
+  assert.equal(out.format, "part_viii");
+  assert.equal(out.termKey, "term_46_(1999)");
+  assert.deepEqual(out.official_order, { 1: "Albany", 2: "Aoraki", 27: "Mt Albert" });
+});
+
+test("pdf (1996): number from the file name, size suffix dropped", () => {
+  const out = parseElectorateIndex(fixture("pdf_1996.html"), { url: `${BASE}/electionresults_1996/pollingplaces.html` });
+  assert.equal(out.format, "pdf");
+  assert.equal(out.termKey, "term_45_(1996)");
+  assert.deepEqual(out.official_order, { 1: "Albany", 2: "Aoraki", 65: "Te Tai Hauauru" });
+});
+
+test("unknown term without a termKey throws", () => {
+  assert.throws(() => parseElectorateIndex("<html></html>", { url: "https://example.com/index.html" }), /Cannot tell the term/);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkTermElectorates, diffElectorates } = require("../src/lib/electorates");
+
+test("checkTermElectorates: zero-padded numbers are not dropped", () => {
+  const issues = checkTermElectorates({ "01": "Albany", "02": "Aoraki" }, { 1: "Albany", 2: "Aoraki" });
+  assert.deepEqual(issues, []);
+});
+
+test("checkTermElectorates: invalid numbers and empty names are dropped", () => {
+  const issues = checkTermElectorates({ 1: "Albany", x: "Aoraki", 3: "" }, { 1: "Albany" });
+  assert.deepEqual(issues.find((i) => i.check === "dropped").numbers, ["3", "x"]);
+});
+
+test("checkTermElectorates: gaps list the missing numbers", () => {
+  const order = { 1: "Albany", 2: "Aoraki", 5: "Botany" };
+  const gaps = checkTermElectorates(order, order).find((i) => i.check === "gaps");
+  assert.deepEqual(gaps.missing, [3, 4]);
+});
+
+test("checkTermElectorates: duplicates match folded names", () => {
+  const order = { 1: "Ōtaki", 2: "Aoraki", 3: "otaki" };
+  const dup = checkTermElectorates(order, order).find((i) => i.check === "duplicates");
+  assert.deepEqual(dup.duplicates, [{ name: "Ōtaki", numbers: [1, 3] }]);
+});
+
+test("checkTermElectorates: short against the minimum count", () => {
+  const order = { 1: "Albany", 2: "Aoraki" };
+  const short = checkTermElectorates(order, order, { minCount: 3 }).find((i) => i.check === "short");
+  assert.equal(short.count, 2);
+  assert.equal(short.min, 3);
+  assert.deepEqual(checkTermElectorates(order, order, { minCount: 2 }), []);
+});
+
+test("checkTermElectorates: short against 80% of the previous version", () => {
+  const order = { 1: "Albany", 2: "Aoraki", 3: "Botany", 4: "Epsom" };
+  const short = checkTermElectorates(order, order, { previousCount: 6 }).find((i) => i.check === "short");
+  assert.equal(short.previous, 6);
+  assert.deepEqual(checkTermElectorates(order, order, { previousCount: 5 }), []);
+});
+
+test("checkTermElectorates: html_residue flags tags, entities and links", () => {
+  const order = { 1: "Albany", 2: "<b>Aoraki", 3: "Botany &amp; Pakuranga", 4: "epsom.html" };
+  const residue = checkTermElectorates(order, order).find((i) => i.check === "html_residue");
+  assert.deepEqual(residue.names.map((n) => n.num), [2, 3, 4]);
+});
+
+test("diffElectorates: renamed, renumbered, added and removed", () => {
+  const from = { 1: "Albany", 2: "Aoraki", 3: "Botany", 4: "Epsom" };
+  const to = { 1: "Albany", 2: "Rakaia", 3: "Epsom", 5: "Ōtaki" };
+  const diff = diffElectorates(from, to);
+  assert.deepEqual(diff.renamed, [{ num: 2, from: "Aoraki", to: "Rakaia" }]);
+  assert.deepEqual(diff.renumbered, [{ name: "Epsom", from: 4, to: 3 }]);
+  assert.deepEqual(diff.added, [{ num: 5, name: "Ōtaki" }]);
+  assert.deepEqual(diff.removed, [{ num: 3, name: "Botany" }]);
+  assert.equal(diff.unchanged, 1);
+});
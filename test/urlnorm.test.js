@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeUrl, DEFAULT_URL_POLICY } = require("../src/lib/urlnorm");
+
+const IIS = { ...DEFAULT_URL_POLICY, lowercase_path: true, index_files: ["default.aspx"], trailing_slash: "add" };
+
+const POLICIES = {
+  default: DEFAULT_URL_POLICY,
+  iis: IIS,
+  strip: { ...DEFAULT_URL_POLICY, trailing_slash: "strip", index_files: ["index.html", "index.htm"], normalize_percent_encoding: true },
+};
+
+const URLS = [
+  "https://example.com/Results/Default.aspx",
+  "https://example.com/results/default.aspx",
+  "https://example.com/Results/",
+  "https://example.com/a/index.html#top",
+  "https://example.com/a/INDEX.HTML",
+  "https://example.com/%7euser/Index.htm?b=2&b=2",
+  "https://example.com/x/file.PDF",
+];
+
+test("normalizeUrl is idempotent under each policy", () => {
+  for (const [name, policy] of Object.entries(POLICIES)) {
+    for (const u of URLS) {
+      const once = normalizeUrl(u, policy);
+      assert.equal(normalizeUrl(once, policy), once, `${name}: ${u}`);
+    }
+  }
+});
+
+test("lowercase_path collapses index files whatever their case", () => {
+  assert.equal(normalizeUrl("https://example.com/Results/Default.aspx", IIS), "https://example.com/results/");
+  assert.equal(normalizeUrl("https://example.com/results/", IIS), "https://example.com/results/");
+});
+
+test("index files match case-sensitively without lowercase_path", () => {
+  assert.equal(normalizeUrl("https://example.com/a/index.html", DEFAULT_URL_POLICY), "https://example.com/a/");
+  assert.equal(normalizeUrl("https://example.com/a/INDEX.HTML", DEFAULT_URL_POLICY), "https://example.com/a/INDEX.HTML");
+});